@@ -0,0 +1,175 @@
+/**
+ * Library Calendar
+ * When the library is open: weekly opening hours plus closures (holidays,
+ * stocktaking, ...) covering one or more dates. Due dates are moved to the
+ * next open day and overdue fines only count open days.
+ *
+ * The calendar document (calendar collection):
+ *   {
+ *     openingHours: { monday: { opens: '09:00', closes: '20:00' }, ..., sunday: null },
+ *     closures: [{ id, startDate: '2026-12-24', endDate: '2026-12-26', reason, addedBy, addedDate }],
+ *     nextId
+ *   }
+ * A weekday with null hours is closed every week.
+ *
+ * Days are calendar dates in the server's time zone, written yyyy-MM-dd.
+ */
+
+const { addDays, format, isValid, parseISO } = require('date-fns');
+const { ValidationError } = require('./errors');
+
+// In the order of Date#getDay()
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// How far ahead to look for an open day before giving up (a calendar may be closed for good)
+const MAX_SEARCH_DAYS = 366;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Calendar date of a moment: 2026-10-19T15:00:00Z -> '2026-10-19'
+ */
+function toDateKey(date) {
+  return format(typeof date === 'string' ? parseISO(date) : date, 'yyyy-MM-dd');
+}
+
+/**
+ * Parse a yyyy-MM-dd date, or return null if it isn't one
+ */
+function parseDateKey(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return null;
+  const date = parseISO(value);
+  return isValid(date) && toDateKey(date) === value ? date : null;
+}
+
+/**
+ * The closure covering a date, if any
+ */
+function findClosure(calendar, date) {
+  const key = toDateKey(date);
+  return calendar.closures.find(closure => closure.startDate <= key && key <= closure.endDate) || null;
+}
+
+/**
+ * Is the library open on this date?
+ */
+function isOpenOn(calendar, date) {
+  const day = typeof date === 'string' ? parseISO(date) : date;
+  return Boolean(calendar.openingHours[WEEKDAYS[day.getDay()]]) && !findClosure(calendar, day);
+}
+
+/**
+ * Opening details of one date:
+ *   { date, weekday, open, hours: { opens, closes } | null, closure: { id, reason } | null }
+ */
+function describeDay(calendar, date) {
+  const weekday = WEEKDAYS[date.getDay()];
+  const hours = calendar.openingHours[weekday] || null;
+  const closure = findClosure(calendar, date);
+
+  return {
+    date: toDateKey(date),
+    weekday,
+    open: Boolean(hours) && !closure,
+    hours: closure ? null : hours,
+    closure: closure ? { id: closure.id, reason: closure.reason } : null
+  };
+}
+
+/**
+ * The first open day on or after a moment, keeping its time of day
+ * Returns the moment unchanged if the library isn't open in the next year
+ */
+function nextOpenDay(calendar, date) {
+  for (let i = 0; i <= MAX_SEARCH_DAYS; i++) {
+    const day = addDays(date, i);
+    if (isOpenOn(calendar, day)) {
+      return day;
+    }
+  }
+  return date;
+}
+
+/**
+ * Number of open days after `from` up to and including `until` (by date)
+ */
+function countOpenDays(calendar, from, until) {
+  const last = toDateKey(until);
+  let count = 0;
+
+  for (let day = addDays(from, 1); toDateKey(day) <= last; day = addDays(day, 1)) {
+    if (isOpenOn(calendar, day)) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Check new opening hours: { monday: { opens, closes } | null, ... }
+ * Only the weekdays given are checked, so partial updates can be validated
+ * Throws a ValidationError listing every problem
+ */
+function validateOpeningHours(hours) {
+  const fields = [];
+
+  for (const [weekday, value] of Object.entries(hours || {})) {
+    if (!WEEKDAYS.includes(weekday)) {
+      fields.push({ field: weekday, message: `is not a weekday (use one of: ${WEEKDAYS.join(', ')})` });
+      continue;
+    }
+    if (value === null) continue; // closed
+
+    if (!value || !TIME_PATTERN.test(value.opens) || !TIME_PATTERN.test(value.closes)) {
+      fields.push({ field: weekday, message: 'needs opens and closes times as HH:MM, or null when closed' });
+    } else if (value.opens >= value.closes) {
+      fields.push({ field: weekday, message: 'must open before it closes' });
+    }
+  }
+
+  if (fields.length > 0) {
+    throw new ValidationError('Invalid opening hours', fields);
+  }
+}
+
+/**
+ * Check a new closure: { startDate, endDate?, reason }
+ * Returns { startDate, endDate, reason } with endDate defaulting to startDate
+ */
+function validateClosure(closure) {
+  const fields = [];
+  const startDate = closure.startDate || closure.date;
+  const endDate = closure.endDate || startDate;
+  const reason = typeof closure.reason === 'string' ? closure.reason.trim() : '';
+
+  if (!parseDateKey(startDate)) {
+    fields.push({ field: 'startDate', message: 'must be a date as yyyy-MM-dd' });
+  }
+  if (!parseDateKey(endDate)) {
+    fields.push({ field: 'endDate', message: 'must be a date as yyyy-MM-dd' });
+  } else if (parseDateKey(startDate) && endDate < startDate) {
+    fields.push({ field: 'endDate', message: 'must not be before startDate' });
+  }
+  if (!reason) {
+    fields.push({ field: 'reason', message: 'is required' });
+  }
+
+  if (fields.length > 0) {
+    throw new ValidationError('Invalid closure', fields);
+  }
+
+  return { startDate, endDate, reason };
+}
+
+module.exports = {
+  WEEKDAYS,
+  toDateKey,
+  parseDateKey,
+  isOpenOn,
+  describeDay,
+  nextOpenDay,
+  countOpenDays,
+  validateOpeningHours,
+  validateClosure
+};
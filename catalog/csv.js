@@ -0,0 +1,261 @@
+/**
+ * Catalog CSV
+ * Reads and writes the book catalogue as CSV (RFC 4180: comma separated,
+ * fields with commas, quotes or line breaks in double quotes, "" for a quote).
+ *
+ * Import columns are matched to book fields by header name (case and spaces
+ * don't matter, common aliases are understood) or by an explicit mapping
+ * { field: 'CSV header' }. Unknown columns are ignored and reported.
+ *
+ * Fields:
+ *   title (required), isbn, authors (names separated by ";"), category,
+ *   publishedYear, description, totalCopies, coverImage, shelfLocation
+ *
+ * The export uses the same header names, so an exported file imports as is.
+ */
+
+const { normalizeIsbn, describeIsbnProblem } = require('../isbn');
+
+// Import field -> header names understood without a mapping
+const FIELD_ALIASES = {
+  title: ['title', 'name', 'booktitle'],
+  isbn: ['isbn', 'isbn13', 'isbn10'],
+  authors: ['authors', 'author', 'writer', 'writers'],
+  category: ['category', 'genre', 'subject'],
+  publishedYear: ['publishedyear', 'year', 'publicationyear', 'published'],
+  description: ['description', 'body', 'summary'],
+  totalCopies: ['totalcopies', 'copies', 'quantity', 'qty'],
+  coverImage: ['coverimage', 'cover', 'coverurl'],
+  shelfLocation: ['shelflocation', 'shelf', 'location']
+};
+
+const EXPORT_COLUMNS = [
+  'isbn', 'title', 'authors', 'category', 'publishedYear',
+  'description', 'totalCopies', 'coverImage'
+];
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text into rows of cells: [['title', 'isbn'], ['Dune', '...']]
+ * Throws on an unterminated quoted field
+ */
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, ''); // Excel's byte order mark
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+      if (char === '\r' && input[i + 1] === '\n') i++;
+    } else {
+      cell += char;
+    }
+    i++;
+  }
+
+  if (quoted) {
+    throw new Error('Invalid CSV: a quoted field is never closed');
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines carry no data
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Quote a cell if needed and defuse spreadsheet formulas
+ */
+function formatCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Turn rows of cells into CSV text (CRLF line endings, as RFC 4180 asks)
+ */
+function formatCsv(rows) {
+  return rows.map(cells => cells.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function simplifyHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Work out which column holds which field
+ * mapping: optional { field: 'CSV header' } overriding the header names
+ * Returns { columns: { field: index }, ignored: [headers nobody uses] }
+ */
+function mapColumns(headers, mapping = {}) {
+  const columns = {};
+
+  for (const [field, header] of Object.entries(mapping)) {
+    if (!FIELD_ALIASES[field]) {
+      throw new Error(`Unknown import field: ${field} (use one of: ${Object.keys(FIELD_ALIASES).join(', ')})`);
+    }
+    const index = headers.findIndex(name => simplifyHeader(name) === simplifyHeader(header));
+    if (index === -1) {
+      throw new Error(`Column not found in the CSV header: ${header}`);
+    }
+    columns[field] = index;
+  }
+
+  headers.forEach((header, index) => {
+    const simple = simplifyHeader(header);
+    const field = Object.keys(FIELD_ALIASES).find(name => FIELD_ALIASES[name].includes(simple));
+    if (field && columns[field] === undefined && !Object.values(columns).includes(index)) {
+      columns[field] = index;
+    }
+  });
+
+  if (columns.title === undefined) {
+    throw new Error('No title column found - name a column "title" or map one with map[title]');
+  }
+
+  const used = new Set(Object.values(columns));
+  return {
+    columns,
+    ignored: headers.filter((header, index) => !used.has(index))
+  };
+}
+
+/**
+ * Undo formatCell's formula guard ("'=SUM" -> "=SUM")
+ */
+function readCell(cells, index) {
+  if (index === undefined || cells[index] === undefined) return undefined;
+  const value = cells[index].trim();
+  return /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+}
+
+/**
+ * Read a whole-number cell ('' means not given)
+ */
+function readInteger(value, field, errors) {
+  if (value === undefined || value === '') return undefined;
+  if (!/^\d+$/.test(value)) {
+    errors.push({ field, message: `${field} must be a whole number, got "${value}"` });
+    return undefined;
+  }
+  return parseInt(value);
+}
+
+/**
+ * Turn CSV text into import records
+ * Returns { records, ignoredColumns } where each record is
+ *   { row: line number, book: { title, isbn, authors: [...], ... }, errors: [{ field, message }] }
+ * Only the fields present in the file are set, so an upsert leaves the others alone
+ */
+function readCatalogCsv(text, mapping = {}) {
+  const rows = parseCsv(text);
+  if (rows.length === 0) {
+    throw new Error('The CSV file is empty');
+  }
+
+  const [headers, ...dataRows] = rows;
+  const { columns, ignored } = mapColumns(headers, mapping);
+
+  const records = dataRows.map((cells, index) => {
+    const errors = [];
+    const get = field => readCell(cells, columns[field]);
+    const book = {};
+
+    book.title = get('title');
+    if (!book.title) {
+      errors.push({ field: 'title', message: 'title is required' });
+    }
+
+    const isbn = get('isbn');
+    if (isbn) {
+      book.isbn = normalizeIsbn(isbn);
+      if (!book.isbn) {
+        errors.push({ field: 'isbn', message: `${isbn} is not a valid ISBN (${describeIsbnProblem(isbn)})` });
+      }
+    }
+
+    const authors = get('authors');
+    if (authors !== undefined) {
+      book.authors = authors.split(';').map(name => name.trim()).filter(Boolean);
+    }
+
+    for (const field of ['category', 'description', 'coverImage', 'shelfLocation']) {
+      const value = get(field);
+      if (value !== undefined && value !== '') book[field] = value;
+    }
+
+    const publishedYear = readInteger(get('publishedYear'), 'publishedYear', errors);
+    if (publishedYear !== undefined) book.publishedYear = publishedYear;
+
+    const totalCopies = readInteger(get('totalCopies'), 'totalCopies', errors);
+    if (totalCopies !== undefined) book.totalCopies = totalCopies;
+
+    // Row number as a spreadsheet shows it (the header is row 1)
+    return { row: index + 2, book, errors };
+  });
+
+  return { records, ignoredColumns: ignored };
+}
+
+/**
+ * Turn books into catalogue CSV text
+ * authorNames: bookId -> ['Author', ...]
+ */
+function writeCatalogCsv(books, authorNames) {
+  const rows = books.map(book => [
+    book.isbn,
+    book.title,
+    (authorNames.get(book.id) || []).join('; '),
+    book.category,
+    book.publishedYear,
+    book.body,
+    book.totalCopies,
+    book.coverImage
+  ]);
+
+  return formatCsv([EXPORT_COLUMNS, ...rows]);
+}
+
+module.exports = {
+  parseCsv,
+  formatCsv,
+  readCatalogCsv,
+  writeCatalogCsv
+};
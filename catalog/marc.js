@@ -0,0 +1,377 @@
+/**
+ * Catalog MARC
+ * Reads MARC21 records (binary ISO 2709 or MARCXML) into import records for
+ * db.importBooks, and writes books out as MARCXML.
+ *
+ * Fields used:
+ *   001       control number (book id on export)
+ *   008       fixed data - publication year (positions 7-10) as a fallback
+ *   020 $a    ISBN ("0441013597 (pbk.)" - the first valid one wins)
+ *   100 $a    main author ("Herbert, Frank," -> "Frank Herbert")
+ *   700 $a    other authors
+ *   245 $a $b title and subtitle
+ *   260/264 $c publication year
+ *   520 $a    summary -> description
+ *   650 $a    first subject -> category
+ *
+ * Binary records must be UTF-8 (leader position 9 = "a"); older MARC-8
+ * records are read as Latin-1, which keeps plain ASCII data intact.
+ */
+
+const { normalizeIsbn } = require('../isbn');
+
+const MARCXML_NAMESPACE = 'http://www.loc.gov/MARC21/slim';
+
+// ISO 2709 separators
+const RECORD_TERMINATOR = 0x1d;
+const FIELD_TERMINATOR = 0x1e;
+const SUBFIELD_DELIMITER = 0x1f;
+
+// ==================== READING ====================
+
+/**
+ * Split binary MARC21 into records: [{ leader, fields: [{ tag, value } | { tag, ind1, ind2, subfields: [[code, value]] }] }]
+ */
+function parseMarc21(buffer) {
+  const records = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    // Skip line breaks some tools put between records
+    if (buffer[offset] === 0x0a || buffer[offset] === 0x0d) {
+      offset++;
+      continue;
+    }
+
+    const length = parseInt(buffer.toString('latin1', offset, offset + 5));
+    if (!Number.isInteger(length) || length < 25 || offset + length > buffer.length) {
+      throw new Error(`Invalid MARC21: bad record length at byte ${offset}`);
+    }
+
+    records.push(parseMarc21Record(buffer.subarray(offset, offset + length)));
+    offset += length;
+  }
+
+  return records;
+}
+
+function parseMarc21Record(record) {
+  const leader = record.toString('latin1', 0, 24);
+  const encoding = leader[9] === 'a' ? 'utf8' : 'latin1';
+  const baseAddress = parseInt(leader.slice(12, 17));
+  const fields = [];
+
+  if (!Number.isInteger(baseAddress) || record[record.length - 1] !== RECORD_TERMINATOR) {
+    throw new Error('Invalid MARC21: damaged record leader or terminator');
+  }
+
+  // Directory: 12 bytes per field (tag, length, start) up to the field terminator
+  for (let entry = 24; record[entry] !== FIELD_TERMINATOR && entry < baseAddress; entry += 12) {
+    const directory = record.toString('latin1', entry, entry + 12);
+    const tag = directory.slice(0, 3);
+    const fieldLength = parseInt(directory.slice(3, 7));
+    const start = baseAddress + parseInt(directory.slice(7, 12));
+
+    // Drop the field terminator
+    const data = record.subarray(start, start + fieldLength - 1);
+
+    if (tag < '010') {
+      fields.push({ tag, value: data.toString(encoding) });
+      continue;
+    }
+
+    const subfields = [];
+    let position = data.indexOf(SUBFIELD_DELIMITER);
+    while (position !== -1) {
+      const next = data.indexOf(SUBFIELD_DELIMITER, position + 1);
+      const end = next === -1 ? data.length : next;
+      subfields.push([
+        String.fromCharCode(data[position + 1]),
+        data.toString(encoding, position + 2, end)
+      ]);
+      position = next;
+    }
+
+    fields.push({
+      tag,
+      ind1: String.fromCharCode(data[0] || 0x20),
+      ind2: String.fromCharCode(data[1] || 0x20),
+      subfields
+    });
+  }
+
+  return { leader, fields };
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(parseInt(decimal)))
+    .replace(/&amp;/g, '&');
+}
+
+function readAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`));
+  return match ? decodeXml(match[2] !== undefined ? match[2] : match[3]) : '';
+}
+
+/**
+ * Read MARCXML (a <collection> of <record>s, or a single <record>)
+ * Namespace prefixes (marc:record) are accepted
+ */
+function parseMarcXml(text) {
+  const xml = String(text).replace(/<!--[\s\S]*?-->/g, '');
+  const records = [];
+  const recordPattern = /<(?:\w+:)?record\b[^>]*>([\s\S]*?)<\/(?:\w+:)?record>/g;
+  let match;
+
+  while ((match = recordPattern.exec(xml)) !== null) {
+    const body = match[1];
+    const leaderMatch = body.match(/<(?:\w+:)?leader\b[^>]*>([\s\S]*?)<\/(?:\w+:)?leader>/);
+    const fields = [];
+    const fieldPattern = /<(?:\w+:)?(controlfield|datafield)\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?\1>/g;
+    let field;
+
+    while ((field = fieldPattern.exec(body)) !== null) {
+      const [, kind, attributes, content] = field;
+      const tag = readAttribute(attributes, 'tag');
+
+      if (kind === 'controlfield') {
+        fields.push({ tag, value: decodeXml(content) });
+        continue;
+      }
+
+      const subfields = [];
+      const subfieldPattern = /<(?:\w+:)?subfield\b([^>]*)>([\s\S]*?)<\/(?:\w+:)?subfield>/g;
+      let subfield;
+      while ((subfield = subfieldPattern.exec(content)) !== null) {
+        subfields.push([readAttribute(subfield[1], 'code'), decodeXml(subfield[2])]);
+      }
+
+      fields.push({
+        tag,
+        ind1: readAttribute(attributes, 'ind1') || ' ',
+        ind2: readAttribute(attributes, 'ind2') || ' ',
+        subfields
+      });
+    }
+
+    records.push({ leader: leaderMatch ? decodeXml(leaderMatch[1]) : '', fields });
+  }
+
+  if (records.length === 0) {
+    throw new Error('Invalid MARCXML: no <record> elements found');
+  }
+
+  return records;
+}
+
+/**
+ * Strip the ISBD punctuation MARC puts at the end of subfields (" /", " :", ",", ".")
+ * A full stop after an initial ("Tolkien, J. R. R.") belongs to the name
+ */
+function trimPunctuation(value) {
+  const trimmed = String(value || '').replace(/[\s/:;,=]+$/, '');
+  return (/(^|[\s.])\p{Lu}\.$/u.test(trimmed) ? trimmed : trimmed.replace(/[\s/:;,=.]+$/, '')).trim();
+}
+
+function subfieldValues(fields, tag, code) {
+  return fields
+    .filter(field => field.tag === tag && field.subfields)
+    .map(field => field.subfields.filter(([c]) => c === code).map(([, value]) => value));
+}
+
+function firstSubfield(fields, tag, code) {
+  const [values = []] = subfieldValues(fields, tag, code);
+  return values[0];
+}
+
+/**
+ * "Herbert, Frank," -> "Frank Herbert" for personal names entered surname first
+ */
+function readName(field) {
+  const [, name] = field.subfields.find(([code]) => code === 'a') || [];
+  if (!name) return null;
+
+  const trimmed = trimPunctuation(name);
+  if (field.ind1 === '1' && trimmed.includes(',')) {
+    const [surname, ...forenames] = trimmed.split(',');
+    return `${forenames.join(',').trim()} ${surname.trim()}`.trim();
+  }
+  return trimmed;
+}
+
+/**
+ * Turn parsed MARC records into import records for db.importBooks
+ * Returns [{ row: record number, book: { title, isbn, authors, ... }, errors: [{ field, message }] }]
+ */
+function toImportRecords(marcRecords) {
+  return marcRecords.map((record, index) => {
+    const { fields } = record;
+    const errors = [];
+    const book = {};
+
+    const title = [firstSubfield(fields, '245', 'a'), firstSubfield(fields, '245', 'b')]
+      .filter(Boolean)
+      .map(trimPunctuation)
+      .join(': ');
+    book.title = title || undefined;
+    if (!book.title) {
+      errors.push({ field: 'title', message: 'title is required (245 $a)' });
+    }
+
+    const isbns = subfieldValues(fields, '020', 'a').flat();
+    if (isbns.length > 0) {
+      // "0441013597 (pbk.)" - the ISBN is the first word
+      book.isbn = isbns.map(value => normalizeIsbn(value.split(/\s/)[0])).find(Boolean);
+      if (!book.isbn) {
+        errors.push({ field: 'isbn', message: `No valid ISBN in 020 $a (${isbns.join(', ')})` });
+      }
+    }
+
+    const authors = fields
+      .filter(field => (field.tag === '100' || field.tag === '700') && field.subfields)
+      .map(readName)
+      .filter(Boolean);
+    if (authors.length > 0) {
+      book.authors = [...new Set(authors)];
+    }
+
+    const date = firstSubfield(fields, '264', 'c') || firstSubfield(fields, '260', 'c');
+    const fixed = fields.find(field => field.tag === '008');
+    const year = (date && date.match(/\d{4}/)) || (fixed && fixed.value.slice(7, 11).match(/^\d{4}$/));
+    if (year) {
+      book.publishedYear = parseInt(year[0]);
+    }
+
+    const subject = firstSubfield(fields, '650', 'a');
+    if (subject) {
+      book.category = trimPunctuation(subject);
+    }
+
+    const summary = firstSubfield(fields, '520', 'a');
+    if (summary) {
+      book.description = summary.trim();
+    }
+
+    return { row: index + 1, book, errors };
+  });
+}
+
+/**
+ * Read a MARC file - MARCXML if it looks like XML, binary MARC21 otherwise
+ * Returns import records (see toImportRecords)
+ */
+function readMarc(data) {
+  const buffer = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+  const start = buffer.toString('utf8', 0, 100).replace(/^\uFEFF/, '').trimStart();
+
+  if (buffer.length === 0) {
+    throw new Error('The MARC file is empty');
+  }
+
+  const records = start.startsWith('<')
+    ? parseMarcXml(buffer.toString('utf8'))
+    : parseMarc21(buffer);
+
+  return toImportRecords(records);
+}
+
+// ==================== WRITING ====================
+
+function encodeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, ''); // not allowed in XML 1.0
+}
+
+function controlField(tag, value) {
+  return `    <controlfield tag="${tag}">${encodeXml(value)}</controlfield>`;
+}
+
+function dataField(tag, ind1, ind2, subfields) {
+  const lines = subfields
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([code, value]) => `      <subfield code="${code}">${encodeXml(value)}</subfield>`);
+  return [`    <datafield tag="${tag}" ind1="${ind1}" ind2="${ind2}">`, ...lines, '    </datafield>'].join('\n');
+}
+
+/**
+ * "Frank Herbert" -> "Herbert, Frank" (MARC enters personal names surname first)
+ */
+function invertName(name) {
+  const parts = name.trim().split(/\s+/);
+  return parts.length > 1 ? `${parts[parts.length - 1]}, ${parts.slice(0, -1).join(' ')}` : name;
+}
+
+/**
+ * One book as a MARCXML <record>
+ */
+function bookToMarcXml(book, authorNames = []) {
+  const year = book.publishedYear ? String(book.publishedYear) : '';
+  const added = (book.addedDate || new Date().toISOString()).slice(2, 10).replace(/-/g, '');
+  // 008 (40 characters): date entered, single date, year, place and language unknown
+  const fixed = `${added}s${year.padStart(4, '|').slice(-4)}    xx ${' '.repeat(11)}000 0 und d`;
+  const [mainAuthor, ...otherAuthors] = authorNames;
+
+  const fields = [
+    controlField('001', book.id),
+    controlField('008', fixed)
+  ];
+
+  if (book.isbn) {
+    fields.push(dataField('020', ' ', ' ', [['a', book.isbn]]));
+  }
+  if (mainAuthor) {
+    fields.push(dataField('100', '1', ' ', [['a', invertName(mainAuthor)]]));
+  }
+  fields.push(dataField('245', mainAuthor ? '1' : '0', '0', [['a', book.title]]));
+  if (year) {
+    fields.push(dataField('264', ' ', '1', [['c', year]]));
+  }
+  if (book.body) {
+    fields.push(dataField('520', ' ', ' ', [['a', book.body]]));
+  }
+  if (book.category) {
+    fields.push(dataField('650', ' ', '4', [['a', book.category]]));
+  }
+  for (const author of otherAuthors) {
+    fields.push(dataField('700', '1', ' ', [['a', invertName(author)]]));
+  }
+
+  return [
+    '  <record>',
+    // New record, language material, monograph, UTF-8
+    '    <leader>00000nam a2200000 i 4500</leader>',
+    ...fields,
+    '  </record>'
+  ].join('\n');
+}
+
+/**
+ * Books as a MARCXML <collection>
+ * authorNames: bookId -> ['Author', ...]
+ */
+function writeMarcXml(books, authorNames) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<collection xmlns="${MARCXML_NAMESPACE}">`,
+    ...books.map(book => bookToMarcXml(book, authorNames.get(book.id))),
+    '</collection>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  parseMarc21,
+  parseMarcXml,
+  readMarc,
+  writeMarcXml
+};
@@ -0,0 +1,198 @@
+/**
+ * Book Covers
+ * Uploaded covers are kept on local disk next to the library's data:
+ *   data/covers/<bookId>/original.jpg          (as uploaded)
+ *   data/covers/<bookId>/small.jpg ...         (thumbnails, see COVER_SIZES)
+ *   data/tenants/<tenant>/covers/<bookId>/...  (tenant sandboxes)
+ *
+ * They are served from the stable URL /api/books/:id/cover?size=medium.
+ * Books without an uploaded cover get a placeholder SVG drawn from the title.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const sharp = require('sharp');
+const { DATA_DIR } = require('./storage');
+
+// Thumbnail sizes: width x height in pixels (covers are 2:3)
+const COVER_SIZES = {
+  small: { width: 80, height: 120 },
+  medium: { width: 200, height: 300 },
+  large: { width: 400, height: 600 }
+};
+
+// Accepted uploads: sharp format name -> file extension and content type
+const COVER_FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  png: { extension: 'png', contentType: 'image/png' },
+  webp: { extension: 'webp', contentType: 'image/webp' }
+};
+
+const COVER_CONTENT_TYPES = Object.values(COVER_FORMATS).map(format => format.contentType);
+
+const MAX_COVER_BYTES = 5 * 1024 * 1024;
+const MIN_COVER_WIDTH = 100;
+
+// Placeholder background colours, picked by title
+const PLACEHOLDER_COLOURS = ['#264653', '#2a9d8f', '#8d5a97', '#e76f51', '#3d5a80', '#6d597a', '#588157', '#9c6644'];
+
+/**
+ * Folder of a book's cover files in the given library (null = shared library)
+ */
+function getCoverDir(tenantId, bookId) {
+  const libraryDir = tenantId ? path.join(DATA_DIR, 'tenants', tenantId) : DATA_DIR;
+  return path.join(libraryDir, 'covers', String(parseInt(bookId)));
+}
+
+/**
+ * Check an uploaded image and store it with its thumbnails
+ * Throws for files that aren't a JPEG, PNG or WebP image, or are too small
+ * Returns { format, width, height, bytes, version }
+ */
+async function saveCover(tenantId, bookId, buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new Error('Cover must be a JPEG, PNG or WebP image');
+  }
+
+  const format = COVER_FORMATS[metadata.format];
+  if (!format) {
+    throw new Error('Cover must be a JPEG, PNG or WebP image');
+  }
+  if (metadata.width < MIN_COVER_WIDTH) {
+    throw new Error(`Cover image is too small - it must be at least ${MIN_COVER_WIDTH} pixels wide`);
+  }
+
+  // Render every thumbnail before touching the current cover
+  const thumbnails = {};
+  for (const [size, { width, height }] of Object.entries(COVER_SIZES)) {
+    thumbnails[size] = await sharp(buffer)
+      .rotate() // honour the camera's orientation
+      .resize(width, height, { fit: 'cover' })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+  }
+
+  const dir = getCoverDir(tenantId, bookId);
+  await fs.remove(dir);
+  await fs.ensureDir(dir);
+  await fs.writeFile(path.join(dir, `original.${format.extension}`), buffer);
+  for (const [size, data] of Object.entries(thumbnails)) {
+    await fs.writeFile(path.join(dir, `${size}.jpg`), data);
+  }
+
+  return {
+    format: metadata.format,
+    width: metadata.width,
+    height: metadata.height,
+    bytes: buffer.length,
+    version: crypto.createHash('sha1').update(buffer).digest('hex').slice(0, 12)
+  };
+}
+
+/**
+ * Find a stored cover file
+ * size: 'original' or one of COVER_SIZES
+ * Returns { file, contentType } or null if the book has no uploaded cover
+ */
+async function findCover(tenantId, bookId, size) {
+  const dir = getCoverDir(tenantId, bookId);
+
+  if (size !== 'original') {
+    const file = path.join(dir, `${size}.jpg`);
+    return (await fs.pathExists(file)) ? { file, contentType: 'image/jpeg' } : null;
+  }
+
+  for (const { extension, contentType } of Object.values(COVER_FORMATS)) {
+    const file = path.join(dir, `original.${extension}`);
+    if (await fs.pathExists(file)) {
+      return { file, contentType };
+    }
+  }
+  return null;
+}
+
+/**
+ * Delete a book's uploaded cover (no error if it has none)
+ */
+async function removeCover(tenantId, bookId) {
+  await fs.remove(getCoverDir(tenantId, bookId));
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Break text into lines of at most `width` characters (long words are cut)
+ */
+function wrapText(text, width, maxLines) {
+  const lines = [];
+  let line = '';
+
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const piece = word.length > width ? word.slice(0, width - 1) + '…' : word;
+    if (line && line.length + 1 + piece.length > width) {
+      lines.push(line);
+      line = piece;
+    } else {
+      line = line ? `${line} ${piece}` : piece;
+    }
+  }
+  if (line) lines.push(line);
+
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = lines[maxLines - 1].replace(/.?$/, '…');
+  }
+  return lines;
+}
+
+/**
+ * Placeholder cover: the title (and author) on a colour picked from the title
+ * Drawn at 200x300 and scaled by the browser, so one SVG serves every size
+ */
+function placeholderCover(book, author = '') {
+  const title = book.title || 'Untitled';
+  const hash = crypto.createHash('md5').update(title).digest();
+  const background = PLACEHOLDER_COLOURS[hash[0] % PLACEHOLDER_COLOURS.length];
+
+  const titleLines = wrapText(title, 14, 5);
+  const authorLines = author ? wrapText(author, 22, 2) : [];
+  const titleTop = 150 - (titleLines.length - 1) * 14;
+
+  const text = [
+    ...titleLines.map((line, i) =>
+      `<text x="100" y="${titleTop + i * 28}" font-size="22" font-weight="bold">${escapeXml(line)}</text>`),
+    ...authorLines.map((line, i) =>
+      `<text x="100" y="${262 + i * 16}" font-size="13" opacity="0.85">${escapeXml(line)}</text>`)
+  ];
+
+  return [
+    '<svg xmlns="http://www.w3.org/2000/svg" width="200" height="300" viewBox="0 0 200 300">',
+    `  <rect width="200" height="300" fill="${background}"/>`,
+    '  <rect x="10" y="10" width="180" height="280" fill="none" stroke="#ffffff" stroke-opacity="0.4" stroke-width="2"/>',
+    '  <g fill="#ffffff" font-family="Georgia, serif" text-anchor="middle">',
+    ...text.map(line => `    ${line}`),
+    '  </g>',
+    '</svg>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  COVER_SIZES,
+  COVER_CONTENT_TYPES,
+  MAX_COVER_BYTES,
+  saveCover,
+  findCover,
+  removeCover,
+  placeholderCover
+};
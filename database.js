@@ -1,48 +1,151 @@
 /**
  * Database Service Layer - JSON File-based Database
- * Provides abstraction for all CRUD operations on JSON files
+ * Provides abstraction for all CRUD operations on the library collections.
+ * Collections are stored through a storage adapter (JSON files by default,
+ * SQLite or in-memory - see storage/index.js)
  * We will use TypeORM in this layer - when we learn Node.JS
  */
 
-const fs = require('fs-extra');
-const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { EventEmitter } = require('events');
 const bcrypt = require('bcryptjs');
 const { addDays, differenceInDays, parseISO } = require('date-fns');
+const { createAdapter, createTenantAdapter } = require('./storage');
+const { validateRecord } = require('./schemas');
+const { ValidationError, EligibilityError, NotFoundError, UnavailableError } = require('./errors');
+const { normalizeIsbn, describeIsbnProblem } = require('./isbn');
+const { buildSearchIndex, search } = require('./search');
+const {
+  toDateKey,
+  isOpenOn,
+  describeDay,
+  nextOpenDay,
+  countOpenDays,
+  validateOpeningHours,
+  validateClosure
+} = require('./calendar');
+const { resolveLoanPolicy, validateLoanRules } = require('./loan-policy');
+const { assertTransition, historyEntry } = require('./issue-states');
+const {
+  CURRENT_SCHEMA_VERSION,
+  getSchemaVersion,
+  applyMigrations
+} = require('./migrations');
 
-// Database file paths
-const DATA_DIR = path.join(__dirname, 'data');
-const FILES = {
-  books: path.join(DATA_DIR, 'books.json'),
-  users: path.join(DATA_DIR, 'users.json'),
-  issues: path.join(DATA_DIR, 'issues.json'),
-  config: path.join(DATA_DIR, 'config.json')
-};
+// Database collections (one JSON file / table each)
+const COLLECTIONS = ['books', 'authors', 'copies', 'users', 'issues', 'holds', 'calendar', 'config'];
+
+/**
+ * Everything kept per library: its storage adapter, the collection cache,
+ * the write locks and the change feed position. The shared library and
+ * every tenant sandbox (see TENANTS below) have one each.
+ */
+function createLibraryState(tenantId = null, storage = null) {
+  return {
+    tenantId,
+    // Storage adapter - JSON files by default, see storage/index.js
+    storage,
+    // In-memory copy of each collection: collection name -> { data, index }
+    // `index` maps record id -> record and is built on first lookup
+    cache: new Map(),
+    // Per-collection write queues: collection name -> tail of its promise chain
+    writeQueues: new Map(),
+    // Last change feed sequence number handed out (loaded from the log on first use)
+    lastSequence: null,
+    sequenceLoading: null,
+    changeLogWrites: Promise.resolve(),
+    // Book search index with the books/authors data it was built from (see search/)
+    searchIndex: null,
+    // Resolves once a tenant library has been created and seeded
+    ready: null
+  };
+}
+
+// Library used when no tenant is selected
+const sharedLibrary = createLibraryState();
+
+// Tenant library for the current async call chain (see runWithTenant)
+const tenantContext = new AsyncLocalStorage();
+
+/**
+ * Get the library the current request works on
+ */
+function currentLibrary() {
+  return tenantContext.getStore() || sharedLibrary;
+}
+
+/**
+ * Get the active storage adapter (created from DB_ADAPTER on first use)
+ */
+function getStorage() {
+  const library = currentLibrary();
+  if (!library.storage) {
+    library.storage = createAdapter();
+  }
+  return library.storage;
+}
+
+/**
+ * Switch storage adapter
+ * Accepts an adapter instance or an adapter name ('json', 'sqlite', 'memory')
+ */
+function useStorage(adapter, options = {}) {
+  const library = currentLibrary();
+  if (library.storage && library.storage.unwatch) {
+    library.storage.unwatch();
+  }
+  library.storage = typeof adapter === 'string' ? createAdapter(adapter, options) : adapter;
+  library.cache.clear();
+  library.lastSequence = null;
+  library.sequenceLoading = null;
+  return library.storage;
+}
 
 /**
- * Initialize database - Create data folder and files if they don't exist
+ * Initialize database - Create collections if they don't exist and
+ * upgrade existing ones to the current schema version
+ * Pass { adapter } to pick a storage backend other than the DB_ADAPTER default
+ * Pass { migrate: false } to skip running pending migrations
  */
-async function initializeDatabase() {
+async function initializeDatabase(options = {}) {
   try {
-    // Create data directory if it doesn't exist
-    await fs.ensureDir(DATA_DIR);
-
-    // Initialize each file with default data if it doesn't exist
-    const initialData = {
-      books: { books: [], nextId: 11 },
-      users: { users: [], nextId: 100 },
-      issues: { issues: [], nextId: 1000 },
-      config: getDefaultConfig()
-    };
+    if (options.adapter) {
+      useStorage(options.adapter, options.adapterOptions);
+    }
+
+    const library = currentLibrary();
+    const store = getStorage();
+    await store.init();
+
+    // Reload a collection when its file is edited by hand (JSON adapter only)
+    if (store.watch) {
+      store.watch(collection => library.cache.delete(collection));
+    }
+
+    // Initialize each collection with default data if it doesn't exist.
+    // A collection added to an existing data folder starts at schema version 0
+    // so its migrations can fill it from the other collections.
+    const missing = [];
+    for (const key of COLLECTIONS) {
+      if (!(await store.exists(key))) {
+        missing.push(key);
+      }
+    }
+    const version = missing.length < COLLECTIONS.length ? 0 : CURRENT_SCHEMA_VERSION;
+
+    for (const key of missing) {
+      await writeData(key, { ...getInitialData(key), schemaVersion: version });
+      console.log(`✓ Created ${key} with default data`);
+    }
 
-    for (const [key, filePath] of Object.entries(FILES)) {
-      const exists = await fs.pathExists(filePath);
-      if (!exists) {
-        await fs.writeJson(filePath, initialData[key], { spaces: 2 });
-        console.log(`✓ Created ${key}.json with default data`);
+    if (options.migrate !== false) {
+      const result = await migrateDatabase();
+      for (const migration of result.migrations) {
+        console.log(`✓ Applied migration ${migration.version}: ${migration.description}`);
       }
     }
 
-    console.log('✓ Database initialized successfully');
+    console.log(`✓ Database initialized successfully (${store.describe()})`);
     return true;
   } catch (error) {
     console.error('✗ Database initialization failed:', error.message);
@@ -50,6 +153,23 @@ async function initializeDatabase() {
   }
 }
 
+/**
+ * Contents of an empty collection
+ */
+function getInitialData(collection) {
+  const initialData = {
+    books: { books: [], nextId: 11 },
+    authors: { authors: [], nextId: 1 },
+    copies: { copies: [], nextId: 1 },
+    users: { users: [], nextId: 100 },
+    issues: { issues: [], nextId: 1000 },
+    holds: { holds: [], nextId: 1 },
+    calendar: getDefaultCalendar(),
+    config: getDefaultConfig()
+  };
+  return initialData[collection];
+}
+
 /**
  * Default system configuration
  */
@@ -66,8 +186,21 @@ function getDefaultConfig() {
       enabled: true,
       perDayRate: 0.50,
       maxFinePerBook: 20.00,
-      gracePeriodDays: 1
+      gracePeriodDays: 1,
+      replacementFee: 25.00,
+      repairFee: 5.00
     },
+    holds: {
+      pickupWindowDays: 3,
+      maxHoldsPerUser: 5
+    },
+    // Overrides of the limits above by patron type and book category (see loan-policy.js)
+    loanRules: [
+      { patronType: 'staff', category: '*', loanDays: 28, maxRenewals: 3, maxBooks: 10 },
+      { patronType: 'guest', category: '*', loanDays: 7, maxRenewals: 0, maxBooks: 1 },
+      { patronType: '*', category: 'Reference', maxBooks: 0 },
+      { patronType: '*', category: 'DVD', loanDays: 7, maxRenewals: 1, maxBooks: 2, finePerDay: 1.00 }
+    ],
     roles: {
       user: {
         permissions: ["view_books", "borrow_books", "view_own_history", "pay_fines"]
@@ -79,715 +212,3084 @@ function getDefaultConfig() {
   };
 }
 
-// ==================== GENERIC FILE OPERATIONS ====================
+/**
+ * Default opening hours (closed on Sundays) with no closures
+ */
+function getDefaultCalendar() {
+  const weekday = { opens: '09:00', closes: '20:00' };
+  return {
+    openingHours: {
+      monday: weekday,
+      tuesday: weekday,
+      wednesday: weekday,
+      thursday: weekday,
+      friday: weekday,
+      saturday: { opens: '10:00', closes: '17:00' },
+      sunday: null
+    },
+    closures: [],
+    nextId: 1
+  };
+}
+
+// ==================== TENANTS ====================
+
+// Tenant id -> library state; each tenant gets its own isolated data set
+const tenants = new Map();
 
 /**
- * Read data from JSON file
+ * Check a tenant id (letters, numbers, dashes and underscores)
  */
-async function readData(fileName) {
-  try {
-    const filePath = FILES[fileName];
-    const data = await fs.readJson(filePath);
-    return data;
-  } catch (error) {
-    console.error(`Error reading ${fileName}:`, error.message);
-    throw new Error(`Failed to read ${fileName}`);
+function assertTenantId(tenantId) {
+  if (typeof tenantId !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/.test(tenantId)) {
+    throw new Error('Invalid tenant id: use up to 64 letters, numbers, dashes or underscores');
   }
 }
 
 /**
- * Write data to JSON file (atomic operation)
+ * Run `work` against a tenant's own library instead of the shared one
+ * The library is created and seeded from scripts/seed-database.js on first use
+ * Without a tenant id, `work` runs against the shared library
  */
-async function writeData(fileName, data) {
-  try {
-    const filePath = FILES[fileName];
-    const tempPath = filePath + '.tmp';
-    
-    // Write to temp file first
-    await fs.writeJson(tempPath, data, { spaces: 2 });
-    
-    // Atomic rename
-    await fs.move(tempPath, filePath, { overwrite: true });
-    
-    return true;
-  } catch (error) {
-    console.error(`Error writing ${fileName}:`, error.message);
-    throw new Error(`Failed to write ${fileName}`);
+async function runWithTenant(tenantId, work) {
+  if (!tenantId) {
+    return await work();
   }
+
+  const library = await getTenantLibrary(tenantId);
+  return await tenantContext.run(library, work);
 }
 
 /**
- * Get next auto-increment ID
+ * Get (and on first use create and seed) a tenant's library
  */
-async function getNextId(fileName) {
-  const data = await readData(fileName);
-  const currentId = data.nextId;
-  data.nextId = currentId + 1;
-  await writeData(fileName, data);
-  return currentId;
-}
+async function getTenantLibrary(tenantId) {
+  assertTenantId(tenantId);
 
-// ==================== BOOKS OPERATIONS ====================
+  let library = tenants.get(tenantId);
+  if (!library) {
+    library = createLibraryState(tenantId, createTenantAdapter(tenantId));
+    tenants.set(tenantId, library);
+  }
+
+  // Concurrent first requests share one seeding run
+  if (!library.ready) {
+    library.ready = tenantContext.run(library, prepareTenantLibrary).catch(error => {
+      library.ready = null;
+      throw error;
+    });
+  }
+  await library.ready;
+
+  return library;
+}
 
 /**
- * Get all books
+ * Seed a brand new tenant library, or just open an existing one
  */
-async function getAllBooks() {
-  const data = await readData('books');
-  return data.books;
+async function prepareTenantLibrary() {
+  const store = getStorage();
+  await store.init();
+
+  if (await store.exists('users')) {
+    await initializeDatabase();
+    return;
+  }
+
+  console.log(`🌱 Seeding library for tenant "${currentLibrary().tenantId}"`);
+  const { seedDatabase } = require('./scripts/seed-database');
+  await seedDatabase();
 }
 
 /**
- * Get book by ID
+ * Id of the tenant the current request works on (null for the shared library)
  */
-async function getBookById(id) {
-  const books = await getAllBooks();
-  return books.find(book => book.id === parseInt(id));
+function getCurrentTenant() {
+  return currentLibrary().tenantId;
 }
 
 /**
- * Create new book (Librarian only)
+ * Ids of the tenant libraries opened since the server started
  */
-async function createBook(bookData) {
-  const data = await readData('books');
-  const newId = data.nextId;
-  
-  const newBook = {
-    id: newId,
-    userId: bookData.userId || 1, // Compatibility
-    title: bookData.title,
-    body: bookData.body || bookData.description,
-    isbn: bookData.isbn || `ISBN-${newId}-${Date.now()}`,
-    category: bookData.category || 'General',
-    publishedYear: bookData.publishedYear || new Date().getFullYear(),
-    totalCopies: bookData.totalCopies || 1,
-    availableCopies: bookData.totalCopies || 1,
-    issuedCopies: 0,
-    coverImage: bookData.coverImage || '',
-    addedBy: bookData.addedBy || 'admin',
-    addedDate: new Date().toISOString()
-  };
-  
-  data.books.push(newBook);
-  data.nextId = newId + 1;
-  await writeData('books', data);
-  
-  return newBook;
+function listTenants() {
+  return [...tenants.keys()].sort();
 }
 
+// ==================== MIGRATIONS ====================
+
 /**
- * Update book
+ * Upgrade all collections to the current schema version (see migrations/)
+ * All collections are committed together; with { dryRun: true } nothing is written
+ * Returns { dryRun, fromVersions, toVersion, migrations: [...report] }
  */
-async function updateBook(id, updates) {
-  const data = await readData('books');
-  const index = data.books.findIndex(book => book.id === parseInt(id));
-  
-  if (index === -1) {
-    throw new Error('Book not found');
+async function migrateDatabase(options = {}) {
+  const store = getStorage();
+  const existing = [];
+  for (const name of COLLECTIONS) {
+    if (await store.exists(name)) {
+      existing.push(name);
+    }
   }
-  
-  // Preserve stock integrity
-  const book = data.books[index];
-  data.books[index] = {
-    ...book,
-    ...updates,
-    id: book.id, // Never change ID
-    availableCopies: book.availableCopies, // Managed separately
-    issuedCopies: book.issuedCopies // Managed separately
-  };
-  
-  await writeData('books', data);
-  return data.books[index];
+
+  // Collections introduced after the data folder was created start empty at
+  // version 0, so their migrations can fill them from the other collections
+  const added = existing.length > 0 ? COLLECTIONS.filter(name => !existing.includes(name)) : [];
+  const names = [...existing, ...added];
+
+  return await transaction(names, async () => {
+    const collections = {};
+    for (const name of names) {
+      collections[name] = added.includes(name)
+        ? { ...getInitialData(name), schemaVersion: 0 }
+        : await readData(name);
+    }
+
+    const fromVersions = Object.fromEntries(
+      names.map(name => [name, getSchemaVersion(collections[name])])
+    );
+    const migrations = applyMigrations(collections);
+
+    if (!options.dryRun) {
+      for (const name of names) {
+        if (fromVersions[name] !== getSchemaVersion(collections[name])) {
+          await writeData(name, collections[name]);
+        }
+      }
+    }
+
+    return {
+      dryRun: Boolean(options.dryRun),
+      fromVersions,
+      toVersion: CURRENT_SCHEMA_VERSION,
+      migrations
+    };
+  });
 }
 
+// ==================== SNAPSHOTS ====================
+
+// Snapshots are stored next to the collections, e.g. data/snapshots/<name>.json
+const SNAPSHOT_PREFIX = 'snapshots/';
+const AUTO_BACKUP_PREFIX = 'auto-';
+const MAX_AUTO_BACKUPS = 10;
+
 /**
- * Delete book (only if no active issues)
+ * Check a snapshot name (letters, numbers, dashes and underscores)
  */
-async function deleteBook(id) {
-  // Check for active issues
-  const issues = await getAllIssues();
-  const activeIssues = issues.filter(issue => 
-    issue.bookId === parseInt(id) && issue.status !== 'returned'
-  );
-  
-  if (activeIssues.length > 0) {
-    throw new Error('Cannot delete book with active issues');
-  }
-  
-  const data = await readData('books');
-  const index = data.books.findIndex(book => book.id === parseInt(id));
-  
-  if (index === -1) {
-    throw new Error('Book not found');
+function assertSnapshotName(name) {
+  if (typeof name !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(name)) {
+    throw new Error('Invalid snapshot name: use up to 64 letters, numbers, dashes or underscores');
   }
-  
-  const deletedBook = data.books.splice(index, 1)[0];
-  await writeData('books', data);
-  
-  return deletedBook;
 }
 
 /**
- * Update book stock (called during issue/return)
+ * Snapshot summary without the collection data
  */
-async function updateBookStock(bookId, change) {
-  const data = await readData('books');
-  const book = data.books.find(b => b.id === parseInt(bookId));
-  
-  if (!book) {
-    throw new Error('Book not found');
-  }
-  
-  book.availableCopies += change;
-  book.issuedCopies -= change;
-  
-  // Validate stock integrity
-  if (book.availableCopies < 0) {
-    throw new Error('Invalid stock: available copies cannot be negative');
-  }
-  
-  if (book.availableCopies + book.issuedCopies !== book.totalCopies) {
-    throw new Error('Stock integrity violation');
-  }
-  
-  await writeData('books', data);
-  return book;
+function describeSnapshot(snapshot) {
+  const { collections, ...info } = snapshot;
+  return {
+    ...info,
+    counts: Object.fromEntries(
+      Object.entries(collections)
+        .filter(([name, data]) => Array.isArray(data[name]))
+        .map(([name, data]) => [name, data[name].length])
+    )
+  };
 }
 
 /**
- * Search books by title, author, ISBN, or category
+ * Save the current state of every collection under a name
+ * options: { createdBy, reason, overwrite }
  */
-async function searchBooks(query) {
-  const books = await getAllBooks();
-  const lowerQuery = query.toLowerCase();
-  
-  return books.filter(book => 
-    book.title.toLowerCase().includes(lowerQuery) ||
-    book.body.toLowerCase().includes(lowerQuery) ||
-    book.isbn.toLowerCase().includes(lowerQuery) ||
-    book.category.toLowerCase().includes(lowerQuery)
-  );
-}
+async function createSnapshot(name, options = {}) {
+  assertSnapshotName(name);
+  const store = getStorage();
 
-// ==================== USERS OPERATIONS ====================
+  if (!options.overwrite && await store.exists(SNAPSHOT_PREFIX + name)) {
+    throw new Error(`Snapshot ${name} already exists`);
+  }
+
+  // Hold the write locks so the snapshot is a consistent point in time
+  return await transaction(COLLECTIONS, async () => {
+    const collections = {};
+    for (const collection of COLLECTIONS) {
+      collections[collection] = await readData(collection);
+    }
+
+    const snapshot = {
+      name,
+      createdAt: new Date().toISOString(),
+      createdBy: options.createdBy || 'system',
+      auto: name.startsWith(AUTO_BACKUP_PREFIX),
+      reason: options.reason || '',
+      collections
+    };
+
+    await store.write(SNAPSHOT_PREFIX + name, snapshot);
+    return describeSnapshot(snapshot);
+  });
+}
 
 /**
- * Get all users
+ * List snapshots, newest first
  */
-async function getAllUsers() {
-  const data = await readData('users');
-  return data.users;
+async function listSnapshots() {
+  const store = getStorage();
+  const names = await store.list(SNAPSHOT_PREFIX);
+
+  const snapshots = [];
+  for (const name of names) {
+    snapshots.push(describeSnapshot(await store.read(name)));
+  }
+
+  return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
 }
 
 /**
- * Get user by ID
+ * Get snapshot details (without the data)
  */
-async function getUserById(id) {
-  const users = await getAllUsers();
-  return users.find(user => user.id === parseInt(id));
+async function getSnapshot(name) {
+  assertSnapshotName(name);
+  const store = getStorage();
+
+  if (!(await store.exists(SNAPSHOT_PREFIX + name))) {
+    return null;
+  }
+
+  return describeSnapshot(await store.read(SNAPSHOT_PREFIX + name));
 }
 
 /**
- * Get user by username
+ * Replace every collection with the contents of a snapshot
+ * A rolling backup of the current state is taken first; older snapshots
+ * are upgraded to the current schema after restoring
  */
-async function getUserByUsername(username) {
-  const users = await getAllUsers();
-  return users.find(user => user.username === username);
+async function restoreSnapshot(name, options = {}) {
+  assertSnapshotName(name);
+  const store = getStorage();
+
+  if (!(await store.exists(SNAPSHOT_PREFIX + name))) {
+    throw new Error('Snapshot not found');
+  }
+
+  const snapshot = await store.read(SNAPSHOT_PREFIX + name);
+  const backup = await createAutoBackup(`before restoring ${name}`, options.createdBy);
+
+  await transaction(COLLECTIONS, async () => {
+    for (const collection of COLLECTIONS) {
+      if (snapshot.collections[collection]) {
+        await writeData(collection, snapshot.collections[collection]);
+      } else {
+        // Snapshot from before this collection existed - rebuild it by migration
+        await writeData(collection, { ...getInitialData(collection), schemaVersion: 0 });
+      }
+    }
+    // Clients doing incremental sync must refetch everything after this
+    await recordChange('data.restored', null, { snapshot: name, backup: backup.name });
+  });
+  await migrateDatabase();
+
+  return { snapshot: describeSnapshot(snapshot), backup };
 }
 
 /**
- * Get user by email
+ * Delete a snapshot
  */
-async function getUserByEmail(email) {
-  const users = await getAllUsers();
-  return users.find(user => user.email === email);
+async function deleteSnapshot(name) {
+  assertSnapshotName(name);
+  const store = getStorage();
+
+  if (!(await store.exists(SNAPSHOT_PREFIX + name))) {
+    throw new Error('Snapshot not found');
+  }
+
+  await store.remove(SNAPSHOT_PREFIX + name);
+  return true;
 }
 
 /**
- * Create new user (Registration)
+ * Take a rolling backup before a destructive operation (reset, restore, bulk import)
+ * Only the newest MAX_AUTO_BACKUPS automatic backups are kept
  */
-async function createUser(userData) {
-  const data = await readData('users');
-  
-  // Check for existing username or email
-  const existingUser = data.users.find(u => 
-    u.username === userData.username || u.email === userData.email
-  );
-  
-  if (existingUser) {
-    throw new Error('Username or email already exists');
+async function createAutoBackup(reason, createdBy = 'system') {
+  const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  const store = getStorage();
+
+  // Names tell the backups' order (auto-<date>-<time>[-n]), so listing needn't read them
+  const autoBackups = (await store.list(SNAPSHOT_PREFIX))
+    .filter(name => name.startsWith(SNAPSHOT_PREFIX + AUTO_BACKUP_PREFIX))
+    .map(name => {
+      const [, time = '', counter = '1'] = name.match(/-(\d{8}-\d{6})(?:-(\d+))?$/) || [];
+      return { name, time, counter: Number(counter) };
+    });
+
+  // Several backups within the same second get a counter past the highest so far
+  const counter = Math.max(0, ...autoBackups
+    .filter(backup => backup.time === timestamp)
+    .map(backup => backup.counter)) + 1;
+  const name = `${AUTO_BACKUP_PREFIX}${timestamp}${counter > 1 ? `-${counter}` : ''}`;
+
+  const backup = await createSnapshot(name, { createdBy, reason });
+
+  autoBackups.push({ name: SNAPSHOT_PREFIX + name, time: timestamp, counter });
+  autoBackups.sort((a, b) => b.time.localeCompare(a.time) || b.counter - a.counter);
+  for (const old of autoBackups.slice(MAX_AUTO_BACKUPS)) {
+    await store.remove(old.name);
   }
-  
-  const newId = data.nextId;
-  
-  // Hash password
-  const hashedPassword = await bcrypt.hash(userData.password, 10);
-  
-  const config = await getConfig();
-  
-  const newUser = {
-    id: newId,
-    username: userData.username,
-    email: userData.email,
-    password: hashedPassword,
-    fullName: userData.fullName || userData.username,
-    role: userData.role || 'user', // Default to regular user
-    phone: userData.phone || '',
-    address: userData.address || '',
-    joinDate: new Date().toISOString(),
-    isActive: true,
-    maxBooksAllowed: config.library.maxBooksPerUser,
-    currentBooksCount: 0,
-    totalFines: 0,
-    paidFines: 0,
-    membershipExpiry: addDays(new Date(), 365).toISOString() // 1 year
-  };
-  
-  data.users.push(newUser);
-  data.nextId = newId + 1;
-  await writeData('users', data);
-  
-  // Return user without password
-  const { password, ...userWithoutPassword } = newUser;
-  return userWithoutPassword;
+
+  return backup;
 }
 
+// ==================== GENERIC FILE OPERATIONS ====================
+
+// Active transaction (if any) for the current async call chain
+const transactionContext = new AsyncLocalStorage();
+
 /**
- * Update user
+ * Read a whole collection
+ * Served from the in-memory cache; the returned object is shared, so treat it
+ * as read-only. Inside a transaction, returns the transaction's private copy.
  */
-async function updateUser(id, updates) {
-  const data = await readData('users');
-  const index = data.users.findIndex(user => user.id === parseInt(id));
-  
-  if (index === -1) {
-    throw new Error('User not found');
-  }
-  
-  // If updating password, hash it
-  if (updates.password) {
-    updates.password = await bcrypt.hash(updates.password, 10);
+async function readData(fileName) {
+  const tx = transactionContext.getStore();
+  if (tx && tx.collections.includes(fileName)) {
+    if (!tx.staged.has(fileName)) {
+      tx.staged.set(fileName, structuredClone(await readFromStorage(fileName)));
+    }
+    return tx.staged.get(fileName);
   }
-  
-  const user = data.users[index];
-  data.users[index] = {
-    ...user,
-    ...updates,
-    id: user.id, // Never change ID
-    joinDate: user.joinDate // Never change join date
-  };
-  
-  await writeData('users', data);
-  
-  const { password, ...userWithoutPassword } = data.users[index];
-  return userWithoutPassword;
+
+  return await readFromStorage(fileName);
 }
 
 /**
- * Validate password
+ * Write a whole collection to storage (atomic per collection)
+ * Inside a transaction, the write is staged until the transaction commits
  */
-async function validatePassword(plainPassword, hashedPassword) {
-  return await bcrypt.compare(plainPassword, hashedPassword);
+async function writeData(fileName, data) {
+  const tx = transactionContext.getStore();
+  if (tx) {
+    if (!tx.collections.includes(fileName)) {
+      throw new Error(`Transaction cannot write ${fileName}: not one of its collections`);
+    }
+    tx.staged.set(fileName, data);
+    tx.dirty.add(fileName);
+    return true;
+  }
+
+  const { cache } = currentLibrary();
+  const release = await acquireWriteLocks([fileName]);
+  try {
+    // Keep our own copy so later changes to `data` by the caller don't leak into the cache
+    const snapshot = structuredClone(data);
+    await getStorage().write(fileName, snapshot);
+    cache.set(fileName, { data: snapshot, index: null });
+    return true;
+  } catch (error) {
+    cache.delete(fileName);
+    console.error(`Error writing ${fileName}:`, error.message);
+    throw new Error(`Failed to write ${fileName}`);
+  } finally {
+    release();
+  }
 }
 
 /**
- * Increment user's book count
+ * Read a collection through the cache, loading it from storage on a miss
  */
-async function incrementUserBookCount(userId) {
-  const data = await readData('users');
-  const user = data.users.find(u => u.id === parseInt(userId));
-  
-  if (!user) {
-    throw new Error('User not found');
+async function readFromStorage(fileName) {
+  const { cache } = currentLibrary();
+  if (cache.has(fileName)) {
+    return cache.get(fileName).data;
+  }
+
+  try {
+    const data = await getStorage().read(fileName);
+    cache.set(fileName, { data, index: null });
+    return data;
+  } catch (error) {
+    console.error(`Error reading ${fileName}:`, error.message);
+    throw new Error(`Failed to read ${fileName}`);
   }
-  
-  user.currentBooksCount += 1;
-  await writeData('users', data);
-  
-  return user.currentBooksCount;
 }
 
 /**
- * Decrement user's book count
+ * Find a record by id in a list collection (books, users, issues)
+ * Uses the cached id index; inside a transaction the staged copy is searched
  */
-async function decrementUserBookCount(userId) {
-  const data = await readData('users');
-  const user = data.users.find(u => u.id === parseInt(userId));
-  
-  if (!user) {
-    throw new Error('User not found');
+async function findById(fileName, id) {
+  const recordId = parseInt(id);
+  const tx = transactionContext.getStore();
+
+  if (tx && tx.collections.includes(fileName)) {
+    const data = await readData(fileName);
+    return data[fileName].find(record => record.id === recordId);
   }
-  
-  user.currentBooksCount = Math.max(0, user.currentBooksCount - 1);
-  await writeData('users', data);
-  
-  return user.currentBooksCount;
+
+  const data = await readFromStorage(fileName);
+  const entry = currentLibrary().cache.get(fileName);
+
+  // The collection may have been reloaded while we were waiting
+  if (!entry || entry.data !== data) {
+    return data[fileName].find(record => record.id === recordId);
+  }
+
+  if (!entry.index) {
+    entry.index = new Map(data[fileName].map(record => [record.id, record]));
+  }
+  return entry.index.get(recordId);
 }
 
 /**
- * Add fine to user's total
+ * Wait for the write lock of one collection
+ * Resolves with a release function; waiters are served in FIFO order
  */
-async function addFineToUser(userId, amount) {
+function acquireWriteLock(collection) {
+  const { writeQueues } = currentLibrary();
+  const previous = writeQueues.get(collection) || Promise.resolve();
+
+  let release;
+  const current = new Promise(resolve => { release = resolve; });
+  const tail = previous.then(() => current);
+  writeQueues.set(collection, tail);
+
+  return previous.then(() => () => {
+    release();
+    if (writeQueues.get(collection) === tail) {
+      writeQueues.delete(collection);
+    }
+  });
+}
+
+/**
+ * Wait for the write locks of several collections
+ * Locks are always taken in alphabetical order so two transactions over
+ * overlapping collections can never wait on each other (no deadlocks)
+ */
+async function acquireWriteLocks(collections) {
+  const releases = [];
+  for (const collection of [...new Set(collections)].sort()) {
+    releases.push(await acquireWriteLock(collection));
+  }
+  return () => releases.reverse().forEach(release => release());
+}
+
+/**
+ * Run several operations as one all-or-nothing unit
+ * Every readData/writeData on the listed collections inside `work` is staged
+ * in memory; the staged collections are written together only if `work`
+ * resolves. If it throws, nothing is written.
+ *
+ * The transaction holds the write lock of each listed collection from its
+ * first read to its commit, so concurrent requests touching the same
+ * collection are serialized and can't overwrite each other's changes.
+ *
+ * Transactions can be nested - the inner one joins the outer one, but it may
+ * only use collections the outer transaction already declared.
+ *
+ * Example:
+ *   await transaction(['books', 'issues'], async () => {
+ *     await createIssue(...);
+ *     await syncBookCounters(...);
+ *   });
+ */
+async function transaction(collections, work) {
+  const current = transactionContext.getStore();
+
+  if (current) {
+    const missing = collections.filter(name => !current.collections.includes(name));
+    if (missing.length > 0) {
+      throw new Error(`Nested transaction cannot add collections: ${missing.join(', ')}`);
+    }
+    return await work();
+  }
+
+  const tx = {
+    collections,
+    staged: new Map(),
+    dirty: new Set(),
+    changes: []
+  };
+
+  const { cache } = currentLibrary();
+  const release = await acquireWriteLocks(collections);
+  try {
+    const result = await transactionContext.run(tx, work);
+
+    if (tx.dirty.size > 0) {
+      const entries = [...tx.dirty].map(name => [name, tx.staged.get(name)]);
+      try {
+        await getStorage().writeMany(entries);
+        for (const [name, data] of entries) {
+          cache.set(name, { data, index: null });
+        }
+      } catch (error) {
+        for (const [name] of entries) {
+          cache.delete(name);
+        }
+        console.error(`Error committing ${[...tx.dirty].join(', ')}:`, error.message);
+        throw new Error('Failed to commit transaction');
+      }
+    }
+
+    // Only committed changes reach the change feed
+    await publishChanges(tx.changes);
+
+    return result;
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Get next auto-increment ID
+ */
+async function getNextId(fileName) {
+  return await transaction([fileName], async () => {
+    const data = await readData(fileName);
+    const currentId = data.nextId;
+    data.nextId = currentId + 1;
+    await writeData(fileName, data);
+    return currentId;
+  });
+}
+
+// ==================== CHANGE FEED ====================
+
+// Every committed mutation is appended to the 'changes' log with a
+// monotonically increasing sequence number and emitted on `changeEvents`
+const CHANGE_LOG = 'changes';
+const changeEvents = new EventEmitter();
+
+/**
+ * Record a domain event, e.g. recordChange('book.created', null, newBook)
+ * Inside a transaction the event is held back until the transaction commits
+ */
+async function recordChange(type, before, after) {
+  const change = {
+    type,
+    entityId: (after || before || {}).id || null,
+    timestamp: new Date().toISOString(),
+    before: sanitizeChangePayload(type, before),
+    after: sanitizeChangePayload(type, after)
+  };
+
+  const tx = transactionContext.getStore();
+  if (tx) {
+    tx.changes.push(change);
+    return change;
+  }
+
+  await publishChanges([change]);
+  return change;
+}
+
+/**
+ * Copy a record for the change log (passwords never leave the users collection)
+ */
+function sanitizeChangePayload(type, record) {
+  if (!record) return null;
+
+  const copy = structuredClone(record);
+  if (type.startsWith('user.')) {
+    delete copy.password;
+  }
+  return copy;
+}
+
+/**
+ * Number the changes, append them to the log and notify listeners
+ */
+async function publishChanges(changes) {
+  if (changes.length === 0) return;
+
+  const library = currentLibrary();
+  const store = getStorage();
+  try {
+    if (library.lastSequence === null) {
+      if (!library.sequenceLoading) {
+        library.sequenceLoading = store.readLog(CHANGE_LOG).then(entries => {
+          library.lastSequence = entries.length > 0 ? entries[entries.length - 1].sequence : 0;
+        });
+      }
+      await library.sequenceLoading;
+    }
+
+    // Sequence numbers are assigned synchronously so they follow commit order
+    const numbered = changes.map(change => ({
+      sequence: ++library.lastSequence,
+      ...change,
+      tenant: library.tenantId
+    }));
+
+    library.changeLogWrites = library.changeLogWrites
+      .catch(() => {})
+      .then(() => store.append(CHANGE_LOG, numbered));
+    await library.changeLogWrites;
+
+    for (const change of numbered) {
+      changeEvents.emit('change', change);
+      changeEvents.emit(change.type, change);
+    }
+  } catch (error) {
+    // The data is already committed - don't fail the request over the feed
+    console.error('Error writing change feed:', error.message);
+  }
+}
+
+/**
+ * Get changes after a sequence number, oldest first
+ * Returns { changes, lastSequence, hasMore }
+ */
+async function getChanges(options = {}) {
+  const since = parseInt(options.since) || 0;
+  const limit = Math.min(parseInt(options.limit) || 100, 1000);
+  const filter = options.filter || (() => true);
+
+  const entries = await getStorage().readLog(CHANGE_LOG);
+  const matching = entries.filter(change => change.sequence > since && filter(change));
+  const page = matching.slice(0, limit);
+
+  return {
+    changes: page,
+    lastSequence: entries.length > 0 ? entries[entries.length - 1].sequence : 0,
+    hasMore: matching.length > limit
+  };
+}
+
+// ==================== BOOKS OPERATIONS ====================
+
+/**
+ * Get all books
+ */
+async function getAllBooks() {
+  const data = await readData('books');
+  return data.books;
+}
+
+/**
+ * Get book by ID
+ */
+async function getBookById(id) {
+  return await findById('books', id);
+}
+
+/**
+ * Get book by ISBN - accepts ISBN-10 or ISBN-13, with or without hyphens
+ * Returns undefined if no book has it (or the value isn't a valid ISBN)
+ */
+async function getBookByIsbn(isbn) {
+  const normalized = normalizeIsbn(isbn);
+  if (!normalized) return undefined;
+  
+  const books = await getAllBooks();
+  return books.find(book => book.isbn === normalized);
+}
+
+/**
+ * Check and normalize the ISBN of a new or updated book
+ * Returns the hyphen-free ISBN-13, or null when no ISBN is given
+ * Throws a ValidationError for invalid ISBNs and an error for duplicates
+ */
+async function resolveIsbn(isbn, bookId = null) {
+  if (isbn === undefined || isbn === null || String(isbn).trim() === '') {
+    return null;
+  }
+  
+  const normalized = normalizeIsbn(isbn);
+  if (!normalized) {
+    throw new ValidationError('Invalid ISBN', [
+      { field: 'isbn', message: `${isbn} is not a valid ISBN-10 or ISBN-13 (${describeIsbnProblem(isbn)})` }
+    ]);
+  }
+  
+  const existing = await getBookByIsbn(normalized);
+  if (existing && existing.id !== bookId) {
+    throw new Error(`A book with ISBN ${normalized} already exists (book ${existing.id})`);
+  }
+  
+  return normalized;
+}
+
+/**
+ * Create new book (Librarian only)
+ * One available copy is added for each of `totalCopies`
+ * The ISBN is optional, stored as ISBN-13 and must be unique
+ */
+async function createBook(bookData) {
+  return await transaction(['books', 'authors', 'copies'], async () => {
+    const data = await readData('books');
+    const newId = data.nextId;
+    
+    const newBook = {
+      id: newId,
+      userId: bookData.userId || 1, // Compatibility
+      title: bookData.title,
+      authorIds: await resolveAuthorIds(bookData.authorIds || []),
+      body: bookData.body || bookData.description || '',
+      isbn: await resolveIsbn(bookData.isbn),
+      category: bookData.category || 'General',
+      publishedYear: bookData.publishedYear || new Date().getFullYear(),
+      totalCopies: bookData.totalCopies || 1,
+      availableCopies: bookData.totalCopies || 1,
+      issuedCopies: 0,
+      coverImage: bookData.coverImage || '',
+      addedBy: bookData.addedBy || 'admin',
+      addedDate: new Date().toISOString()
+    };
+    
+    validateRecord('book', newBook);
+    data.books.push(newBook);
+    data.nextId = newId + 1;
+    await writeData('books', data);
+    await recordChange('book.created', null, newBook);
+    
+    await addCopies(newId, newBook.totalCopies, { shelfLocation: bookData.shelfLocation });
+    
+    return newBook;
+  });
+}
+
+/**
+ * Update book
+ * Pass { totalCopies } to add or withdraw copies as well (see setTotalCopies);
+ * the fields and the copies are committed together, so a refused update changes neither
+ */
+async function updateBook(id, updates, { totalCopies } = {}) {
+  return await transaction(['books', 'authors', 'copies', 'holds'], async () => {
+    const data = await readData('books');
+    const index = data.books.findIndex(book => book.id === parseInt(id));
+    
+    if (index === -1) {
+      throw new Error('Book not found');
+    }
+    
+    if (updates.authorIds !== undefined) {
+      updates = { ...updates, authorIds: await resolveAuthorIds(updates.authorIds) };
+    }
+    
+    if (updates.isbn !== undefined) {
+      updates = { ...updates, isbn: await resolveIsbn(updates.isbn, parseInt(id)) };
+    }
+    
+    // Preserve stock integrity
+    const book = data.books[index];
+    data.books[index] = {
+      ...book,
+      ...updates,
+      id: book.id, // Never change ID
+      totalCopies: book.totalCopies, // Derived from copies (see setTotalCopies)
+      availableCopies: book.availableCopies, // Derived from copies
+      issuedCopies: book.issuedCopies // Derived from copies
+    };
+    
+    validateRecord('book', data.books[index]);
+    await writeData('books', data);
+    await recordChange('book.updated', book, data.books[index]);
+    
+    if (totalCopies !== undefined) {
+      return await setTotalCopies(book.id, totalCopies);
+    }
+    return data.books[index];
+  });
+}
+
+/**
+ * Delete book and its copies (only if no active issues)
+ * Open holds on the book are cancelled
+ */
+async function deleteBook(id) {
+  return await transaction(['books', 'copies', 'issues', 'holds'], async () => {
+    // Check for active issues
+    const issues = await getAllIssues();
+    const activeIssues = issues.filter(issue => 
+      issue.bookId === parseInt(id) && ACTIVE_ISSUE_STATUSES.includes(issue.status)
+    );
+    
+    if (activeIssues.length > 0) {
+      throw new Error('Cannot delete book with active issues');
+    }
+    
+    const data = await readData('books');
+    const index = data.books.findIndex(book => book.id === parseInt(id));
+    
+    if (index === -1) {
+      throw new Error('Book not found');
+    }
+    
+    const deletedBook = data.books.splice(index, 1)[0];
+    await writeData('books', data);
+    await recordChange('book.deleted', deletedBook, null);
+    
+    const copyData = await readData('copies');
+    const deletedCopies = copyData.copies.filter(copy => copy.bookId === deletedBook.id);
+    copyData.copies = copyData.copies.filter(copy => copy.bookId !== deletedBook.id);
+    await writeData('copies', copyData);
+    for (const copy of deletedCopies) {
+      await recordChange('copy.deleted', copy, null);
+    }
+    
+    for (const hold of await getOpenHoldsByBook(deletedBook.id)) {
+      await updateHold(hold.id, { status: 'cancelled', closedDate: new Date().toISOString() });
+    }
+    
+    return deletedBook;
+  });
+}
+
+/**
+ * Recalculate a book's copy counters from its copies
+ * Called whenever a copy is added, lent, returned or changes status
+ */
+async function syncBookCounters(bookId) {
+  return await transaction(['books', 'copies'], async () => {
+    const data = await readData('books');
+    const book = data.books.find(b => b.id === parseInt(bookId));
+    
+    if (!book) {
+      throw new Error('Book not found');
+    }
+    
+    const copies = await getCopiesByBook(book.id);
+    const counters = {
+      totalCopies: copies.filter(copy => STOCK_STATUSES.includes(copy.status)).length,
+      availableCopies: copies.filter(copy => copy.status === 'available').length,
+      issuedCopies: copies.filter(copy => copy.status === 'issued').length
+    };
+    
+    if (Object.entries(counters).every(([field, value]) => book[field] === value)) {
+      return book;
+    }
+    
+    const before = structuredClone(book);
+    Object.assign(book, counters);
+    
+    validateRecord('book', book);
+    await writeData('books', data);
+    await recordChange('book.updated', before, book);
+    return book;
+  });
+}
+
+/**
+ * Search books by title, author, ISBN, category or description
+ * Ranked best match first; each book gets a `score` and `highlights`
+ * (matched fields with the matching words in <mark> tags).
+ * See search/index.js for the query syntax (title:dune, author:"le guin"...)
+ */
+async function searchBooks(query) {
+  const index = await getSearchIndex();
+  
+  return search(index, query).map(({ book, score, highlights }) => ({
+    ...book,
+    score,
+    highlights
+  }));
+}
+
+/**
+ * Get the search index of the current library
+ * Rebuilt whenever the books or authors collection has changed since
+ */
+async function getSearchIndex() {
+  const library = currentLibrary();
+  const books = await readData('books');
+  const authors = await readData('authors');
+  const cached = library.searchIndex;
+  
+  if (cached && cached.books === books && cached.authors === authors) {
+    return cached.index;
+  }
+  
+  const index = buildSearchIndex(books.books, authors.authors);
+  library.searchIndex = { books, authors, index };
+  return index;
+}
+
+// Windows of the "added" facet, in days (books added in the last 7/30/365 days)
+const ADDED_WITHIN_DAYS = [7, 30, 365];
+
+// Values always listed in a facet, even when no book has them
+const FIXED_FACET_VALUES = {
+  availability: ['available', 'unavailable'],
+  added: ADDED_WITHIN_DAYS
+};
+
+// Facet values of a book: facet name -> values the book has
+const BOOK_FACETS = {
+  category: book => [book.category],
+  decade: book => (book.publishedYear == null ? [] : [Math.floor(book.publishedYear / 10) * 10]),
+  availability: book => [book.availableCopies > 0 ? 'available' : 'unavailable'],
+  added: (book, now) => {
+    const age = differenceInDays(now, parseISO(book.addedDate));
+    return ADDED_WITHIN_DAYS.filter(days => age < days);
+  }
+};
+
+/**
+ * Does a book have one of the selected values of a facet?
+ * (no selection matches every book)
+ */
+function matchesFacet(values, selected) {
+  if (!selected || selected.length === 0) return true;
+  return values.some(value => selected.some(choice => 
+    typeof value === 'string' ? value.toLowerCase() === String(choice).toLowerCase() : value === choice
+  ));
+}
+
+/**
+ * Browse the catalogue by facets
+ * selection: { q, category: ['Fiction'], decade: [1940], availability: ['available'], added: [30] }
+ * Values within a facet are alternatives (OR), facets narrow each other (AND).
+ * Returns { books, facets, addedDateRange }:
+ *   facets.<name> = [{ value, label, count, selected }] where count is how many
+ *   books the value would give with the other facets' selections applied, so
+ *   a catalogue page can offer the counts as drill-down filters
+ */
+async function browseBooks(selection = {}) {
+  const now = new Date();
+  const candidates = selection.q ? await searchBooks(selection.q) : await getAllBooks();
+  const bookValues = candidates.map(book => Object.fromEntries(
+    Object.entries(BOOK_FACETS).map(([facet, valuesOf]) => [facet, valuesOf(book, now)])
+  ));
+  
+  const matchesExcept = (index, skippedFacet) => Object.keys(BOOK_FACETS).every(facet => 
+    facet === skippedFacet || matchesFacet(bookValues[index][facet], selection[facet])
+  );
+  
+  const facets = {};
+  for (const facet of Object.keys(BOOK_FACETS)) {
+    const counts = new Map();
+    candidates.forEach((book, index) => {
+      if (!matchesExcept(index, facet)) return;
+      for (const value of bookValues[index][facet]) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    });
+    
+    // Selected values stay listed (with 0) so the client can unselect them
+    const selected = (selection[facet] || [])
+      .filter(choice => !matchesFacet([...counts.keys()], [choice]));
+    const values = [...new Set([...(FIXED_FACET_VALUES[facet] || []), ...counts.keys(), ...selected])];
+    
+    facets[facet] = values
+      .map(value => ({
+        value,
+        label: describeFacetValue(facet, value),
+        count: counts.get(value) || 0,
+        selected: matchesFacet([value], selection[facet]) && (selection[facet] || []).length > 0
+      }))
+      .sort((a, b) => (typeof a.value === 'string' ? a.value.localeCompare(b.value) : a.value - b.value));
+  }
+  
+  const books = candidates.filter((book, index) => matchesExcept(index, null));
+  const addedDates = books.map(book => book.addedDate).sort();
+  
+  return {
+    books,
+    facets,
+    addedDateRange: addedDates.length > 0
+      ? { from: addedDates[0], to: addedDates[addedDates.length - 1] }
+      : null
+  };
+}
+
+/**
+ * Display label of a facet value ("1940s", "Last 30 days")
+ */
+function describeFacetValue(facet, value) {
+  switch (facet) {
+    case 'decade': return `${value}s`;
+    case 'added': return `Last ${value} days`;
+    case 'availability': return value === 'available' ? 'Available now' : 'All copies out';
+    default: return value;
+  }
+}
+
+// ==================== AUTHORS OPERATIONS ====================
+
+/**
+ * Get all authors
+ */
+async function getAllAuthors() {
+  const data = await readData('authors');
+  return data.authors;
+}
+
+/**
+ * Get author by ID
+ */
+async function getAuthorById(id) {
+  return await findById('authors', id);
+}
+
+/**
+ * Search authors by name or nationality
+ */
+async function searchAuthors(query) {
+  const authors = await getAllAuthors();
+  const lowerQuery = query.toLowerCase();
+  
+  return authors.filter(author => 
+    author.name.toLowerCase().includes(lowerQuery) ||
+    (author.nationality || '').toLowerCase().includes(lowerQuery)
+  );
+}
+
+/**
+ * Get the books written (or co-written) by an author
+ */
+async function getBooksByAuthor(authorId) {
+  const books = await getAllBooks();
+  return books.filter(book => (book.authorIds || []).includes(parseInt(authorId)));
+}
+
+/**
+ * Get the authors of a book, in the order they are listed on the book
+ */
+async function getBookAuthors(book) {
+  const authors = [];
+  for (const id of book.authorIds || []) {
+    const author = await getAuthorById(id);
+    if (author) {
+      authors.push(author);
+    }
+  }
+  return authors;
+}
+
+/**
+ * Author fields for book summaries in API responses
+ * `author` is the display string ("Aldous Huxley", "A, B"), `authors` the linked records
+ */
+async function describeBookAuthors(book) {
+  const authors = await getBookAuthors(book);
+  return {
+    author: authors.map(author => author.name).join(', ') || null,
+    authors: authors.map(author => ({ id: author.id, name: author.name }))
+  };
+}
+
+/**
+ * Normalize a book's author ids and check every author exists
+ * Non-array input is passed through so schema validation reports it
+ */
+async function resolveAuthorIds(authorIds) {
+  if (!Array.isArray(authorIds)) {
+    return authorIds;
+  }
+  
+  const ids = [...new Set(authorIds.map(id => parseInt(id)))];
+  for (const id of ids) {
+    if (Number.isInteger(id) && !(await getAuthorById(id))) {
+      throw new Error(`Author not found: ${id}`);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Create new author (Librarian only)
+ */
+async function createAuthor(authorData) {
+  return await transaction(['authors'], async () => {
+    const data = await readData('authors');
+    const newId = data.nextId;
+    
+    const newAuthor = {
+      id: newId,
+      name: authorData.name,
+      bio: authorData.bio || '',
+      birthYear: authorData.birthYear || null,
+      nationality: authorData.nationality || '',
+      addedDate: new Date().toISOString()
+    };
+    
+    validateRecord('author', newAuthor);
+    data.authors.push(newAuthor);
+    data.nextId = newId + 1;
+    await writeData('authors', data);
+    await recordChange('author.created', null, newAuthor);
+    
+    return newAuthor;
+  });
+}
+
+/**
+ * Update author
+ */
+async function updateAuthor(id, updates) {
+  return await transaction(['authors'], async () => {
+    const data = await readData('authors');
+    const index = data.authors.findIndex(author => author.id === parseInt(id));
+    
+    if (index === -1) {
+      throw new Error('Author not found');
+    }
+    
+    const author = data.authors[index];
+    data.authors[index] = {
+      ...author,
+      ...updates,
+      id: author.id, // Never change ID
+      addedDate: author.addedDate
+    };
+    
+    validateRecord('author', data.authors[index]);
+    await writeData('authors', data);
+    await recordChange('author.updated', author, data.authors[index]);
+    return data.authors[index];
+  });
+}
+
+/**
+ * Delete author (only if no book lists them)
+ */
+async function deleteAuthor(id) {
+  return await transaction(['authors', 'books'], async () => {
+    const books = await getBooksByAuthor(id);
+    
+    if (books.length > 0) {
+      throw new Error('Cannot delete author with books');
+    }
+    
+    const data = await readData('authors');
+    const index = data.authors.findIndex(author => author.id === parseInt(id));
+    
+    if (index === -1) {
+      throw new Error('Author not found');
+    }
+    
+    const deletedAuthor = data.authors.splice(index, 1)[0];
+    await writeData('authors', data);
+    await recordChange('author.deleted', deletedAuthor, null);
+    
+    return deletedAuthor;
+  });
+}
+
+// ==================== COPIES OPERATIONS ====================
+
+// Copy statuses that count towards a book's totalCopies
+// ('on-hold' copies are set aside on the pickup shelf for a ready hold)
+const STOCK_STATUSES = ['available', 'issued', 'on-hold', 'damaged'];
+
+// Statuses a librarian may set by hand ('issued' is only set by lending a copy)
+const MANUAL_COPY_STATUSES = ['available', 'damaged', 'lost', 'withdrawn'];
+
+/**
+ * Get all copies
+ */
+async function getAllCopies() {
+  const data = await readData('copies');
+  return data.copies;
+}
+
+/**
+ * Get copy by ID
+ */
+async function getCopyById(id) {
+  return await findById('copies', id);
+}
+
+/**
+ * Get copy by barcode
+ */
+async function getCopyByBarcode(barcode) {
+  const copies = await getAllCopies();
+  return copies.find(copy => copy.barcode === barcode);
+}
+
+/**
+ * Get all copies of a book
+ */
+async function getCopiesByBook(bookId) {
+  const copies = await getAllCopies();
+  return copies.filter(copy => copy.bookId === parseInt(bookId));
+}
+
+/**
+ * Default barcode for a copy, e.g. C000042
+ */
+function formatBarcode(copyId) {
+  return `C${String(copyId).padStart(6, '0')}`;
+}
+
+/**
+ * Add copies of a book (inside the caller's transaction)
+ * Book counters are not touched - callers sync them
+ */
+async function addCopies(bookId, count, copyData = {}) {
+  const data = await readData('copies');
+  const added = [];
+  
+  for (let i = 0; i < count; i++) {
+    const newId = data.nextId;
+    const barcode = count === 1 && copyData.barcode ? copyData.barcode : formatBarcode(newId);
+    
+    if (data.copies.some(copy => copy.barcode === barcode)) {
+      throw new Error(`Barcode ${barcode} already exists`);
+    }
+    
+    const newCopy = {
+      id: newId,
+      bookId: parseInt(bookId),
+      barcode,
+      shelfLocation: copyData.shelfLocation || '',
+      condition: copyData.condition || 'new',
+      status: 'available',
+      acquiredDate: new Date().toISOString(),
+      notes: copyData.notes || ''
+    };
+    
+    validateRecord('copy', newCopy);
+    data.copies.push(newCopy);
+    data.nextId = newId + 1;
+    added.push(newCopy);
+  }
+  
+  await writeData('copies', data);
+  for (const copy of added) {
+    await recordChange('copy.created', null, copy);
+  }
+  return added;
+}
+
+/**
+ * Add one copy of a book (Librarian only)
+ * copyData: { bookId, barcode?, shelfLocation?, condition?, notes? }
+ */
+async function createCopy(copyData) {
+  return await transaction(['books', 'copies', 'holds'], async () => {
+    const book = await getBookById(copyData.bookId);
+    
+    if (!book) {
+      throw new Error('Book not found');
+    }
+    
+    const [copy] = await addCopies(book.id, 1, copyData);
+    await syncBookCounters(book.id);
+    
+    // The new copy may go straight to the first patron in the hold queue
+    await fillHolds(book.id);
+    return await getCopyById(copy.id);
+  });
+}
+
+/**
+ * Update copy details or status
+ * A copy on loan or set aside for a hold can't change status - it goes
+ * through the issue and hold workflows instead
+ */
+async function updateCopy(id, updates) {
+  return await transaction(['books', 'copies', 'holds'], async () => {
+    const data = await readData('copies');
+    const index = data.copies.findIndex(copy => copy.id === parseInt(id));
+    
+    if (index === -1) {
+      throw new Error('Copy not found');
+    }
+    
+    const copy = data.copies[index];
+    
+    if (updates.status !== undefined && updates.status !== copy.status) {
+      if (copy.status === 'issued') {
+        throw new Error('Copy is on loan - return it first');
+      }
+      if (copy.status === 'on-hold') {
+        throw new Error('Copy is set aside for a hold - cancel the hold first');
+      }
+      if (!MANUAL_COPY_STATUSES.includes(updates.status)) {
+        throw new Error(`Copy status must be one of: ${MANUAL_COPY_STATUSES.join(', ')}`);
+      }
+    }
+    
+    if (updates.barcode !== undefined &&
+        data.copies.some(other => other.barcode === updates.barcode && other.id !== copy.id)) {
+      throw new Error(`Barcode ${updates.barcode} already exists`);
+    }
+    
+    data.copies[index] = {
+      ...copy,
+      ...updates,
+      id: copy.id, // Never change ID
+      bookId: copy.bookId
+    };
+    
+    validateRecord('copy', data.copies[index]);
+    await writeData('copies', data);
+    await recordChange('copy.updated', copy, data.copies[index]);
+    
+    await syncBookCounters(copy.bookId);
+    if (data.copies[index].status === 'available') {
+      await fillHolds(copy.bookId);
+    }
+    return await getCopyById(copy.id);
+  });
+}
+
+/**
+ * Delete a copy that was never lent out (others should be withdrawn instead)
+ */
+async function deleteCopy(id) {
+  return await transaction(['books', 'copies', 'issues'], async () => {
+    const issues = await getAllIssues();
+    if (issues.some(issue => issue.copyId === parseInt(id))) {
+      throw new Error('Cannot delete copy with issue history - withdraw it instead');
+    }
+    
+    const data = await readData('copies');
+    const index = data.copies.findIndex(copy => copy.id === parseInt(id));
+    
+    if (index === -1) {
+      throw new Error('Copy not found');
+    }
+    
+    const deletedCopy = data.copies.splice(index, 1)[0];
+    await writeData('copies', data);
+    await recordChange('copy.deleted', deletedCopy, null);
+    
+    await syncBookCounters(deletedCopy.bookId);
+    return deletedCopy;
+  });
+}
+
+/**
+ * Change how many copies of a book the library holds
+ * Adds new copies, or withdraws available (then damaged) copies
+ */
+async function setTotalCopies(bookId, total) {
+  return await transaction(['books', 'copies', 'holds'], async () => {
+    const book = await getBookById(bookId);
+    
+    if (!book) {
+      throw new Error('Book not found');
+    }
+    
+    if (total > book.totalCopies) {
+      await addCopies(book.id, total - book.totalCopies);
+      await syncBookCounters(book.id);
+      await fillHolds(book.id);
+      return await getBookById(book.id);
+    }
+    
+    const removable = (await getCopiesByBook(book.id))
+      .filter(copy => copy.status === 'available' || copy.status === 'damaged')
+      .sort((a, b) => (a.status === 'available' ? 0 : 1) - (b.status === 'available' ? 0 : 1));
+    const toWithdraw = book.totalCopies - total;
+    
+    if (toWithdraw > removable.length) {
+      throw new Error(`Cannot reduce total copies below ${book.totalCopies - removable.length}`);
+    }
+    
+    for (const copy of removable.slice(0, toWithdraw)) {
+      await updateCopy(copy.id, { status: 'withdrawn' });
+    }
+    return await syncBookCounters(book.id);
+  });
+}
+
+/**
+ * Set the status of a copy from a workflow (lending, returns, holds, losses)
+ * `changes` may update other fields along with it, e.g. { condition: 'damaged' }
+ * The book's counters are synced afterwards
+ */
+async function changeCopyStatus(copyId, status, changes = {}) {
+  const data = await readData('copies');
+  const copy = data.copies.find(c => c.id === parseInt(copyId));
+  
+  if (!copy) {
+    throw new Error('Copy not found');
+  }
+  
+  const before = structuredClone(copy);
+  Object.assign(copy, changes, { status });
+  
+  validateRecord('copy', copy);
+  await writeData('copies', data);
+  await recordChange('copy.updated', before, copy);
+  
+  await syncBookCounters(copy.bookId);
+  return copy;
+}
+
+/**
+ * Mark a copy of a book as lent out
+ * Uses the given copy, or the first available copy of the book
+ */
+async function lendCopy(bookId, copyId = null) {
+  const copies = await getCopiesByBook(bookId);
+  const copy = copyId
+    ? copies.find(c => c.id === parseInt(copyId))
+    : copies.find(c => c.status === 'available');
+  
+  if (!copy && copyId) {
+    throw new NotFoundError('Copy not found for this book', 'copy-not-found');
+  }
+  if (!copy) {
+    throw new UnavailableError('Book is not available', 'book-unavailable');
+  }
+  
+  if (copy.status !== 'available') {
+    throw new UnavailableError('Copy is not available', 'copy-unavailable');
+  }
+  
+  return await changeCopyStatus(copy.id, 'issued');
+}
+
+// ==================== CATALOG IMPORT ====================
+
+/**
+ * Import books in bulk (CSV and MARC imports, see catalog/)
+ * records: [{ row, book: { title, isbn, authors: ['Name'], category, publishedYear,
+ *             description, totalCopies, coverImage, shelfLocation }, errors: [...] }]
+ *
+ * Books are matched by ISBN: a known ISBN updates that book (only the fields
+ * given), anything else creates a new book. Authors are matched by name and
+ * created when missing. Rows with errors are skipped and reported; the rest
+ * are applied together in one transaction.
+ *
+ * With dryRun nothing is written - the result shows what would happen.
+ * Returns { dryRun, summary: { rows, created, updated, failed }, rows: [{ row, action, bookId, isbn, title, errors }] }
+ */
+async function importBooks(records, { dryRun = false, importedBy = 'admin' } = {}) {
+  const books = await getAllBooks();
+  const copies = await getAllCopies();
+  const seenIsbns = new Map();
+  
+  const rows = records.map(record => {
+    const errors = [...record.errors];
+    const { book } = record;
+    const existing = book.isbn ? books.find(b => b.isbn === book.isbn) : null;
+    
+    if (book.isbn) {
+      if (seenIsbns.has(book.isbn)) {
+        errors.push({ field: 'isbn', message: `ISBN ${book.isbn} already appears in row ${seenIsbns.get(book.isbn)}` });
+      } else {
+        seenIsbns.set(book.isbn, record.row);
+      }
+    }
+    
+    // Copies can only be withdrawn from the shelf, not from borrowers
+    if (existing && book.totalCopies !== undefined && book.totalCopies < existing.totalCopies) {
+      const removable = copies.filter(copy =>
+        copy.bookId === existing.id && (copy.status === 'available' || copy.status === 'damaged')
+      ).length;
+      if (existing.totalCopies - book.totalCopies > removable) {
+        errors.push({
+          field: 'totalCopies',
+          message: `Cannot reduce total copies below ${existing.totalCopies - removable} - the rest are out or set aside`
+        });
+      }
+    }
+    
+    return {
+      row: record.row,
+      action: errors.length > 0 ? 'failed' : existing ? 'update' : 'create',
+      bookId: existing ? existing.id : null,
+      isbn: book.isbn || null,
+      title: book.title || null,
+      errors,
+      book
+    };
+  });
+  
+  const valid = rows.filter(row => row.action !== 'failed');
+  
+  if (!dryRun && valid.length > 0) {
+    await createAutoBackup('before catalog import', importedBy);
+    
+    await transaction(['books', 'authors', 'copies', 'holds'], async () => {
+      const authorIds = new Map((await getAllAuthors()).map(author => [author.name.toLowerCase(), author.id]));
+      
+      for (const row of valid) {
+        const { book } = row;
+        const fields = {};
+        
+        for (const field of ['title', 'category', 'publishedYear', 'coverImage']) {
+          if (book[field] !== undefined) fields[field] = book[field];
+        }
+        if (book.description !== undefined) fields.body = book.description;
+        if (book.isbn) fields.isbn = book.isbn;
+        
+        if (book.authors) {
+          fields.authorIds = [];
+          for (const name of book.authors) {
+            if (!authorIds.has(name.toLowerCase())) {
+              const author = await createAuthor({ name });
+              authorIds.set(name.toLowerCase(), author.id);
+            }
+            fields.authorIds.push(authorIds.get(name.toLowerCase()));
+          }
+        }
+        
+        if (row.action === 'update') {
+          await updateBook(row.bookId, fields);
+          if (book.totalCopies !== undefined) {
+            await setTotalCopies(row.bookId, book.totalCopies);
+          }
+        } else {
+          const created = await createBook({
+            ...fields,
+            totalCopies: book.totalCopies,
+            shelfLocation: book.shelfLocation,
+            addedBy: importedBy
+          });
+          row.bookId = created.id;
+        }
+      }
+    });
+  }
+  
+  return {
+    dryRun,
+    summary: {
+      rows: rows.length,
+      created: rows.filter(row => row.action === 'create').length,
+      updated: rows.filter(row => row.action === 'update').length,
+      failed: rows.length - valid.length
+    },
+    rows: rows.map(({ book, ...row }) => row)
+  };
+}
+
+// ==================== USERS OPERATIONS ====================
+
+/**
+ * Get all users
+ */
+async function getAllUsers() {
   const data = await readData('users');
-  const user = data.users.find(u => u.id === parseInt(userId));
+  return data.users;
+}
+
+/**
+ * Get user by ID
+ */
+async function getUserById(id) {
+  return await findById('users', id);
+}
+
+/**
+ * Get user by username
+ */
+async function getUserByUsername(username) {
+  const users = await getAllUsers();
+  return users.find(user => user.username === username);
+}
+
+/**
+ * Get user by email
+ */
+async function getUserByEmail(email) {
+  const users = await getAllUsers();
+  return users.find(user => user.email === email);
+}
+
+/**
+ * Create new user (Registration)
+ */
+async function createUser(userData) {
+  return await transaction(['users'], async () => {
+    const data = await readData('users');
+    
+    // Check for existing username or email
+    const existingUser = data.users.find(u => 
+      u.username === userData.username || u.email === userData.email
+    );
+    
+    if (existingUser) {
+      throw new Error('Username or email already exists');
+    }
+    
+    const newId = data.nextId;
+    
+    // Hash password
+    const hashedPassword = await bcrypt.hash(userData.password, 10);
+    
+    const config = await getConfig();
+    const patronType = userData.patronType || 'student';
+    
+    const newUser = {
+      id: newId,
+      username: userData.username,
+      email: userData.email,
+      password: hashedPassword,
+      fullName: userData.fullName || userData.username,
+      role: userData.role || 'user', // Default to regular user
+      patronType,
+      phone: userData.phone || '',
+      address: userData.address || '',
+      joinDate: new Date().toISOString(),
+      isActive: true,
+      maxBooksAllowed: resolveLoanPolicy(config, patronType).maxBooks,
+      currentBooksCount: 0,
+      totalFines: 0,
+      paidFines: 0,
+      membershipExpiry: addDays(new Date(), 365).toISOString() // 1 year
+    };
+    
+    validateRecord('user', newUser);
+    data.users.push(newUser);
+    data.nextId = newId + 1;
+    await writeData('users', data);
+    await recordChange('user.created', null, newUser);
+    
+    // Return user without password
+    const { password, ...userWithoutPassword } = newUser;
+    return userWithoutPassword;
+  });
+}
+
+/**
+ * Update user
+ */
+async function updateUser(id, updates) {
+  return await transaction(['users'], async () => {
+    const data = await readData('users');
+    const index = data.users.findIndex(user => user.id === parseInt(id));
+    
+    if (index === -1) {
+      throw new Error('User not found');
+    }
+    
+    // If updating password, hash it
+    if (updates.password) {
+      updates.password = await bcrypt.hash(updates.password, 10);
+    }
+    
+    const user = data.users[index];
+    
+    // A new patron type brings its borrowing cap, unless one is given
+    if (updates.patronType && updates.patronType !== user.patronType && updates.maxBooksAllowed === undefined) {
+      updates = {
+        ...updates,
+        maxBooksAllowed: resolveLoanPolicy(await getConfig(), updates.patronType).maxBooks
+      };
+    }
+    data.users[index] = {
+      ...user,
+      ...updates,
+      id: user.id, // Never change ID
+      joinDate: user.joinDate // Never change join date
+    };
+    
+    validateRecord('user', data.users[index]);
+    await writeData('users', data);
+    
+    const deactivated = user.isActive && !data.users[index].isActive;
+    await recordChange(deactivated ? 'user.deactivated' : 'user.updated', user, data.users[index]);
+    
+    const { password, ...userWithoutPassword } = data.users[index];
+    return userWithoutPassword;
+  });
+}
+
+/**
+ * Validate password
+ */
+async function validatePassword(plainPassword, hashedPassword) {
+  return await bcrypt.compare(plainPassword, hashedPassword);
+}
+
+/**
+ * Increment user's book count
+ */
+async function incrementUserBookCount(userId) {
+  return await transaction(['users'], async () => {
+    const data = await readData('users');
+    const user = data.users.find(u => u.id === parseInt(userId));
+    
+    if (!user) {
+      throw new Error('User not found');
+    }
+    
+    const before = structuredClone(user);
+    user.currentBooksCount += 1;
+    validateRecord('user', user);
+    await writeData('users', data);
+    await recordChange('user.updated', before, user);
+    
+    return user.currentBooksCount;
+  });
+}
+
+/**
+ * Decrement user's book count
+ */
+async function decrementUserBookCount(userId) {
+  return await transaction(['users'], async () => {
+    const data = await readData('users');
+    const user = data.users.find(u => u.id === parseInt(userId));
+    
+    if (!user) {
+      throw new Error('User not found');
+    }
+    
+    const before = structuredClone(user);
+    user.currentBooksCount = Math.max(0, user.currentBooksCount - 1);
+    validateRecord('user', user);
+    await writeData('users', data);
+    await recordChange('user.updated', before, user);
+    
+    return user.currentBooksCount;
+  });
+}
+
+/**
+ * Add fine to user's total
+ */
+async function addFineToUser(userId, amount) {
+  return await transaction(['users'], async () => {
+    const data = await readData('users');
+    const user = data.users.find(u => u.id === parseInt(userId));
+    
+    if (!user) {
+      throw new Error('User not found');
+    }
+    
+    const before = structuredClone(user);
+    user.totalFines += amount;
+    validateRecord('user', user);
+    await writeData('users', data);
+    await recordChange('user.updated', before, user);
+    
+    return user.totalFines;
+  });
+}
+
+/**
+ * Pay user's fines
+ */
+async function payUserFine(userId, amount) {
+  return await transaction(['users'], async () => {
+    const data = await readData('users');
+    const user = data.users.find(u => u.id === parseInt(userId));
+    
+    if (!user) {
+      throw new Error('User not found');
+    }
+    
+    const before = structuredClone(user);
+    const paymentAmount = Math.min(amount, user.totalFines);
+    user.totalFines -= paymentAmount;
+    user.paidFines += paymentAmount;
+    
+    validateRecord('user', user);
+    await writeData('users', data);
+    await recordChange('fine.paid', before, user);
+    
+    return { remaining: user.totalFines, paid: paymentAmount };
+  });
+}
+
+/**
+ * Take back a charge made to a user (e.g. the replacement fee of a lost book that was found)
+ * An unpaid charge is removed from the balance; a paid one is refunded
+ * Returns the amount refunded (0 if the charge was still unpaid)
+ */
+async function reverseUserCharge(userId, amount, paid) {
+  return await transaction(['users'], async () => {
+    const data = await readData('users');
+    const user = data.users.find(u => u.id === parseInt(userId));
+    
+    if (!user) {
+      throw new Error('User not found');
+    }
+    
+    const before = structuredClone(user);
+    if (paid) {
+      user.paidFines = Math.max(0, parseFloat((user.paidFines - amount).toFixed(2)));
+    } else {
+      user.totalFines = Math.max(0, parseFloat((user.totalFines - amount).toFixed(2)));
+    }
+    
+    validateRecord('user', user);
+    await writeData('users', data);
+    await recordChange('user.updated', before, user);
+    
+    return paid ? amount : 0;
+  });
+}
+
+// ==================== ISSUES OPERATIONS ====================
+
+// Issues whose book is still out with the patron (all statuses in issue-states.js)
+const ACTIVE_ISSUE_STATUSES = ['issued', 'renewed', 'overdue'];
+
+// Issues whose fine isn't charged to the patron yet - it is once the loan is settled.
+// Their fineAmount is the fine so far (accrue-fines) or the one frozen by a
+// return claim, so it can't be paid: it isn't in the patron's totalFines
+const OPEN_ISSUE_STATUSES = [...ACTIVE_ISSUE_STATUSES, 'claimed-returned'];
+
+/**
+ * Get all issues
+ */
+async function getAllIssues() {
+  const data = await readData('issues');
+  return data.issues;
+}
+
+/**
+ * Get issue by ID
+ */
+async function getIssueById(id) {
+  return await findById('issues', id);
+}
+
+/**
+ * Get active issues by user
+ */
+async function getActiveIssuesByUser(userId) {
+  const issues = await getAllIssues();
+  return issues.filter(issue => 
+    issue.userId === parseInt(userId) && 
+    ACTIVE_ISSUE_STATUSES.includes(issue.status)
+  );
+}
+
+/**
+ * Get issue history by user
+ */
+async function getIssueHistory(userId) {
+  const issues = await getAllIssues();
+  return issues.filter(issue => issue.userId === parseInt(userId));
+}
+
+/**
+ * Get issues by book
+ */
+async function getIssuesByBook(bookId) {
+  const issues = await getAllIssues();
+  return issues.filter(issue => issue.bookId === parseInt(bookId));
+}
+
+/**
+ * Get overdue issues
+ */
+async function getOverdueIssues() {
+  const issues = await getAllIssues();
+  const now = new Date();
+  
+  return issues.filter(issue => {
+    if (!ACTIVE_ISSUE_STATUSES.includes(issue.status)) return false;
+    const dueDate = parseISO(issue.dueDate);
+    return now > dueDate;
+  });
+}
+
+/**
+ * Create new issue (Borrow book)
+ */
+async function createIssue(issueData) {
+  return await transaction(['issues'], async () => {
+    const data = await readData('issues');
+    const policy = await getLoanPolicy(issueData.userId, issueData.bookId);
+    const newId = data.nextId;
+    
+    const issueDate = new Date();
+    const dueDate = await getDueDate(issueDate, policy.loanDays);
+    
+    const newIssue = {
+      id: newId,
+      bookId: issueData.bookId,
+      copyId: issueData.copyId || null,
+      userId: issueData.userId,
+      issueDate: issueDate.toISOString(),
+      dueDate: dueDate.toISOString(),
+      returnDate: null,
+      status: 'issued',
+      issuedBy: issueData.issuedBy || 'system',
+      returnedTo: null,
+      fineAmount: 0,
+      finePaid: false,
+      renewalCount: 0,
+      maxRenewals: policy.maxRenewals,
+      notes: issueData.notes || '',
+      history: [historyEntry(null, 'issued', issueData.issuedBy || 'system')]
+    };
+    
+    validateRecord('issue', newIssue);
+    data.issues.push(newIssue);
+    data.nextId = newId + 1;
+    await writeData('issues', data);
+    await recordChange('issue.created', null, newIssue);
+    
+    return newIssue;
+  });
+}
+
+/**
+ * Update issue
+ * A status in `updates` must be reachable from the current one (see
+ * issue-states.js) and is added to the issue's history with `by` and `note`
+ */
+async function updateIssue(id, updates, { by = 'system', note } = {}) {
+  return await transaction(['issues'], async () => {
+    const data = await readData('issues');
+    const index = data.issues.findIndex(issue => issue.id === parseInt(id));
+    
+    if (index === -1) {
+      throw new Error('Issue not found');
+    }
+    
+    const issue = data.issues[index];
+    let history = issue.history || [];
+    
+    if (updates.status !== undefined) {
+      assertTransition(issue.status, updates.status);
+      history = [...history, historyEntry(issue.status, updates.status, by, note)];
+    }
+    
+    data.issues[index] = {
+      ...issue,
+      ...updates,
+      history,
+      id: issue.id // Never change ID
+    };
+    
+    validateRecord('issue', data.issues[index]);
+    await writeData('issues', data);
+    await recordChange(issueChangeType(issue, data.issues[index]), issue, data.issues[index]);
+    return data.issues[index];
+  });
+}
+
+/**
+ * Name the change made to an issue for the change feed
+ */
+function issueChangeType(before, after) {
+  if (before.status === 'lost' && after.status === 'returned') return 'issue.found';
+  if (before.status !== after.status && after.status === 'claimed-returned') return 'issue.claimed';
+  if (before.status === 'claimed-returned' && ACTIVE_ISSUE_STATUSES.includes(after.status)) return 'issue.claim-rejected';
+  if (before.status !== after.status && after.status === 'written-off') return 'issue.written-off';
+  if (before.status !== after.status && after.status === 'returned') return 'issue.returned';
+  if (before.status !== after.status && after.status === 'lost') return 'issue.lost';
+  if (before.status !== after.status && after.status === 'damaged') return 'issue.damaged';
+  if (before.status !== after.status && after.status === 'overdue') return 'issue.overdue';
+  if (after.renewalCount > before.renewalCount) return 'issue.renewed';
+  return 'issue.updated';
+}
+
+/**
+ * Calculate fine for an issue
+ */
+async function calculateFine(issueId) {
+  const issue = await getIssueById(issueId);
+  
+  if (!issue) {
+    throw new Error('Issue not found');
+  }
+  
+  if (!ACTIVE_ISSUE_STATUSES.includes(issue.status)) {
+    return issue.fineAmount; // Already calculated
+  }
+  
+  const config = await getConfig();
+  
+  if (!config.fines.enabled) {
+    return 0;
+  }
+  
+  const overdueDays = await countOverdueDays(issue);
+  
+  if (overdueDays === 0) {
+    return 0; // Not overdue yet (or still within the grace period)
+  }
   
+  const policy = await getLoanPolicy(issue.userId, issue.bookId);
+  let fine = overdueDays * policy.finePerDay;
+  
+  // Cap at max fine
+  fine = Math.min(fine, policy.maxFine);
+  
+  return parseFloat(fine.toFixed(2));
+}
+
+// ==================== HOLDS OPERATIONS ====================
+
+// Holds still in the queue ('waiting') or on the pickup shelf ('ready')
+const OPEN_HOLD_STATUSES = ['waiting', 'ready'];
+
+/**
+ * Get all holds
+ */
+async function getAllHolds() {
+  const data = await readData('holds');
+  return data.holds;
+}
+
+/**
+ * Get hold by ID
+ */
+async function getHoldById(id) {
+  return await findById('holds', id);
+}
+
+/**
+ * Get all holds of a user (open and closed)
+ */
+async function getHoldsByUser(userId) {
+  const holds = await getAllHolds();
+  return holds.filter(hold => hold.userId === parseInt(userId));
+}
+
+/**
+ * Get the waiting and ready holds on a book
+ */
+async function getOpenHoldsByBook(bookId) {
+  const holds = await getAllHolds();
+  return holds.filter(hold => 
+    hold.bookId === parseInt(bookId) && OPEN_HOLD_STATUSES.includes(hold.status)
+  );
+}
+
+/**
+ * Get the hold queue of a book - waiting holds, first come first served
+ */
+async function getHoldQueue(bookId) {
+  const holds = await getOpenHoldsByBook(bookId);
+  return holds
+    .filter(hold => hold.status === 'waiting')
+    .sort((a, b) => a.placedDate.localeCompare(b.placedDate) || a.id - b.id);
+}
+
+/**
+ * Position of a waiting hold in its book's queue (1 = next in line)
+ * Returns null for holds that aren't waiting
+ */
+async function getQueuePosition(hold) {
+  if (hold.status !== 'waiting') return null;
+  
+  const queue = await getHoldQueue(hold.bookId);
+  return queue.findIndex(waiting => waiting.id === hold.id) + 1;
+}
+
+/**
+ * Get the user's hold on a book that is ready for pickup (if any)
+ */
+async function getReadyHold(userId, bookId) {
+  const holds = await getHoldsByUser(userId);
+  return holds.find(hold => hold.bookId === parseInt(bookId) && hold.status === 'ready');
+}
+
+/**
+ * Place a hold on a book that has no copy on the shelf
+ */
+async function placeHold(userId, bookId, placedBy = 'system') {
+  return await transaction(['holds'], async () => {
+    const user = await getUserById(userId);
+    const book = await getBookById(bookId);
+    
+    if (!user) {
+      throw new Error('User not found');
+    }
+    
+    if (!user.isActive) {
+      throw new Error('User account is not active');
+    }
+    
+    if (!book) {
+      throw new Error('Book not found');
+    }
+    
+    const config = await getConfig();
+    const openHolds = (await getHoldsByUser(user.id))
+      .filter(hold => OPEN_HOLD_STATUSES.includes(hold.status));
+    
+    if (openHolds.some(hold => hold.bookId === book.id)) {
+      throw new Error('You already have a hold on this book');
+    }
+    
+    if (openHolds.length >= config.holds.maxHoldsPerUser) {
+      throw new Error(`Maximum ${config.holds.maxHoldsPerUser} holds allowed`);
+    }
+    
+    const activeIssues = await getActiveIssuesByUser(user.id);
+    if (activeIssues.some(issue => issue.bookId === book.id)) {
+      throw new Error('You already have this book borrowed');
+    }
+    
+    if (book.availableCopies > 0) {
+      throw new Error('Book is available - borrow it instead');
+    }
+    
+    const data = await readData('holds');
+    const newId = data.nextId;
+    
+    const newHold = {
+      id: newId,
+      bookId: book.id,
+      userId: user.id,
+      status: 'waiting',
+      placedDate: new Date().toISOString(),
+      placedBy,
+      copyId: null,
+      readyDate: null,
+      expiresAt: null,
+      closedDate: null,
+      issueId: null
+    };
+    
+    validateRecord('hold', newHold);
+    data.holds.push(newHold);
+    data.nextId = newId + 1;
+    await writeData('holds', data);
+    await recordChange('hold.placed', null, newHold);
+    
+    return newHold;
+  });
+}
+
+/**
+ * Update hold
+ * Status changes are published as hold.<status> (hold.ready, hold.cancelled...)
+ */
+async function updateHold(id, updates) {
+  return await transaction(['holds'], async () => {
+    const data = await readData('holds');
+    const index = data.holds.findIndex(hold => hold.id === parseInt(id));
+    
+    if (index === -1) {
+      throw new Error('Hold not found');
+    }
+    
+    const hold = data.holds[index];
+    data.holds[index] = {
+      ...hold,
+      ...updates,
+      id: hold.id // Never change ID
+    };
+    
+    validateRecord('hold', data.holds[index]);
+    await writeData('holds', data);
+    
+    const updated = data.holds[index];
+    const type = updated.status !== hold.status ? `hold.${updated.status}` : 'hold.updated';
+    await recordChange(type, hold, updated);
+    
+    return updated;
+  });
+}
+
+/**
+ * Set available copies of a book aside for the holds at the front of its queue
+ * Each of those holds becomes 'ready' with a pickup window from the config
+ * Returns the holds that became ready
+ */
+async function fillHolds(bookId) {
+  return await transaction(['books', 'copies', 'holds'], async () => {
+    const config = await getConfig();
+    const queue = await getHoldQueue(bookId);
+    const ready = [];
+    
+    for (const hold of queue) {
+      const copies = await getCopiesByBook(bookId);
+      const copy = copies.find(c => c.status === 'available');
+      if (!copy) break;
+      
+      await changeCopyStatus(copy.id, 'on-hold');
+      
+      const now = new Date();
+      ready.push(await updateHold(hold.id, {
+        status: 'ready',
+        copyId: copy.id,
+        readyDate: now.toISOString(),
+        expiresAt: addDays(now, config.holds.pickupWindowDays).toISOString()
+      }));
+    }
+    
+    return ready;
+  });
+}
+
+/**
+ * Take the copy of a closed ready hold off the pickup shelf and pass it on
+ * to the next patron in the queue (or back to the open shelf)
+ */
+async function releaseHoldCopy(hold) {
+  if (hold.status !== 'ready' || !hold.copyId) return;
+  
+  await changeCopyStatus(hold.copyId, 'available');
+  await fillHolds(hold.bookId);
+}
+
+/**
+ * Cancel a hold (by the patron or a librarian)
+ */
+async function cancelHold(holdId) {
+  return await transaction(['books', 'copies', 'holds'], async () => {
+    const hold = await getHoldById(holdId);
+    
+    if (!hold) {
+      throw new Error('Hold not found');
+    }
+    
+    if (!OPEN_HOLD_STATUSES.includes(hold.status)) {
+      throw new Error(`Hold is already ${hold.status}`);
+    }
+    
+    const cancelled = await updateHold(hold.id, {
+      status: 'cancelled',
+      closedDate: new Date().toISOString()
+    });
+    await releaseHoldCopy(hold);
+    
+    return cancelled;
+  });
+}
+
+/**
+ * Expire ready holds whose pickup window has passed
+ * Their copies go to the next patron in line. Pass bookId to limit to one book.
+ * Returns the number of expired holds
+ */
+async function expireHolds(bookId = null) {
+  return await transaction(['books', 'copies', 'holds'], async () => {
+    const now = new Date();
+    const holds = await getAllHolds();
+    const expired = holds.filter(hold => 
+      hold.status === 'ready' &&
+      (bookId === null || hold.bookId === parseInt(bookId)) &&
+      parseISO(hold.expiresAt) < now
+    );
+    
+    for (const hold of expired) {
+      await updateHold(hold.id, { status: 'expired', closedDate: now.toISOString() });
+      await releaseHoldCopy(hold);
+    }
+    
+    return expired.length;
+  });
+}
+
+// ==================== BUSINESS LOGIC ====================
+
+// Unpaid fines above this block new loans
+const MAX_UNPAID_FINES = 10;
+
+/**
+ * One rule result of an eligibility check
+ * value is what the rule looked at and limit what it allows (null where they don't apply)
+ */
+function eligibilityCheck(rule, passed, message, value = null, limit = null) {
+  return { rule, passed, message, value, limit };
+}
+
+/**
+ * Check every borrowing rule for a user and book
+ * Throws a NotFoundError ('user-not-found', 'book-not-found')
+ * Returns { eligible, checks: [{ rule, passed, message, value, limit }], policy }
+ * Rules: account-active, book-available, loan-limit, category-allowed,
+ *        category-limit, fines-limit, not-already-borrowed
+ */
+async function checkBorrowEligibility(userId, bookId) {
+  const user = await getUserById(userId);
   if (!user) {
-    throw new Error('User not found');
+    throw new NotFoundError('User not found', 'user-not-found');
+  }
+  
+  const book = await getBookById(bookId);
+  if (!book) {
+    throw new NotFoundError('Book not found', 'book-not-found');
+  }
+  
+  const config = await getConfig();
+  const policy = resolveLoanPolicy(config, user.patronType, book.category);
+  const activeIssues = await getActiveIssuesByUser(user.id);
+  const checks = [];
+  
+  checks.push(user.isActive
+    ? eligibilityCheck('account-active', true, 'User account is active', true, true)
+    : eligibilityCheck('account-active', false, 'User account is not active', false, true));
+  
+  // A copy set aside for the user's ready hold counts as available to them
+  const readyHold = await getReadyHold(user.id, book.id);
+  const available = readyHold ? 1 : book.availableCopies;
+  checks.push(available > 0
+    ? eligibilityCheck('book-available', true,
+      readyHold ? 'A copy is waiting for you at the desk' : 'A copy is on the shelf', available, 1)
+    : eligibilityCheck('book-available', false, 'Book is not available', available, 1));
+  
+  checks.push(user.currentBooksCount < user.maxBooksAllowed
+    ? eligibilityCheck('loan-limit', true,
+      `${user.currentBooksCount} of ${user.maxBooksAllowed} books borrowed`, user.currentBooksCount, user.maxBooksAllowed)
+    : eligibilityCheck('loan-limit', false,
+      `Maximum ${user.maxBooksAllowed} books allowed`, user.currentBooksCount, user.maxBooksAllowed));
+  
+  // The loan rules for this kind of book (see loan-policy.js)
+  if (policy.maxBooks === 0) {
+    checks.push(eligibilityCheck('category-allowed', false,
+      `${book.category} books cannot be borrowed by ${user.patronType} patrons`, book.category, null));
+  } else {
+    checks.push(eligibilityCheck('category-allowed', true,
+      `${book.category} books can be borrowed by ${user.patronType} patrons`, book.category, null));
+    
+    const borrowedBooks = await Promise.all(activeIssues.map(issue => getBookById(issue.bookId)));
+    const inCategory = borrowedBooks.filter(borrowed =>
+      borrowed && borrowed.category.toLowerCase() === book.category.toLowerCase()
+    ).length;
+    
+    checks.push(inCategory < policy.maxBooks
+      ? eligibilityCheck('category-limit', true,
+        `${inCategory} of ${policy.maxBooks} ${book.category} books borrowed`, inCategory, policy.maxBooks)
+      : eligibilityCheck('category-limit', false,
+        `Maximum ${policy.maxBooks} ${book.category} books allowed`, inCategory, policy.maxBooks));
+  }
+  
+  checks.push(user.totalFines <= MAX_UNPAID_FINES
+    ? eligibilityCheck('fines-limit', true, 'Unpaid fines are within the limit', user.totalFines, MAX_UNPAID_FINES)
+    : eligibilityCheck('fines-limit', false,
+      'Please pay outstanding fines before borrowing', user.totalFines, MAX_UNPAID_FINES));
+  
+  const borrowing = activeIssues.find(issue => issue.bookId === book.id);
+  checks.push(borrowing
+    ? eligibilityCheck('not-already-borrowed', false, 'You already have this book borrowed', borrowing.id, null)
+    : eligibilityCheck('not-already-borrowed', true, 'You don\'t have this book borrowed'));
+  
+  return {
+    eligible: checks.every(check => check.passed),
+    checks,
+    policy
+  };
+}
+
+/**
+ * Check if user can borrow a book
+ * Returns { canBorrow, errors: [messages], checks } (see checkBorrowEligibility)
+ */
+async function canUserBorrowBook(userId, bookId) {
+  let eligibility;
+  try {
+    eligibility = await checkBorrowEligibility(userId, bookId);
+  } catch (error) {
+    return { canBorrow: false, errors: [error.message], checks: [] };
+  }
+  
+  return {
+    canBorrow: eligibility.eligible,
+    errors: eligibility.checks.filter(check => !check.passed).map(check => check.message),
+    checks: eligibility.checks
+  };
+}
+
+/**
+ * Check every renewal rule for an issue
+ * Throws 'Issue not found'
+ * Returns { eligible, checks: [{ rule, passed, message, value, limit }] }
+ * Rules: issue-active, no-waiting-holds, renewal-limit, no-unpaid-fine
+ */
+async function checkRenewEligibility(issueId) {
+  const issue = await getIssueById(issueId);
+  if (!issue) {
+    throw new Error('Issue not found');
+  }
+  
+  // The other rules only make sense for a book that is out
+  if (!ACTIVE_ISSUE_STATUSES.includes(issue.status)) {
+    return {
+      eligible: false,
+      checks: [eligibilityCheck('issue-active', false, `Cannot renew ${issue.status} book`, issue.status, null)]
+    };
+  }
+  
+  const checks = [eligibilityCheck('issue-active', true, `The book is ${issue.status}`, issue.status, null)];
+  
+  // The copy is owed to the next patron in the hold queue
+  const queue = await getHoldQueue(issue.bookId);
+  checks.push(queue.length === 0
+    ? eligibilityCheck('no-waiting-holds', true, 'Nobody is waiting for this book', 0, 0)
+    : eligibilityCheck('no-waiting-holds', false,
+      'Cannot renew - other patrons are waiting for this book', queue.length, 0));
+  
+  checks.push(issue.renewalCount < issue.maxRenewals
+    ? eligibilityCheck('renewal-limit', true,
+      `${issue.renewalCount} of ${issue.maxRenewals} renewals used`, issue.renewalCount, issue.maxRenewals)
+    : eligibilityCheck('renewal-limit', false, 'Maximum renewals reached', issue.renewalCount, issue.maxRenewals));
+  
+  const fine = await calculateFine(issue.id);
+  checks.push(fine === 0
+    ? eligibilityCheck('no-unpaid-fine', true, 'No fine on this loan', 0, 0)
+    : eligibilityCheck('no-unpaid-fine', false, 'Please pay fines before renewing', fine, 0));
+  
+  return {
+    eligible: checks.every(check => check.passed),
+    checks
+  };
+}
+
+/**
+ * Process book issue (complete workflow)
+ * Issue, copy, hold, stock and user count are committed together or not at all
+ * Pass { copyId } to lend a specific copy (e.g. scanned at the desk)
+ * A patron with a ready hold gets the copy set aside for them
+ */
+async function processBookIssue(userId, bookId, issuedBy = 'system', options = {}) {
+  return await transaction(['books', 'copies', 'holds', 'users', 'issues'], async () => {
+    // Free copies of holds that were never picked up
+    await expireHolds(bookId);
+    
+    // Validate
+    const eligibility = await checkBorrowEligibility(userId, bookId);
+    
+    if (!eligibility.eligible) {
+      throw new EligibilityError(eligibility.checks.filter(check => !check.passed));
+    }
+    
+    // Lend a copy (updates the book's stock counters)
+    const readyHold = await getReadyHold(userId, bookId);
+    const pickingUp = readyHold && (!options.copyId || parseInt(options.copyId) === readyHold.copyId);
+    const copy = pickingUp
+      ? await changeCopyStatus(readyHold.copyId, 'issued')
+      : await lendCopy(bookId, options.copyId);
+    
+    // Create issue
+    const issue = await createIssue({ userId, bookId, copyId: copy.id, issuedBy });
+    
+    // Close the user's hold on this book
+    const openHold = (await getOpenHoldsByBook(bookId)).find(hold => hold.userId === parseInt(userId));
+    if (openHold) {
+      await updateHold(openHold.id, {
+        status: 'fulfilled',
+        closedDate: new Date().toISOString(),
+        issueId: issue.id
+      });
+      
+      // Another copy was lent - the one set aside goes to the next in line
+      if (!pickingUp) {
+        await releaseHoldCopy(openHold);
+      }
+    }
+    
+    // Update user book count
+    await incrementUserBookCount(userId);
+    
+    return issue;
+  });
+}
+
+/**
+ * Process book return (complete workflow)
+ * Issue, copy, hold, stock, user count and fine are committed together or not at all
+ * If patrons are waiting, the copy is set aside for the first of them (returned as hold)
+ * Returning a book declared lost reverses the loss (see processFoundBook)
+ * A book the patron claimed to have returned is checked in with the fine
+ * as it stood when they made the claim
+ */
+async function processBookReturn(issueId, returnedTo = 'system') {
+  return await transaction(['books', 'copies', 'holds', 'users', 'issues'], async () => {
+    const issue = await getIssueById(issueId);
+    
+    if (!issue) {
+      throw new Error('Issue not found');
+    }
+    
+    if (issue.status === 'lost') {
+      return await processFoundBook(issue, returnedTo);
+    }
+    
+    if (issue.status === 'returned' || issue.status === 'damaged') {
+      throw new Error(issue.status === 'damaged' ? 'Book already returned (damaged)' : 'Book already returned');
+    }
+    
+    // Calculate fine
+    const fine = await calculateFine(issueId);
+    
+    // Update issue (a written-off loan can't be returned - see issue-states.js)
+    const updatedIssue = await updateIssue(issueId, {
+      returnDate: new Date().toISOString(),
+      status: 'returned',
+      returnedTo,
+      fineAmount: fine
+    }, { by: returnedTo });
+    
+    // Put the copy back on the shelf (updates the book's stock counters)
+    if (issue.copyId) {
+      await changeCopyStatus(issue.copyId, 'available');
+    }
+    
+    // ...or on the pickup shelf for the next patron in the hold queue
+    const [hold = null] = await fillHolds(issue.bookId);
+    
+    // Update user book count
+    await decrementUserBookCount(issue.userId);
+    
+    // Add fine to user if any
+    if (fine > 0) {
+      await addFineToUser(issue.userId, fine);
+    }
+    
+    return { issue: updatedIssue, fine, hold };
+  });
+}
+
+/**
+ * Declare the book of an issue lost (complete workflow)
+ * The copy leaves the stock, the patron no longer counts it as borrowed and is
+ * charged the replacement fee (config.fines.replacementFee, or `fee`) on top
+ * of the overdue fine so far. Both make up the issue's fineAmount.
+ * Also settles a return claim that turned out to be wrong.
+ * Returns { issue, fine, charge }
+ */
+async function declareIssueLost(issueId, { declaredBy = 'system', fee, notes } = {}) {
+  return await transaction(['books', 'copies', 'users', 'issues'], async () => {
+    const issue = await getIssueById(issueId);
+    
+    if (!issue) {
+      throw new Error('Issue not found');
+    }
+    
+    assertTransition(issue.status, 'lost');
+    
+    const config = await getConfig();
+    const overdueFine = await calculateFine(issueId);
+    const charge = fee !== undefined ? fee : config.fines.replacementFee;
+    const fine = parseFloat((overdueFine + charge).toFixed(2));
+    
+    const updatedIssue = await updateIssue(issueId, {
+      status: 'lost',
+      lostDate: new Date().toISOString(),
+      returnedTo: declaredBy,
+      fineAmount: fine,
+      itemCharge: charge,
+      ...(notes ? { notes } : {})
+    }, { by: declaredBy, note: notes });
+    
+    if (issue.copyId) {
+      await changeCopyStatus(issue.copyId, 'lost');
+    }
+    
+    await decrementUserBookCount(issue.userId);
+    
+    if (fine > 0) {
+      await addFineToUser(issue.userId, fine);
+    }
+    
+    return { issue: updatedIssue, fine, charge };
+  });
+}
+
+/**
+ * Check in a book that came back damaged (complete workflow)
+ * Like a return, but the copy is flagged damaged (it stays in the stock but
+ * can't be lent until repaired) and the patron is charged the repair fee
+ * (config.fines.repairFee, or `fee`) on top of any overdue fine.
+ * Returns { issue, fine, charge }
+ */
+async function declareIssueDamaged(issueId, { returnedTo = 'system', fee, notes } = {}) {
+  return await transaction(['books', 'copies', 'users', 'issues'], async () => {
+    const issue = await getIssueById(issueId);
+    
+    if (!issue) {
+      throw new Error('Issue not found');
+    }
+    
+    assertTransition(issue.status, 'damaged');
+    
+    const config = await getConfig();
+    const overdueFine = await calculateFine(issueId);
+    const charge = fee !== undefined ? fee : config.fines.repairFee;
+    const fine = parseFloat((overdueFine + charge).toFixed(2));
+    
+    const updatedIssue = await updateIssue(issueId, {
+      status: 'damaged',
+      returnDate: new Date().toISOString(),
+      returnedTo,
+      fineAmount: fine,
+      itemCharge: charge,
+      ...(notes ? { notes } : {})
+    }, { by: returnedTo, note: notes });
+    
+    if (issue.copyId) {
+      await changeCopyStatus(issue.copyId, 'damaged', { condition: 'damaged' });
+    }
+    
+    await decrementUserBookCount(issue.userId);
+    
+    if (fine > 0) {
+      await addFineToUser(issue.userId, fine);
+    }
+    
+    return { issue: updatedIssue, fine, charge };
+  });
+}
+
+/**
+ * A book declared lost has turned up and is returned
+ * The replacement fee is taken back (refunded if already paid), the overdue
+ * fine charged when it was declared lost stays, and the copy goes back on
+ * the shelf - or to the next patron in the hold queue.
+ * Runs inside processBookReturn's transaction
+ * Returns { issue, fine, hold, refund }
+ */
+async function processFoundBook(issue, returnedTo) {
+  const charge = issue.itemCharge || 0;
+  const fine = parseFloat((issue.fineAmount - charge).toFixed(2));
+  
+  const updatedIssue = await updateIssue(issue.id, {
+    status: 'returned',
+    returnDate: new Date().toISOString(),
+    returnedTo,
+    fineAmount: fine,
+    itemCharge: 0
+  }, { by: returnedTo, note: 'Lost book found' });
+  
+  if (issue.copyId) {
+    await changeCopyStatus(issue.copyId, 'available');
   }
   
-  user.totalFines += amount;
-  await writeData('users', data);
+  const [hold = null] = await fillHolds(issue.bookId);
+  
+  const refund = charge > 0 ? await reverseUserCharge(issue.userId, charge, issue.finePaid) : 0;
   
-  return user.totalFines;
+  return { issue: updatedIssue, fine, hold, refund };
+}
+
+/**
+ * Record that the patron says they returned a book that was never checked in
+ * The fine stops at what it is now until the claim is settled: the book is
+ * found (returned), declared lost, written off, or the claim is rejected
+ */
+async function claimIssueReturned(issueId, { claimedBy = 'system', notes } = {}) {
+  return await transaction(['issues'], async () => {
+    const issue = await getIssueById(issueId);
+    
+    if (!issue) {
+      throw new Error('Issue not found');
+    }
+    
+    assertTransition(issue.status, 'claimed-returned');
+    const fine = await calculateFine(issueId);
+    
+    return await updateIssue(issueId, {
+      status: 'claimed-returned',
+      fineAmount: fine
+    }, { by: claimedBy, note: notes });
+  });
+}
+
+/**
+ * Reject a return claim: the book is out with the patron after all
+ * The loan goes back to overdue (fines count from the due date again),
+ * renewed or issued
+ */
+async function rejectReturnClaim(issueId, { rejectedBy = 'system', notes } = {}) {
+  return await transaction(['issues'], async () => {
+    const issue = await getIssueById(issueId);
+    
+    if (!issue) {
+      throw new Error('Issue not found');
+    }
+    
+    if (issue.status !== 'claimed-returned') {
+      throw new Error('Issue has no return claim');
+    }
+    
+    let status = issue.renewalCount > 0 ? 'renewed' : 'issued';
+    if (new Date() > parseISO(issue.dueDate)) {
+      status = 'overdue';
+    }
+    
+    return await updateIssue(issueId, {
+      status,
+      fineAmount: 0
+    }, { by: rejectedBy, note: notes });
+  });
 }
 
 /**
- * Pay user's fines
+ * Write off a loan whose book won't come back (Librarian only)
+ * From claimed-returned: the claim is accepted - the copy is retired as lost,
+ * the patron no longer counts it as borrowed and isn't charged.
+ * From lost: charges still unpaid are cancelled; paid ones stand.
+ * Returns { issue, cancelled } (the amount taken off the patron's balance)
  */
-async function payUserFine(userId, amount) {
-  const data = await readData('users');
-  const user = data.users.find(u => u.id === parseInt(userId));
-  
-  if (!user) {
-    throw new Error('User not found');
-  }
-  
-  const paymentAmount = Math.min(amount, user.totalFines);
-  user.totalFines -= paymentAmount;
-  user.paidFines += paymentAmount;
-  
-  await writeData('users', data);
-  
-  return { remaining: user.totalFines, paid: paymentAmount };
+async function writeOffIssue(issueId, { writtenOffBy = 'system', notes } = {}) {
+  return await transaction(['books', 'copies', 'users', 'issues'], async () => {
+    const issue = await getIssueById(issueId);
+    
+    if (!issue) {
+      throw new Error('Issue not found');
+    }
+    
+    assertTransition(issue.status, 'written-off');
+    
+    let cancelled = 0;
+    if (issue.status === 'claimed-returned') {
+      // The fine frozen by the claim was never charged
+      if (issue.copyId) {
+        await changeCopyStatus(issue.copyId, 'lost');
+      }
+      await decrementUserBookCount(issue.userId);
+    } else if (!issue.finePaid && issue.fineAmount > 0) {
+      cancelled = issue.fineAmount;
+      await reverseUserCharge(issue.userId, cancelled, false);
+    }
+    
+    const updatedIssue = await updateIssue(issueId, {
+      status: 'written-off',
+      returnedTo: writtenOffBy,
+      ...(issue.finePaid ? {} : { fineAmount: 0, itemCharge: 0 })
+    }, { by: writtenOffBy, note: notes });
+    
+    return { issue: updatedIssue, cancelled };
+  });
 }
 
-// ==================== ISSUES OPERATIONS ====================
-
 /**
- * Get all issues
+ * Renew a book
  */
-async function getAllIssues() {
-  const data = await readData('issues');
-  return data.issues;
+async function renewBook(issueId, renewedBy = 'system') {
+  return await transaction(['issues', 'holds'], async () => {
+    const eligibility = await checkRenewEligibility(issueId);
+    
+    if (!eligibility.eligible) {
+      throw new EligibilityError(eligibility.checks.filter(check => !check.passed));
+    }
+    
+    const issue = await getIssueById(issueId);
+    const policy = await getLoanPolicy(issue.userId, issue.bookId);
+    const currentDueDate = parseISO(issue.dueDate);
+    const newDueDate = await getDueDate(currentDueDate, policy.renewalDays);
+    
+    return await updateIssue(issueId, {
+      status: 'renewed',
+      dueDate: newDueDate.toISOString(),
+      renewalCount: issue.renewalCount + 1
+    }, { by: renewedBy });
+  });
 }
 
 /**
- * Get issue by ID
+ * Pay the fine of a single issue
+ * Marks the issue as paid and deducts from the user's balance in one commit
+ * Only settled loans: an open loan's fine isn't charged yet (OPEN_ISSUE_STATUSES)
  */
-async function getIssueById(id) {
-  const issues = await getAllIssues();
-  return issues.find(issue => issue.id === parseInt(id));
+async function payIssueFine(issueId) {
+  return await transaction(['users', 'issues'], async () => {
+    const issue = await getIssueById(issueId);
+    
+    if (!issue) {
+      throw new Error('Issue not found');
+    }
+    
+    if (OPEN_ISSUE_STATUSES.includes(issue.status)) {
+      throw new Error('Fine is charged when the loan is settled');
+    }
+    
+    if (issue.fineAmount === 0) {
+      throw new Error('No fine to pay for this issue');
+    }
+    
+    if (issue.finePaid) {
+      throw new Error('Fine already paid');
+    }
+    
+    await updateIssue(issueId, { finePaid: true });
+    const payment = await payUserFine(issue.userId, issue.fineAmount);
+    
+    return { amountPaid: issue.fineAmount, remaining: payment.remaining };
+  });
 }
 
 /**
- * Get active issues by user
+ * Pay all outstanding fines of a user
+ * Marks every unpaid issue as paid and clears the user's balance in one commit
  */
-async function getActiveIssuesByUser(userId) {
-  const issues = await getAllIssues();
-  return issues.filter(issue => 
-    issue.userId === parseInt(userId) && 
-    issue.status !== 'returned'
-  );
+async function payAllUserFines(userId) {
+  return await transaction(['users', 'issues'], async () => {
+    const user = await getUserById(userId);
+    
+    if (!user) {
+      throw new Error('User not found');
+    }
+    
+    if (user.totalFines === 0) {
+      throw new Error('No outstanding fines');
+    }
+    
+    const allIssues = await getIssueHistory(userId);
+    const unpaidIssues = allIssues.filter(issue => 
+      issue.fineAmount > 0 && !issue.finePaid && !OPEN_ISSUE_STATUSES.includes(issue.status)
+    );
+    
+    for (const issue of unpaidIssues) {
+      await updateIssue(issue.id, { finePaid: true });
+    }
+    
+    const totalAmount = user.totalFines;
+    const payment = await payUserFine(userId, totalAmount);
+    
+    return {
+      amountPaid: totalAmount,
+      issuesPaid: unpaidIssues.length,
+      remaining: payment.remaining
+    };
+  });
 }
 
 /**
- * Get issue history by user
+ * Update overdue status for all issues
  */
-async function getIssueHistory(userId) {
-  const issues = await getAllIssues();
-  return issues.filter(issue => issue.userId === parseInt(userId));
+async function updateOverdueStatus() {
+  return await transaction(['issues'], async () => {
+    const issues = await getAllIssues();
+    const now = new Date();
+    let updated = 0;
+    
+    for (const issue of issues) {
+      if (!ACTIVE_ISSUE_STATUSES.includes(issue.status)) continue;
+      
+      const dueDate = parseISO(issue.dueDate);
+      
+      if (now > dueDate && issue.status !== 'overdue') {
+        await updateIssue(issue.id, { status: 'overdue' }, { note: 'Past the due date' });
+        updated++;
+      }
+    }
+    
+    return updated;
+  });
 }
 
 /**
- * Get issues by book
+ * Bring the fine of every active loan up to date
+ * This only records the fine so far on the loan (fineAmount); nothing is
+ * charged to the patron until the loan is settled (processBookReturn)
+ * Returns { updated, uncharged } (loans changed, fines so far of all active loans)
  */
-async function getIssuesByBook(bookId) {
-  const issues = await getAllIssues();
-  return issues.filter(issue => issue.bookId === parseInt(bookId));
+async function accrueFines() {
+  return await transaction(['issues'], async () => {
+    const issues = await getAllIssues();
+    let updated = 0;
+    let uncharged = 0;
+    
+    for (const issue of issues) {
+      if (!ACTIVE_ISSUE_STATUSES.includes(issue.status)) continue;
+      
+      const fine = await calculateFine(issue.id);
+      if (fine !== issue.fineAmount) {
+        await updateIssue(issue.id, { fineAmount: fine });
+        updated++;
+      }
+      uncharged += fine;
+    }
+    
+    return { updated, uncharged: parseFloat(uncharged.toFixed(2)) };
+  });
 }
 
+// Memberships ending within this many days are flagged for renewal
+const MEMBERSHIP_WARNING_DAYS = 30;
+
 /**
- * Get overdue issues
+ * Flag active members whose membership ends within MEMBERSHIP_WARNING_DAYS
+ * (or has ended) with membershipExpiring, and clear the flag once renewed
+ * Returns { flagged, cleared }
  */
-async function getOverdueIssues() {
-  const issues = await getAllIssues();
-  const now = new Date();
-  
-  return issues.filter(issue => {
-    if (issue.status === 'returned') return false;
-    const dueDate = parseISO(issue.dueDate);
-    return now > dueDate;
+async function flagExpiringMemberships() {
+  return await transaction(['users'], async () => {
+    const users = await getAllUsers();
+    const now = new Date();
+    let flagged = 0;
+    let cleared = 0;
+    
+    for (const user of users) {
+      const expiring = user.isActive && Boolean(user.membershipExpiry) &&
+        differenceInDays(parseISO(user.membershipExpiry), now) < MEMBERSHIP_WARNING_DAYS;
+      
+      if (expiring && !user.membershipExpiring) {
+        await updateUser(user.id, { membershipExpiring: true });
+        flagged++;
+      } else if (!expiring && user.membershipExpiring) {
+        await updateUser(user.id, { membershipExpiring: false });
+        cleared++;
+      }
+    }
+    
+    return { flagged, cleared };
   });
 }
 
+// ==================== CALENDAR OPERATIONS ====================
+
 /**
- * Create new issue (Borrow book)
+ * Get the library calendar (opening hours and closures, see calendar.js)
  */
-async function createIssue(issueData) {
-  const data = await readData('issues');
-  const config = await getConfig();
-  const newId = data.nextId;
-  
-  const issueDate = new Date();
-  const dueDate = addDays(issueDate, config.library.issueDurationDays);
-  
-  const newIssue = {
-    id: newId,
-    bookId: issueData.bookId,
-    userId: issueData.userId,
-    issueDate: issueDate.toISOString(),
-    dueDate: dueDate.toISOString(),
-    returnDate: null,
-    status: 'issued',
-    issuedBy: issueData.issuedBy || 'system',
-    returnedTo: null,
-    fineAmount: 0,
-    finePaid: false,
-    renewalCount: 0,
-    maxRenewals: config.library.maxRenewals,
-    notes: issueData.notes || ''
-  };
-  
-  data.issues.push(newIssue);
-  data.nextId = newId + 1;
-  await writeData('issues', data);
-  
-  return newIssue;
+async function getCalendar() {
+  return await readData('calendar');
 }
 
 /**
- * Update issue
+ * Opening details of every date from `from` to `to` (Date objects, inclusive)
  */
-async function updateIssue(id, updates) {
-  const data = await readData('issues');
-  const index = data.issues.findIndex(issue => issue.id === parseInt(id));
+async function getCalendarDays(from, to) {
+  const calendar = await getCalendar();
+  const days = [];
   
-  if (index === -1) {
-    throw new Error('Issue not found');
+  for (let day = from; toDateKey(day) <= toDateKey(to); day = addDays(day, 1)) {
+    days.push(describeDay(calendar, day));
   }
-  
-  const issue = data.issues[index];
-  data.issues[index] = {
-    ...issue,
-    ...updates,
-    id: issue.id // Never change ID
-  };
-  
-  await writeData('issues', data);
-  return data.issues[index];
+  return days;
 }
 
 /**
- * Calculate fine for an issue
+ * Due date for a loan period starting at `start`
+ * Lands on the next open day if the library is closed that day
  */
-async function calculateFine(issueId) {
-  const issue = await getIssueById(issueId);
-  
-  if (!issue) {
-    throw new Error('Issue not found');
-  }
-  
-  if (issue.status === 'returned') {
-    return issue.fineAmount; // Already calculated
-  }
-  
-  const config = await getConfig();
-  
-  if (!config.fines.enabled) {
-    return 0;
-  }
-  
-  const now = new Date();
-  const dueDate = parseISO(issue.dueDate);
-  const gracePeriod = config.fines.gracePeriodDays;
-  
-  // Add grace period to due date
-  const effectiveDueDate = addDays(dueDate, gracePeriod);
-  
-  if (now <= effectiveDueDate) {
-    return 0; // Not overdue yet
-  }
-  
-  const overdueDays = differenceInDays(now, effectiveDueDate);
-  let fine = overdueDays * config.fines.perDayRate;
-  
-  // Cap at max fine
-  fine = Math.min(fine, config.fines.maxFinePerBook);
-  
-  return parseFloat(fine.toFixed(2));
+async function getDueDate(start, days) {
+  return nextOpenDay(await getCalendar(), addDays(start, days));
 }
 
-// ==================== BUSINESS LOGIC ====================
-
 /**
- * Check if user can borrow a book
+ * Days of overdue fines for an issue: open days since the due date,
+ * less the grace period (0 if it isn't overdue)
  */
-async function canUserBorrowBook(userId, bookId) {
-  const user = await getUserById(userId);
-  const book = await getBookById(bookId);
+async function countOverdueDays(issue, now = new Date()) {
   const config = await getConfig();
+  const calendar = await getCalendar();
+  const openDays = countOpenDays(calendar, parseISO(issue.dueDate), now);
   
-  const errors = [];
-  
-  // Check user exists and is active
-  if (!user) {
-    errors.push('User not found');
-    return { canBorrow: false, errors };
-  }
-  
-  if (!user.isActive) {
-    errors.push('User account is not active');
-  }
-  
-  // Check book exists and is available
-  if (!book) {
-    errors.push('Book not found');
-    return { canBorrow: false, errors };
-  }
-  
-  if (book.availableCopies <= 0) {
-    errors.push('Book is not available');
-  }
-  
-  // Check user hasn't exceeded max books
-  if (user.currentBooksCount >= user.maxBooksAllowed) {
-    errors.push(`Maximum ${user.maxBooksAllowed} books allowed`);
-  }
-  
-  // Check user doesn't have unpaid fines over limit
-  if (user.totalFines > 10) {
-    errors.push('Please pay outstanding fines before borrowing');
-  }
-  
-  // Check user doesn't already have this book issued
-  const activeIssues = await getActiveIssuesByUser(userId);
-  const alreadyIssued = activeIssues.some(issue => issue.bookId === bookId);
-  
-  if (alreadyIssued) {
-    errors.push('You already have this book borrowed');
-  }
-  
-  return { canBorrow: errors.length === 0, errors };
+  return Math.max(0, openDays - config.fines.gracePeriodDays);
 }
 
 /**
- * Process book issue (complete workflow)
+ * Move due dates that now fall on a closed day to the next open day
+ * Only loans due today or later are moved - overdue ones stay overdue
+ * Returns the issues that were moved
  */
-async function processBookIssue(userId, bookId, issuedBy = 'system') {
-  // Validate
-  const validation = await canUserBorrowBook(userId, bookId);
-  
-  if (!validation.canBorrow) {
-    throw new Error(validation.errors.join(', '));
-  }
-  
-  // Create issue
-  const issue = await createIssue({ userId, bookId, issuedBy });
-  
-  // Update book stock
-  await updateBookStock(bookId, -1);
-  
-  // Update user book count
-  await incrementUserBookCount(userId);
-  
-  return issue;
+async function rescheduleDueDates() {
+  return await transaction(['calendar', 'issues'], async () => {
+    const calendar = await getCalendar();
+    const today = toDateKey(new Date());
+    const moved = [];
+    
+    for (const issue of await getAllIssues()) {
+      if (!ACTIVE_ISSUE_STATUSES.includes(issue.status)) continue;
+      
+      const dueDate = parseISO(issue.dueDate);
+      if (toDateKey(dueDate) < today || isOpenOn(calendar, dueDate)) continue;
+      
+      const newDueDate = nextOpenDay(calendar, dueDate);
+      if (newDueDate.getTime() !== dueDate.getTime()) {
+        moved.push(await updateIssue(issue.id, { dueDate: newDueDate.toISOString() }));
+      }
+    }
+    
+    return moved;
+  });
 }
 
 /**
- * Process book return (complete workflow)
+ * Change the weekly opening hours (Librarian only)
+ * hours: { monday: { opens: '09:00', closes: '18:00' }, sunday: null, ... } - weekdays not given stay as they are
+ * Loans now due on a closed day are moved to the next open day
+ * Returns { calendar, rescheduled: [issues] }
  */
-async function processBookReturn(issueId, returnedTo = 'system') {
-  const issue = await getIssueById(issueId);
-  
-  if (!issue) {
-    throw new Error('Issue not found');
-  }
-  
-  if (issue.status === 'returned') {
-    throw new Error('Book already returned');
-  }
-  
-  // Calculate fine
-  const fine = await calculateFine(issueId);
-  
-  // Update issue
-  await updateIssue(issueId, {
-    returnDate: new Date().toISOString(),
-    status: 'returned',
-    returnedTo,
-    fineAmount: fine
+async function updateOpeningHours(hours) {
+  return await transaction(['calendar', 'issues'], async () => {
+    validateOpeningHours(hours);
+    
+    const calendar = await getCalendar();
+    const before = structuredClone(calendar);
+    calendar.openingHours = { ...calendar.openingHours, ...hours };
+    
+    validateRecord('calendar', calendar);
+    await writeData('calendar', calendar);
+    await recordChange('calendar.updated', before, calendar);
+    
+    const rescheduled = await rescheduleDueDates();
+    return { calendar, rescheduled };
   });
-  
-  // Update book stock
-  await updateBookStock(issue.bookId, 1);
-  
-  // Update user book count
-  await decrementUserBookCount(issue.userId);
-  
-  // Add fine to user if any
-  if (fine > 0) {
-    await addFineToUser(issue.userId, fine);
-  }
-  
-  return { issue, fine };
 }
 
 /**
- * Renew a book
+ * Close the library on a date or range of dates (Librarian only)
+ * closureData: { startDate, endDate?, reason } - dates as yyyy-MM-dd
+ * Loans due while closed are moved to the next open day
+ * Returns { closure, rescheduled: [issues] }
  */
-async function renewBook(issueId) {
-  const issue = await getIssueById(issueId);
-  
-  if (!issue) {
-    throw new Error('Issue not found');
-  }
-  
-  if (issue.status === 'returned') {
-    throw new Error('Cannot renew returned book');
-  }
-  
-  if (issue.renewalCount >= issue.maxRenewals) {
-    throw new Error('Maximum renewals reached');
-  }
-  
-  // Check for fines
-  const fine = await calculateFine(issueId);
-  if (fine > 0) {
-    throw new Error('Please pay fines before renewing');
-  }
-  
-  const config = await getConfig();
-  const currentDueDate = parseISO(issue.dueDate);
-  const newDueDate = addDays(currentDueDate, config.library.renewalExtensionDays);
-  
-  await updateIssue(issueId, {
-    dueDate: newDueDate.toISOString(),
-    renewalCount: issue.renewalCount + 1
+async function addClosure(closureData, addedBy = 'admin') {
+  return await transaction(['calendar', 'issues'], async () => {
+    const { startDate, endDate, reason } = validateClosure(closureData);
+    
+    const calendar = await getCalendar();
+    const closure = {
+      id: calendar.nextId,
+      startDate,
+      endDate,
+      reason,
+      addedBy,
+      addedDate: new Date().toISOString()
+    };
+    
+    calendar.closures.push(closure);
+    calendar.closures.sort((a, b) => a.startDate.localeCompare(b.startDate));
+    calendar.nextId = closure.id + 1;
+    
+    validateRecord('calendar', calendar);
+    await writeData('calendar', calendar);
+    await recordChange('closure.created', null, closure);
+    
+    const rescheduled = await rescheduleDueDates();
+    return { closure, rescheduled };
   });
-  
-  const updatedIssue = await getIssueById(issueId);
-  return updatedIssue;
 }
 
 /**
- * Update overdue status for all issues
+ * Remove a closure (Librarian only)
+ * Due dates already moved stay where they are
  */
-async function updateOverdueStatus() {
-  const issues = await getAllIssues();
-  const now = new Date();
-  let updated = 0;
-  
-  for (const issue of issues) {
-    if (issue.status === 'returned') continue;
+async function deleteClosure(id) {
+  return await transaction(['calendar'], async () => {
+    const calendar = await getCalendar();
+    const index = calendar.closures.findIndex(closure => closure.id === parseInt(id));
     
-    const dueDate = parseISO(issue.dueDate);
+    if (index === -1) {
+      throw new Error('Closure not found');
+    }
     
-    if (now > dueDate && issue.status !== 'overdue') {
-      await updateIssue(issue.id, { status: 'overdue' });
-      updated++;
+    const [closure] = calendar.closures.splice(index, 1);
+    await writeData('calendar', calendar);
+    await recordChange('closure.deleted', closure, null);
+    return closure;
+  });
+}
+
+// ==================== LOAN POLICIES ====================
+
+/**
+ * Loan policy for a patron borrowing a book (see loan-policy.js)
+ * A missing user or book falls back to the rules for any patron type or category
+ */
+async function getLoanPolicy(userId, bookId) {
+  const config = await getConfig();
+  const user = await getUserById(userId);
+  const book = await getBookById(bookId);
+  
+  return resolveLoanPolicy(config, user ? user.patronType : null, book ? book.category : null);
+}
+
+/**
+ * Replace the loan rules (Librarian only)
+ * Every user's borrowing cap is reset to the new rules for their patron type.
+ * Existing loans keep their due dates and renewal limits; fines follow the new rules
+ */
+async function updateLoanRules(rules) {
+  const config = await updateConfig({ loanRules: rules });
+  return config.loanRules;
+}
+
+/**
+ * Reset every user's borrowing cap to the loan rules for their patron type
+ */
+async function syncUserLoanCaps(config) {
+  for (const user of await getAllUsers()) {
+    const maxBooks = resolveLoanPolicy(config, user.patronType).maxBooks;
+    if (user.maxBooksAllowed !== maxBooks) {
+      await updateUser(user.id, { maxBooksAllowed: maxBooks });
     }
   }
-  
-  return updated;
 }
 
 // ==================== CONFIG OPERATIONS ====================
@@ -801,37 +3303,99 @@ async function getConfig() {
 
 /**
  * Update configuration (Librarian only)
+ * New loan rules are checked like in updateLoanRules, and users' borrowing
+ * caps follow the new settings
  */
 async function updateConfig(updates) {
-  const config = await getConfig();
-  const updatedConfig = {
-    ...config,
-    ...updates
-  };
-  
-  await writeData('config', updatedConfig);
-  return updatedConfig;
+  return await transaction(['config', 'users'], async () => {
+    const config = await getConfig();
+    const updatedConfig = {
+      ...config,
+      ...updates
+    };
+    
+    if (updates.loanRules !== undefined) {
+      updatedConfig.loanRules = validateLoanRules(updates.loanRules);
+    }
+    
+    validateRecord('config', updatedConfig);
+    await writeData('config', updatedConfig);
+    await recordChange('config.updated', config, updatedConfig);
+    
+    await syncUserLoanCaps(updatedConfig);
+    return updatedConfig;
+  });
 }
 
 // ==================== EXPORTS ====================
 
 module.exports = {
   // Initialization
+  COLLECTIONS,
   initializeDatabase,
+  getInitialData,
+  getStorage,
+  useStorage,
+  migrateDatabase,
+  
+  // Tenants
+  runWithTenant,
+  getCurrentTenant,
+  listTenants,
+  
+  // Snapshots
+  createSnapshot,
+  listSnapshots,
+  getSnapshot,
+  restoreSnapshot,
+  deleteSnapshot,
+  createAutoBackup,
   
   // Generic operations
   readData,
   writeData,
   getNextId,
+  transaction,
+  
+  // Change feed
+  changeEvents,
+  recordChange,
+  getChanges,
   
   // Books
   getAllBooks,
   getBookById,
+  getBookByIsbn,
   createBook,
   updateBook,
   deleteBook,
-  updateBookStock,
+  syncBookCounters,
   searchBooks,
+  browseBooks,
+  
+  // Copies
+  getAllCopies,
+  getCopyById,
+  getCopyByBarcode,
+  getCopiesByBook,
+  createCopy,
+  updateCopy,
+  deleteCopy,
+  setTotalCopies,
+  
+  // Catalog import
+  importBooks,
+  
+  // Authors
+  getAllAuthors,
+  getAuthorById,
+  searchAuthors,
+  getBooksByAuthor,
+  getBookAuthors,
+  describeBookAuthors,
+  createAuthor,
+  updateAuthor,
+  deleteAuthor,
   
   // Users
   getAllUsers,
@@ -845,8 +3409,12 @@ module.exports = {
   decrementUserBookCount,
   addFineToUser,
   payUserFine,
+  reverseUserCharge,
+  flagExpiringMemberships,
   
   // Issues
+  ACTIVE_ISSUE_STATUSES,
+  OPEN_ISSUE_STATUSES,
   getAllIssues,
   getIssueById,
   getActiveIssuesByUser,
@@ -857,12 +3425,45 @@ module.exports = {
   updateIssue,
   calculateFine,
   updateOverdueStatus,
+  accrueFines,
+  
+  // Holds
+  getAllHolds,
+  getHoldById,
+  getHoldsByUser,
+  getHoldQueue,
+  getQueuePosition,
+  placeHold,
+  cancelHold,
+  expireHolds,
   
   // Business Logic
   canUserBorrowBook,
+  checkBorrowEligibility,
+  checkRenewEligibility,
   processBookIssue,
   processBookReturn,
+  declareIssueLost,
+  declareIssueDamaged,
+  claimIssueReturned,
+  rejectReturnClaim,
+  writeOffIssue,
   renewBook,
+  payIssueFine,
+  payAllUserFines,
+  
+  // Calendar
+  getCalendar,
+  getCalendarDays,
+  getDueDate,
+  countOverdueDays,
+  updateOpeningHours,
+  addClosure,
+  deleteClosure,
+  
+  // Loan policies
+  getLoanPolicy,
+  updateLoanRules,
   
   // Config
   getConfig,
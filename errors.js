@@ -0,0 +1,82 @@
+/**
+ * Error Types
+ * Errors thrown by the database layer that routes map to specific HTTP responses
+ */
+
+/**
+ * A record failed schema validation (see schemas/)
+ * `fields` lists every offending field: [{ field, message }]
+ * Routes answer with 400 and the field list
+ */
+class ValidationError extends Error {
+  constructor(message, fields = []) {
+    super(message);
+    this.name = 'ValidationError';
+    this.fields = fields;
+  }
+}
+
+/**
+ * A loan was refused by one or more borrowing or renewal rules
+ * `checks` lists the failed rules: [{ rule, passed: false, message, value, limit }]
+ * and `code` is the first failed rule, e.g. 'loan-limit'
+ * Routes answer with 400, the code and the failed checks
+ */
+class EligibilityError extends Error {
+  constructor(checks) {
+    super(checks.map(check => check.message).join(', '));
+    this.name = 'EligibilityError';
+    this.code = checks[0].rule;
+    this.checks = checks;
+  }
+}
+
+/**
+ * An issue was asked to change to a status its current one can't reach
+ * (see ISSUE_TRANSITIONS in issue-states.js)
+ * Routes answer with 400, the two statuses and the ones that are allowed
+ */
+class InvalidTransitionError extends Error {
+  constructor(from, to, allowed = []) {
+    super(`Cannot change a ${from} loan to ${to}`);
+    this.name = 'InvalidTransitionError';
+    this.code = 'invalid-transition';
+    this.from = from;
+    this.to = to;
+    this.allowed = allowed;
+  }
+}
+
+/**
+ * A record the operation needs doesn't exist
+ * `code` names the record, e.g. 'user-not-found', 'copy-not-found'
+ * Routes answer with 404 and the code
+ */
+class NotFoundError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'NotFoundError';
+    this.code = code;
+  }
+}
+
+/**
+ * No copy could be lent: the book has none on the shelf ('book-unavailable')
+ * or the chosen copy is out ('copy-unavailable')
+ * Routes answer with 400 and the code
+ */
+class UnavailableError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'UnavailableError';
+    this.code = code;
+  }
+}
+
+module.exports = {
+  ValidationError,
+  EligibilityError,
+  InvalidTransitionError,
+  NotFoundError,
+  UnavailableError
+};
@@ -0,0 +1,113 @@
+/**
+ * ISBN Helpers
+ * Books store their ISBN as a hyphen-free ISBN-13 ("9780743273565").
+ * Input may be an ISBN-10 or ISBN-13, with or without hyphens and spaces;
+ * both forms are checked against their check digit.
+ */
+
+/**
+ * Strip hyphens and spaces: "978-0-7432-7356-5" -> "9780743273565"
+ */
+function cleanIsbn(value) {
+  return String(value || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * Check digit of the first 9 digits of an ISBN-10 ('0'-'9' or 'X')
+ */
+function isbn10CheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    sum += (10 - i) * parseInt(digits[i]);
+  }
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+}
+
+/**
+ * Check digit of the first 12 digits of an ISBN-13
+ */
+function isbn13CheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += parseInt(digits[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+function isValidIsbn10(value) {
+  const isbn = cleanIsbn(value);
+  return /^\d{9}[\dX]$/.test(isbn) && isbn10CheckDigit(isbn) === isbn[9];
+}
+
+function isValidIsbn13(value) {
+  const isbn = cleanIsbn(value);
+  return /^97[89]\d{10}$/.test(isbn) && isbn13CheckDigit(isbn) === isbn[12];
+}
+
+/**
+ * Convert an ISBN-10 to its ISBN-13 (978 prefix, new check digit)
+ */
+function isbn10To13(value) {
+  const isbn = cleanIsbn(value);
+  if (!isValidIsbn10(isbn)) {
+    throw new Error(`Invalid ISBN-10: ${value}`);
+  }
+  const digits = '978' + isbn.slice(0, 9);
+  return digits + isbn13CheckDigit(digits);
+}
+
+/**
+ * Convert an ISBN-13 to ISBN-10
+ * Only 978 ISBNs have an ISBN-10 form - returns null for 979 ones
+ */
+function isbn13To10(value) {
+  const isbn = cleanIsbn(value);
+  if (!isValidIsbn13(isbn)) {
+    throw new Error(`Invalid ISBN-13: ${value}`);
+  }
+  if (!isbn.startsWith('978')) return null;
+
+  const digits = isbn.slice(3, 12);
+  return digits + isbn10CheckDigit(digits);
+}
+
+/**
+ * Normalize any valid ISBN to a hyphen-free ISBN-13
+ * Returns null if the value isn't a valid ISBN-10 or ISBN-13
+ */
+function normalizeIsbn(value) {
+  const isbn = cleanIsbn(value);
+  if (isValidIsbn13(isbn)) return isbn;
+  if (isValidIsbn10(isbn)) return isbn10To13(isbn);
+  return null;
+}
+
+/**
+ * Explain why a value isn't a valid ISBN (for error messages)
+ */
+function describeIsbnProblem(value) {
+  const isbn = cleanIsbn(value);
+
+  if (isbn.length === 10) {
+    return /^\d{9}[\dX]$/.test(isbn)
+      ? `check digit should be ${isbn10CheckDigit(isbn)}`
+      : 'an ISBN-10 has 9 digits followed by a digit or X';
+  }
+  if (isbn.length === 13) {
+    if (!/^\d{13}$/.test(isbn)) return 'an ISBN-13 has only digits';
+    if (!/^97[89]/.test(isbn)) return 'an ISBN-13 starts with 978 or 979';
+    return `check digit should be ${isbn13CheckDigit(isbn)}`;
+  }
+  return 'an ISBN has 10 or 13 digits';
+}
+
+module.exports = {
+  cleanIsbn,
+  isValidIsbn10,
+  isValidIsbn13,
+  isbn10To13,
+  isbn13To10,
+  normalizeIsbn,
+  describeIsbnProblem
+};
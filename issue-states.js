@@ -0,0 +1,68 @@
+/**
+ * Issue Lifecycle
+ * The statuses a loan (issue) goes through and the changes allowed between
+ * them. database.js checks every status change against ISSUE_TRANSITIONS and
+ * records it in the issue's history: [{ from, to, date, by, note? }]
+ *
+ * issued, renewed and overdue: the book is out with the patron
+ *   renewed -> renewed is a further renewal (up to the policy's maxRenewals)
+ * claimed-returned: the patron says it was returned but it wasn't checked in;
+ *   fines stop until the claim is settled (found, lost, written off or rejected)
+ * lost: the patron was charged for the book; reopened if it turns up
+ * returned and written-off: the loan is closed
+ * damaged: also closed - the book came back damaged and the patron was charged
+ *   a repair fee (the lost and damaged workflow, declareIssueDamaged)
+ */
+
+const { InvalidTransitionError } = require('./errors');
+
+// Status -> statuses it may change to
+const ISSUE_TRANSITIONS = {
+  issued: ['renewed', 'overdue', 'returned', 'damaged', 'lost', 'claimed-returned'],
+  renewed: ['renewed', 'overdue', 'returned', 'damaged', 'lost', 'claimed-returned'],
+  overdue: ['renewed', 'returned', 'damaged', 'lost', 'claimed-returned'],
+  'claimed-returned': ['issued', 'renewed', 'overdue', 'returned', 'lost', 'written-off'],
+  lost: ['returned', 'written-off'],
+  returned: [],
+  damaged: [],
+  'written-off': []
+};
+
+const ISSUE_STATUSES = Object.keys(ISSUE_TRANSITIONS);
+
+/**
+ * Statuses an issue in `status` may change to
+ */
+function getAllowedTransitions(status) {
+  return ISSUE_TRANSITIONS[status] || [];
+}
+
+/**
+ * Throw an InvalidTransitionError unless `from` may change to `to`
+ */
+function assertTransition(from, to) {
+  if (!getAllowedTransitions(from).includes(to)) {
+    throw new InvalidTransitionError(from, to, getAllowedTransitions(from));
+  }
+}
+
+/**
+ * A history entry for a status change
+ */
+function historyEntry(from, to, by = 'system', note) {
+  return {
+    from,
+    to,
+    date: new Date().toISOString(),
+    by,
+    ...(note ? { note } : {})
+  };
+}
+
+module.exports = {
+  ISSUE_STATUSES,
+  ISSUE_TRANSITIONS,
+  getAllowedTransitions,
+  assertTransition,
+  historyEntry
+};
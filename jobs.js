@@ -0,0 +1,50 @@
+/**
+ * Background Jobs
+ * Housekeeping that used to wait for someone to open the right page:
+ *   mark-overdue               loans past their due date become overdue
+ *   accrue-fines               fines of active loans are brought up to date
+ *                              (recorded on the loan, charged once it's settled)
+ *   expire-holds               uncollected holds expire and their copies move on
+ *   flag-expiring-memberships  members whose membership ends soon are flagged
+ *
+ * Each job works on the current library; the scheduler runs it for every
+ * library (see scheduler.js).
+ */
+
+const db = require('./database');
+const { registerJob } = require('./scheduler');
+
+/**
+ * Register the library's jobs with the scheduler (once, at startup)
+ */
+function registerLibraryJobs() {
+  registerJob({
+    name: 'mark-overdue',
+    description: 'Mark loans past their due date as overdue',
+    schedule: '*/15 * * * *',
+    run: async () => ({ marked: await db.updateOverdueStatus() })
+  });
+
+  registerJob({
+    name: 'accrue-fines',
+    description: 'Record the fines so far of active loans (charged when settled)',
+    schedule: '0 1 * * *',
+    run: async () => await db.accrueFines()
+  });
+
+  registerJob({
+    name: 'expire-holds',
+    description: 'Expire holds not picked up in time and pass their copies on',
+    schedule: '0 * * * *',
+    run: async () => ({ expired: await db.expireHolds() })
+  });
+
+  registerJob({
+    name: 'flag-expiring-memberships',
+    description: 'Flag members whose membership ends within 30 days',
+    schedule: '30 1 * * *',
+    run: async () => await db.flagExpiringMemberships()
+  });
+}
+
+module.exports = { registerLibraryJobs };
@@ -0,0 +1,177 @@
+/**
+ * Loan Policies
+ * Loan period, renewals, borrowing cap and fines depend on who borrows
+ * (patron type) and what they borrow (book category). The global values in
+ * config.library and config.fines are the defaults; rules in config.loanRules
+ * override them for a patron type, a category, or both:
+ *
+ *   loanRules: [
+ *     { patronType: 'staff', category: '*', loanDays: 28, maxBooks: 10 },
+ *     { patronType: '*', category: 'Reference', maxBooks: 0 },
+ *     { patronType: 'guest', category: 'DVD', loanDays: 3, finePerDay: 1.00 }
+ *   ]
+ *
+ * A rule only sets the fields it names. When several rules match, the more
+ * specific one wins: patron type only < category only < patron type and category.
+ *
+ * maxBooks is how many books of the category a patron may have out at once
+ * (0 means the category can't be borrowed); a rule for every category ('*')
+ * sets the patron's overall cap.
+ */
+
+const { ValidationError } = require('./errors');
+
+const PATRON_TYPES = ['student', 'staff', 'guest'];
+
+// Matches every patron type or every category
+const ANY = '*';
+
+// Policy fields a rule can set, with their smallest allowed value
+const POLICY_FIELDS = {
+  loanDays: { integer: true, minimum: 1 },
+  renewalDays: { integer: true, minimum: 1 },
+  maxRenewals: { integer: true, minimum: 0 },
+  maxBooks: { integer: true, minimum: 0 },
+  finePerDay: { integer: false, minimum: 0 },
+  maxFine: { integer: false, minimum: 0 }
+};
+
+/**
+ * The policy when no rule matches, from the global settings
+ */
+function getDefaultPolicy(config) {
+  return {
+    loanDays: config.library.issueDurationDays,
+    renewalDays: config.library.renewalExtensionDays,
+    maxRenewals: config.library.maxRenewals,
+    maxBooks: config.library.maxBooksPerUser,
+    finePerDay: config.fines.perDayRate,
+    maxFine: config.fines.maxFinePerBook
+  };
+}
+
+function sameCategory(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+/**
+ * Does a rule apply? (category null means "no particular category")
+ */
+function ruleMatches(rule, patronType, category) {
+  const patronMatches = rule.patronType === ANY || rule.patronType === patronType;
+  const categoryMatches = rule.category === ANY || (category !== null && sameCategory(rule.category, category));
+  return patronMatches && categoryMatches;
+}
+
+function specificity(rule) {
+  return (rule.category !== ANY ? 2 : 0) + (rule.patronType !== ANY ? 1 : 0);
+}
+
+/**
+ * Name of a rule for responses, e.g. 'staff/Reference' ('*' for any)
+ */
+function describeRule(rule) {
+  return `${rule.patronType}/${rule.category}`;
+}
+
+/**
+ * Work out the policy for a patron type and book category
+ * Pass category null for the patron's overall limits
+ * Returns { patronType, category, loanDays, renewalDays, maxRenewals, maxBooks,
+ *           finePerDay, maxFine, rules: ['staff/*', ...] (applied, least specific first) }
+ */
+function resolveLoanPolicy(config, patronType, category = null) {
+  const rules = (config.loanRules || [])
+    .filter(rule => ruleMatches(rule, patronType, category))
+    .sort((a, b) => specificity(a) - specificity(b));
+
+  const policy = getDefaultPolicy(config);
+  for (const rule of rules) {
+    for (const field of Object.keys(POLICY_FIELDS)) {
+      if (rule[field] !== undefined) {
+        policy[field] = rule[field];
+      }
+    }
+  }
+
+  return {
+    patronType: patronType || null,
+    category: category || null,
+    ...policy,
+    rules: rules.map(describeRule)
+  };
+}
+
+/**
+ * Check a complete set of loan rules
+ * Throws a ValidationError listing every problem (fields like "rules[2].loanDays")
+ * Returns the rules with surrounding spaces trimmed from categories
+ */
+function validateLoanRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new ValidationError('Invalid loan rules', [{ field: 'rules', message: 'must be an array' }]);
+  }
+
+  const fields = [];
+  const seen = new Set();
+
+  const normalized = rules.map((rule, index) => {
+    const prefix = `rules[${index}]`;
+    if (!rule || typeof rule !== 'object') {
+      fields.push({ field: prefix, message: 'must be an object' });
+      return rule;
+    }
+
+    const patronType = rule.patronType === undefined ? ANY : rule.patronType;
+    let category = rule.category === undefined ? ANY : rule.category;
+    if (typeof category === 'string') {
+      category = category.trim();
+    }
+
+    if (patronType !== ANY && !PATRON_TYPES.includes(patronType)) {
+      fields.push({ field: `${prefix}.patronType`, message: `must be "*" or one of: ${PATRON_TYPES.join(', ')}` });
+    }
+    if (typeof category !== 'string' || category === '') {
+      fields.push({ field: `${prefix}.category`, message: 'must be "*" or a category name' });
+    }
+
+    const settings = {};
+    for (const [field, value] of Object.entries(rule)) {
+      if (field === 'patronType' || field === 'category') continue;
+
+      const limits = POLICY_FIELDS[field];
+      if (!limits) {
+        fields.push({ field: `${prefix}.${field}`, message: `is not a policy field (use: ${Object.keys(POLICY_FIELDS).join(', ')})` });
+      } else if (typeof value !== 'number' || (limits.integer && !Number.isInteger(value)) || value < limits.minimum) {
+        fields.push({
+          field: `${prefix}.${field}`,
+          message: `must be ${limits.integer ? 'a whole number' : 'a number'} of at least ${limits.minimum}`
+        });
+      } else {
+        settings[field] = value;
+      }
+    }
+
+    const key = `${patronType}/${String(category).toLowerCase()}`;
+    if (seen.has(key)) {
+      fields.push({ field: prefix, message: `duplicates the rule for ${patronType}/${category}` });
+    }
+    seen.add(key);
+
+    return { patronType, category, ...settings };
+  });
+
+  if (fields.length > 0) {
+    throw new ValidationError('Invalid loan rules', fields);
+  }
+
+  return normalized;
+}
+
+module.exports = {
+  PATRON_TYPES,
+  POLICY_FIELDS,
+  getDefaultPolicy,
+  resolveLoanPolicy,
+  validateLoanRules
+};
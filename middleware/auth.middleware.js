@@ -17,7 +17,8 @@ function generateToken(user) {
   const payload = {
     id: user.id,
     username: user.username,
-    role: user.role
+    role: user.role,
+    tenant: db.getCurrentTenant() // Tokens only work in the library that issued them
   };
   
   return jwt.sign(payload, SECRET_KEY, { expiresIn: '24h' });
@@ -34,6 +35,14 @@ function verifyToken(token) {
   }
 }
 
+/**
+ * Check that a token was issued by the library of the current tenant
+ * (user ids repeat across tenant libraries)
+ */
+function isTokenForCurrentTenant(decoded) {
+  return (decoded.tenant || null) === db.getCurrentTenant();
+}
+
 /**
  * Add token to valid tokens set
  */
@@ -59,6 +68,10 @@ async function authenticateToken(req, res, next) {
 
   // Token is considered valid if signature and expiry checks pass.
 
+  if (!isTokenForCurrentTenant(decoded)) {
+    return res.status(403).json({ error: 'Token belongs to a different library' });
+  }
+
   // Get full user data from database
   try {
     const user = await db.getUserById(decoded.id);
@@ -126,7 +139,7 @@ async function optionalAuth(req, res, next) {
   }
 
   const decoded = verifyToken(token);
-  if (decoded) {
+  if (decoded && isTokenForCurrentTenant(decoded)) {
     try {
       const user = await db.getUserById(decoded.id);
       if (user && user.isActive) {
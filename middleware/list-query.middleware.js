@@ -0,0 +1,292 @@
+/**
+ * List Query Middleware
+ * One query language for every list endpoint:
+ *
+ *   ?page=2&pageSize=20                 pagination (pageSize 1-100)
+ *   ?sort=-publishedYear,title          sort by one or more fields, '-' for descending
+ *   ?filter[category]=Fiction           field equals value (text is case-insensitive)
+ *   ?filter[publishedYear][gte]=1950    operators: eq, ne, gt, gte, lt, lte,
+ *                                       in (comma separated), contains (text only)
+ *
+ * Each route declares the fields that may be sorted and filtered and their type
+ * (string, number, boolean or date). Nested fields use dots: filter[book.title].
+ * Bad parameters are answered with 400 before the route runs.
+ *
+ * Responses carry X-Total-Count (matches before paging) and, when paged, a
+ * Link header with first/prev/next/last URLs. Without page or pageSize every
+ * match is returned, unless the route sets a defaultPageSize.
+ */
+
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_PAGE_SIZE = 20;
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'contains'];
+
+/**
+ * Read a possibly nested field ('book.title')
+ */
+function getField(item, field) {
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), item);
+}
+
+/**
+ * Turn a query string value into a comparable value of the field's type
+ * Throws with a message for the client if it can't
+ */
+function parseValue(field, type, raw) {
+  const value = String(raw).trim();
+
+  switch (type) {
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || isNaN(number)) {
+        throw new Error(`filter[${field}] must be a number`);
+      }
+      return number;
+    }
+    case 'boolean':
+      if (value !== 'true' && value !== 'false') {
+        throw new Error(`filter[${field}] must be true or false`);
+      }
+      return value === 'true';
+    case 'date': {
+      const time = Date.parse(value);
+      if (isNaN(time)) {
+        throw new Error(`filter[${field}] must be a date (e.g. 2024-01-31)`);
+      }
+      return time;
+    }
+    default:
+      return value.toLowerCase();
+  }
+}
+
+/**
+ * Value of an item's field, comparable with parseValue's result
+ */
+function comparable(item, field, type) {
+  const value = getField(item, field);
+  if (value === null || value === undefined) return null;
+  if (type === 'date') return Date.parse(value);
+  if (type === 'string') return String(value).toLowerCase();
+  return value;
+}
+
+/**
+ * Parse sort=-publishedYear,title into [{ field, type, direction }]
+ */
+function parseSort(sort, fields) {
+  return String(sort)
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const field = part.replace(/^[-+]/, '');
+      if (!fields[field]) {
+        throw new Error(`Cannot sort by ${field} (use one of: ${Object.keys(fields).join(', ')})`);
+      }
+      return { field, type: fields[field], direction: part.startsWith('-') ? -1 : 1 };
+    });
+}
+
+/**
+ * Parse filter[field]=value and filter[field][op]=value into
+ * [{ field, type, operator, value }]
+ */
+function parseFilters(filter, fields) {
+  if (typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new Error('Filters look like filter[field]=value or filter[field][operator]=value');
+  }
+
+  const filters = [];
+
+  for (const [field, condition] of Object.entries(filter)) {
+    const type = fields[field];
+    if (!type) {
+      throw new Error(`Cannot filter by ${field} (use one of: ${Object.keys(fields).join(', ')})`);
+    }
+
+    const conditions = typeof condition === 'object' && !Array.isArray(condition)
+      ? condition
+      : { eq: condition };
+
+    for (const [operator, raw] of Object.entries(conditions)) {
+      if (!OPERATORS.includes(operator)) {
+        throw new Error(`Unknown filter operator ${operator} (use one of: ${OPERATORS.join(', ')})`);
+      }
+      if (operator === 'contains' && type !== 'string') {
+        throw new Error(`filter[${field}][contains] only works on text fields`);
+      }
+
+      const values = [].concat(raw);
+      const value = operator === 'in'
+        ? values.join(',').split(',').map(part => parseValue(field, type, part))
+        : parseValue(field, type, values[values.length - 1]);
+
+      filters.push({ field, type, operator, value });
+    }
+  }
+
+  return filters;
+}
+
+function parsePositiveInteger(name, raw) {
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+  return value;
+}
+
+function matchesFilter(item, { field, type, operator, value }) {
+  const actual = comparable(item, field, type);
+
+  switch (operator) {
+    case 'eq': return actual === value;
+    case 'ne': return actual !== value;
+    case 'in': return value.includes(actual);
+    case 'contains': return actual !== null && actual.includes(value);
+    default:
+      if (actual === null) return false;
+      if (operator === 'gt') return actual > value;
+      if (operator === 'gte') return actual >= value;
+      if (operator === 'lt') return actual < value;
+      return actual <= value;
+  }
+}
+
+/**
+ * Compare two items by the sort fields (missing values last)
+ */
+function compareItems(a, b, sort) {
+  for (const { field, type, direction } of sort) {
+    const left = comparable(a, field, type);
+    const right = comparable(b, field, type);
+
+    if (left === right) continue;
+    if (left === null) return 1;
+    if (right === null) return -1;
+
+    const order = typeof left === 'string' ? left.localeCompare(right) : (left < right ? -1 : 1);
+    if (order !== 0) return order * direction;
+  }
+  return 0;
+}
+
+/**
+ * Middleware: parse and validate list parameters into req.listQuery
+ * fields: { title: 'string', publishedYear: 'number', ... } - what may be sorted/filtered
+ * defaultSort: e.g. '-issueDate' when the client doesn't ask for an order
+ * defaultPageSize: page even when the client doesn't ask (e.g. top-20 reports)
+ */
+function listQuery({ fields, defaultSort = null, defaultPageSize = null }) {
+  return (req, res, next) => {
+    try {
+      const { page, pageSize, sort, filter } = req.query;
+      const paged = page !== undefined || pageSize !== undefined || defaultPageSize !== null;
+
+      const size = pageSize !== undefined
+        ? parsePositiveInteger('pageSize', pageSize)
+        : defaultPageSize || DEFAULT_PAGE_SIZE;
+
+      if (size > MAX_PAGE_SIZE) {
+        throw new Error(`pageSize must be at most ${MAX_PAGE_SIZE}`);
+      }
+
+      req.listQuery = {
+        paged,
+        page: page !== undefined ? parsePositiveInteger('page', page) : 1,
+        pageSize: size,
+        sort: sort || defaultSort ? parseSort(sort || defaultSort, fields) : [],
+        filters: filter !== undefined ? parseFilters(filter, fields) : []
+      };
+
+      next();
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  };
+}
+
+/**
+ * Filter, sort and page a list with req.listQuery
+ * Returns { items, total, page, pageSize, pageCount }
+ */
+function applyListQuery(req, items) {
+  const query = req.listQuery;
+  const matching = items.filter(item => query.filters.every(filter => matchesFilter(item, filter)));
+
+  if (query.sort.length > 0) {
+    matching.sort((a, b) => compareItems(a, b, query.sort));
+  }
+
+  const total = matching.length;
+  if (!query.paged) {
+    return { items: matching, total, page: 1, pageSize: total, pageCount: 1 };
+  }
+
+  const start = (query.page - 1) * query.pageSize;
+  return {
+    items: matching.slice(start, start + query.pageSize),
+    total,
+    page: query.page,
+    pageSize: query.pageSize,
+    pageCount: Math.max(1, Math.ceil(total / query.pageSize))
+  };
+}
+
+/**
+ * Set X-Total-Count and (for paged results) the Link header
+ */
+function setListHeaders(req, res, result) {
+  res.set('X-Total-Count', String(result.total));
+
+  if (!req.listQuery.paged) return;
+
+  const [path, search = ''] = req.originalUrl.split('?');
+  const base = `${req.protocol}://${req.get('host')}${path}`;
+  const pageUrl = page => {
+    const params = new URLSearchParams(search);
+    params.set('page', page);
+    params.set('pageSize', result.pageSize);
+    return `${base}?${params.toString()}`;
+  };
+
+  const links = [`<${pageUrl(1)}>; rel="first"`];
+  if (result.page > 1) {
+    links.push(`<${pageUrl(Math.min(result.page - 1, result.pageCount))}>; rel="prev"`);
+  }
+  if (result.page < result.pageCount) {
+    links.push(`<${pageUrl(result.page + 1)}>; rel="next"`);
+  }
+  links.push(`<${pageUrl(result.pageCount)}>; rel="last"`);
+
+  res.set('Link', links.join(', '));
+}
+
+/**
+ * Filter, sort and page a list, set the headers and return the page of items
+ * (for routes that embed the list in a bigger response)
+ */
+function pageList(req, res, items) {
+  const result = applyListQuery(req, items);
+  setListHeaders(req, res, result);
+  return result.items;
+}
+
+/**
+ * Filter, sort and page a list and send it as the response body
+ */
+function sendList(req, res, items) {
+  res.json(pageList(req, res, items));
+}
+
+// Headers browsers may read from cross-origin responses (see cors() in server.js)
+const LIST_HEADERS = ['X-Total-Count', 'Link'];
+
+module.exports = {
+  LIST_HEADERS,
+  listQuery,
+  applyListQuery,
+  pageList,
+  sendList
+};
@@ -0,0 +1,50 @@
+/**
+ * Tenant Middleware
+ * Gives every student or team an isolated library. The tenant is picked by
+ *   - the X-Tenant-Id header:  X-Tenant-Id: team-a
+ *   - or a URL prefix:         /t/team-a/api/books
+ * Requests without a tenant use the shared library in the data directory.
+ * A tenant's library is seeded from scripts/seed-database.js on first use.
+ */
+
+const db = require('../database');
+
+const TENANT_HEADER = 'x-tenant-id';
+const TENANT_PREFIX = /^\/t\/([^/?]+)(?=\/|\?|$)/;
+
+/**
+ * Middleware: Select Tenant
+ * Must be mounted before the routes (and after the body parsers)
+ */
+async function selectTenant(req, res, next) {
+  let tenantId = req.headers[TENANT_HEADER] || null;
+
+  // Strip the /t/<tenant> prefix so the normal routes match
+  const match = req.url.match(TENANT_PREFIX);
+  if (match) {
+    tenantId = decodeURIComponent(match[1]);
+    req.url = '/' + req.url.slice(match[0].length).replace(/^\//, '');
+  }
+
+  if (!tenantId) {
+    return next();
+  }
+
+  try {
+    await db.runWithTenant(tenantId, () => {
+      req.tenantId = tenantId;
+      res.set('X-Tenant-Id', tenantId);
+      next();
+    });
+  } catch (error) {
+    if (error.message.includes('Invalid tenant id')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(`Failed to open library for tenant ${tenantId}:`, error);
+    res.status(500).json({ error: 'Failed to open tenant library' });
+  }
+}
+
+module.exports = {
+  selectTenant
+};
@@ -0,0 +1,43 @@
+/**
+ * Migration 001 - User account fields
+ * Early data folders only stored login details for users. Adds the
+ * borrowing, fine and membership fields the v2 API relies on.
+ */
+
+const { addDays } = require('date-fns');
+
+module.exports = {
+  version: 1,
+  description: 'Add borrowing, fine and membership fields to users',
+  up: {
+    users(data, { collections }) {
+      const library = (collections.config && collections.config.library) || {};
+      const issues = (collections.issues && collections.issues.issues) || [];
+
+      for (const user of data.users) {
+        const joinDate = user.joinDate || new Date().toISOString();
+
+        user.fullName = user.fullName || user.username;
+        user.role = user.role || 'user';
+        user.phone = user.phone || '';
+        user.address = user.address || '';
+        user.joinDate = joinDate;
+        if (user.isActive === undefined) user.isActive = true;
+        if (user.maxBooksAllowed === undefined) {
+          user.maxBooksAllowed = library.maxBooksPerUser || 3;
+        }
+        if (user.currentBooksCount === undefined) {
+          // Rebuild from the books the user still has out
+          user.currentBooksCount = issues.filter(issue =>
+            issue.userId === user.id && issue.status !== 'returned'
+          ).length;
+        }
+        if (user.totalFines === undefined) user.totalFines = 0;
+        if (user.paidFines === undefined) user.paidFines = 0;
+        if (!user.membershipExpiry) {
+          user.membershipExpiry = addDays(new Date(joinDate), 365).toISOString();
+        }
+      }
+    }
+  }
+};
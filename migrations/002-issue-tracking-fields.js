@@ -0,0 +1,28 @@
+/**
+ * Migration 002 - Issue tracking fields
+ * Adds the return, fine and renewal fields to issues created before they existed.
+ */
+
+module.exports = {
+  version: 2,
+  description: 'Add return, fine and renewal fields to issues',
+  up: {
+    issues(data, { collections }) {
+      const library = (collections.config && collections.config.library) || {};
+
+      for (const issue of data.issues) {
+        if (issue.returnDate === undefined) issue.returnDate = null;
+        if (issue.returnedTo === undefined) issue.returnedTo = null;
+        issue.issuedBy = issue.issuedBy || 'system';
+        issue.status = issue.status || (issue.returnDate ? 'returned' : 'issued');
+        if (issue.fineAmount === undefined) issue.fineAmount = 0;
+        if (issue.finePaid === undefined) issue.finePaid = false;
+        if (issue.renewalCount === undefined) issue.renewalCount = 0;
+        if (issue.maxRenewals === undefined) {
+          issue.maxRenewals = library.maxRenewals !== undefined ? library.maxRenewals : 2;
+        }
+        if (issue.notes === undefined) issue.notes = '';
+      }
+    }
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * Migration 003 - Book stock fields
+ * Books from the original mock API only had userId, id, title and body.
+ * Adds catalog and stock fields; the legacy fields are kept because the
+ * backward compatible /books endpoints still return them.
+ */
+
+module.exports = {
+  version: 3,
+  description: 'Add catalog and stock fields to books',
+  up: {
+    books(data, { collections }) {
+      const issues = (collections.issues && collections.issues.issues) || [];
+
+      for (const book of data.books) {
+        const issuedCopies = issues.filter(issue =>
+          issue.bookId === book.id && issue.status !== 'returned'
+        ).length;
+
+        if (book.userId === undefined) book.userId = 1;
+        if (book.body === undefined) book.body = '';
+        if (book.isbn === undefined) book.isbn = `ISBN-${book.id}`;
+        book.category = book.category || 'General';
+        if (book.publishedYear === undefined) book.publishedYear = null;
+        if (book.totalCopies === undefined) book.totalCopies = Math.max(1, issuedCopies);
+        if (book.issuedCopies === undefined) book.issuedCopies = issuedCopies;
+        if (book.availableCopies === undefined) {
+          book.availableCopies = book.totalCopies - book.issuedCopies;
+        }
+        if (book.coverImage === undefined) book.coverImage = '';
+        book.addedBy = book.addedBy || 'admin';
+        book.addedDate = book.addedDate || new Date().toISOString();
+      }
+    }
+  }
+};
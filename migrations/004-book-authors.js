@@ -0,0 +1,18 @@
+/**
+ * Migration 004 - Book authors
+ * Authors become their own collection (created empty by initializeDatabase)
+ * and books link to them through `authorIds`. The legacy `userId` is not an
+ * author id, so existing books start without authors.
+ */
+
+module.exports = {
+  version: 4,
+  description: 'Link books to the new authors collection',
+  up: {
+    books(data) {
+      for (const book of data.books) {
+        if (!Array.isArray(book.authorIds)) book.authorIds = [];
+      }
+    }
+  }
+};
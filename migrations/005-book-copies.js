@@ -0,0 +1,58 @@
+/**
+ * Migration 005 - Book copies
+ * Every physical copy becomes a record in the new copies collection, and
+ * issues point at the copy that was lent out. Copies are created from the
+ * book counters: one 'issued' copy per active issue, the rest 'available'.
+ */
+
+module.exports = {
+  version: 5,
+  description: 'Create a copy record for every copy of every book',
+  up: {
+    copies(data, { collections }) {
+      const books = (collections.books && collections.books.books) || [];
+      const issues = (collections.issues && collections.issues.issues) || [];
+
+      // Only fill a copies collection that was just added to an existing data folder
+      if (data.copies.length > 0) return;
+
+      for (const book of books) {
+        const activeIssues = issues.filter(issue =>
+          issue.bookId === book.id && issue.status !== 'returned'
+        ).length;
+        const total = Math.max(book.totalCopies || 0, activeIssues);
+
+        for (let i = 0; i < total; i++) {
+          const id = data.nextId++;
+          data.copies.push({
+            id,
+            bookId: book.id,
+            barcode: `C${String(id).padStart(6, '0')}`,
+            shelfLocation: '',
+            condition: 'good',
+            status: i < activeIssues ? 'issued' : 'available',
+            acquiredDate: book.addedDate || new Date().toISOString(),
+            notes: ''
+          });
+        }
+      }
+    },
+
+    // Runs after copies: hand each active issue one of its book's issued copies
+    issues(data, { collections }) {
+      const copies = (collections.copies && collections.copies.copies) || [];
+      const taken = new Set(data.issues.map(issue => issue.copyId).filter(Boolean));
+
+      for (const issue of data.issues) {
+        if (issue.copyId !== undefined) continue;
+
+        const copy = issue.status === 'returned'
+          ? null
+          : copies.find(c => c.bookId === issue.bookId && c.status === 'issued' && !taken.has(c.id));
+
+        issue.copyId = copy ? copy.id : null;
+        if (copy) taken.add(copy.id);
+      }
+    }
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Migration 006 - Hold settings
+ * Adds the holds section (pickup window, holds per patron) to the config.
+ * The holds collection itself starts empty.
+ */
+
+module.exports = {
+  version: 6,
+  description: 'Add hold queue settings to the configuration',
+  up: {
+    config(data) {
+      if (!data.holds) {
+        data.holds = {
+          pickupWindowDays: 3,
+          maxHoldsPerUser: 5
+        };
+      }
+    }
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * Migration 007 - Normalized ISBNs
+ * ISBNs are stored as hyphen-free ISBN-13. Valid ISBN-10s are converted,
+ * hyphens dropped. Placeholders ("ISBN-12-1700000000000"), values failing
+ * their check digit and repeats of another book's ISBN can't be trusted
+ * and are cleared (null) so they can be corrected by hand.
+ */
+
+const { normalizeIsbn } = require('../isbn');
+
+module.exports = {
+  version: 7,
+  description: 'Normalize book ISBNs to ISBN-13 and clear invalid or duplicate ones',
+  up: {
+    books(data) {
+      const seen = new Set();
+
+      for (const book of data.books) {
+        const isbn = normalizeIsbn(book.isbn);
+        book.isbn = isbn && !seen.has(isbn) ? isbn : null;
+        if (book.isbn) seen.add(book.isbn);
+      }
+    }
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Migration 008 - Lost and damaged item fees
+ * Adds the replacement fee (charged for a lost book) and the repair fee
+ * (charged for a book returned damaged) to the fine settings.
+ */
+
+module.exports = {
+  version: 8,
+  description: 'Add replacement and repair fees to the fine settings',
+  up: {
+    config(data) {
+      if (data.fines.replacementFee === undefined) {
+        data.fines.replacementFee = 25.00;
+      }
+      if (data.fines.repairFee === undefined) {
+        data.fines.repairFee = 5.00;
+      }
+    }
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Migration 009 - Library calendar
+ * Adds the calendar collection (weekly opening hours and closures). Existing
+ * libraries start with the default hours and no closures; due dates already
+ * set are left as they are.
+ */
+
+module.exports = {
+  version: 9,
+  description: 'Add the library calendar with default opening hours',
+  up: {
+    calendar(data) {
+      if (!data.openingHours) {
+        data.openingHours = {
+          monday: { opens: '09:00', closes: '20:00' },
+          tuesday: { opens: '09:00', closes: '20:00' },
+          wednesday: { opens: '09:00', closes: '20:00' },
+          thursday: { opens: '09:00', closes: '20:00' },
+          friday: { opens: '09:00', closes: '20:00' },
+          saturday: { opens: '10:00', closes: '17:00' },
+          sunday: null
+        };
+      }
+      if (!Array.isArray(data.closures)) {
+        data.closures = [];
+      }
+      if (!Number.isInteger(data.nextId)) {
+        data.nextId = 1;
+      }
+    }
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * Migration 010 - Loan policies
+ * Adds the loan rules by patron type and book category to the config, and
+ * gives every user a patron type: librarians become staff, everyone else
+ * a student (the global limits they had so far). Each user's borrowing cap
+ * is then set from the rules for their patron type.
+ */
+
+const { resolveLoanPolicy } = require('../loan-policy');
+
+module.exports = {
+  version: 10,
+  description: 'Add loan rules to the config and a patron type to every user',
+  up: {
+    config(data) {
+      if (!Array.isArray(data.loanRules)) {
+        data.loanRules = [
+          { patronType: 'staff', category: '*', loanDays: 28, maxRenewals: 3, maxBooks: 10 },
+          { patronType: 'guest', category: '*', loanDays: 7, maxRenewals: 0, maxBooks: 1 },
+          { patronType: '*', category: 'Reference', maxBooks: 0 },
+          { patronType: '*', category: 'DVD', loanDays: 7, maxRenewals: 1, maxBooks: 2, finePerDay: 1.00 }
+        ];
+      }
+    },
+    users(data, { collections }) {
+      const config = collections.config;
+
+      for (const user of data.users) {
+        if (!user.patronType) {
+          user.patronType = user.role === 'librarian' ? 'staff' : 'student';
+        }
+        if (config && config.library && config.fines) {
+          user.maxBooksAllowed = resolveLoanPolicy(config, user.patronType).maxBooks;
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * Migration 011 - Issue status history
+ * Every issue gets a history of its status changes. Older issues only know
+ * when they were issued and, if closed, when that happened - the history
+ * starts with those two steps. Renewed loans get the new 'renewed' status.
+ */
+
+module.exports = {
+  version: 11,
+  description: 'Add the status history to every issue',
+  up: {
+    issues(data) {
+      for (const issue of data.issues) {
+        if (Array.isArray(issue.history)) continue;
+
+        if (issue.status === 'issued' && issue.renewalCount > 0) {
+          issue.status = 'renewed';
+        }
+
+        issue.history = [{ from: null, to: 'issued', date: issue.issueDate, by: issue.issuedBy || 'system' }];
+        if (issue.status !== 'issued') {
+          issue.history.push({
+            from: 'issued',
+            to: issue.status,
+            date: issue.returnDate || issue.lostDate || (issue.status === 'overdue' ? issue.dueDate : issue.issueDate),
+            by: issue.returnedTo || 'system',
+            note: 'Recorded before status history was kept'
+          });
+        }
+      }
+    }
+  }
+};
@@ -0,0 +1,104 @@
+/**
+ * Schema Migrations
+ * Every collection stores the schema version it was written with
+ * (`schemaVersion` at the top of books.json, users.json, ...).
+ *
+ * Migration files live in this folder and are applied in order of their
+ * numeric prefix (001-..., 002-...). Each one exports:
+ *
+ *   version      - schema version the migration upgrades to (matches the prefix)
+ *   description  - one line shown by `npm run migrate`
+ *   up           - one function per collection it changes:
+ *                    up: { users(data, context) { ... } }
+ *                  `data` is the collection document (e.g. { users: [...], nextId })
+ *                  and is changed in place. `context.collections` gives read access
+ *                  to the other collections (already migrated up to this version).
+ *
+ * A collection is only migrated by the steps newer than its own schemaVersion,
+ * so a data folder where some files are newer than others upgrades cleanly.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS = fs.readdirSync(__dirname)
+  .filter(file => /^\d{3}-.+\.js$/.test(file))
+  .sort()
+  .map(file => ({ file, ...require(path.join(__dirname, file)) }));
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS.length > 0
+  ? MIGRATIONS[MIGRATIONS.length - 1].version
+  : 0;
+
+/**
+ * Schema version of a collection document (files from before versioning are 0)
+ */
+function getSchemaVersion(data) {
+  return data && Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+}
+
+/**
+ * Apply pending migrations to collection documents (changed in place)
+ * collections: { books: {...}, users: {...}, issues: {...}, config: {...} }
+ * Returns a report of what every migration changed:
+ *   [{ version, description, changes: { users: 3, issues: 0 } }]
+ */
+function applyMigrations(collections) {
+  const startVersions = Object.fromEntries(
+    Object.entries(collections).map(([name, data]) => [name, getSchemaVersion(data)])
+  );
+  const report = [];
+
+  for (const migration of MIGRATIONS) {
+    const changes = {};
+
+    for (const [name, upgrade] of Object.entries(migration.up)) {
+      const data = collections[name];
+      if (!data || startVersions[name] >= migration.version) continue;
+
+      const before = JSON.stringify(data);
+      upgrade(data, { collections });
+      changes[name] = countChangedRecords(name, before, data);
+    }
+
+    if (Object.keys(changes).length > 0) {
+      report.push({
+        version: migration.version,
+        description: migration.description,
+        changes
+      });
+    }
+  }
+
+  for (const data of Object.values(collections)) {
+    if (getSchemaVersion(data) < CURRENT_SCHEMA_VERSION) {
+      data.schemaVersion = CURRENT_SCHEMA_VERSION;
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Number of records that differ after a migration step
+ * (1 for document collections such as config)
+ */
+function countChangedRecords(name, before, after) {
+  const previous = JSON.parse(before);
+
+  if (!Array.isArray(after[name])) {
+    return JSON.stringify(after) === before ? 0 : 1;
+  }
+
+  const previousById = new Map((previous[name] || []).map(record => [record.id, record]));
+  return after[name].filter(record =>
+    JSON.stringify(record) !== JSON.stringify(previousById.get(record.id))
+  ).length;
+}
+
+module.exports = {
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+  getSchemaVersion,
+  applyMigrations
+};
@@ -10,6 +10,7 @@ const {
   generateToken, 
   authenticateToken 
 } = require('../middleware/auth.middleware');
+const { ValidationError } = require('../errors');
 
 /**
  * POST /api/auth/register
@@ -60,6 +61,9 @@ router.post('/register', async (req, res) => {
     });
     
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
     if (error.message.includes('already exists')) {
       return res.status(409).json({ error: error.message });
     }
@@ -183,6 +187,9 @@ router.put('/profile', authenticateToken, async (req, res) => {
     });
     
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
     if (error.message.includes('already exists')) {
       return res.status(409).json({ error: 'Email already in use' });
     }
@@ -0,0 +1,173 @@
+/**
+ * Author Routes
+ * Authors of the books in the catalogue. Books link to authors through
+ * `authorIds` (a book can have several authors, an author several books).
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const { authenticateToken, requireLibrarian } = require('../middleware/auth.middleware');
+const { listQuery, sendList } = require('../middleware/list-query.middleware');
+const { ValidationError } = require('../errors');
+
+// Fields of author lists that can be sorted and filtered
+const AUTHOR_FIELDS = {
+  id: 'number',
+  name: 'string',
+  nationality: 'string',
+  birthYear: 'number',
+  addedDate: 'date'
+};
+
+/**
+ * Short book summary for author responses
+ */
+function summarizeBook(book) {
+  return {
+    id: book.id,
+    title: book.title,
+    isbn: book.isbn,
+    category: book.category,
+    publishedYear: book.publishedYear
+  };
+}
+
+/**
+ * GET /api/authors
+ * Get all authors, or search them with ?q=name
+ * Supports page, pageSize, sort and filter (see list-query.middleware.js)
+ */
+router.get('/', listQuery({ fields: AUTHOR_FIELDS }), async (req, res) => {
+  try {
+    const { q } = req.query;
+    const authors = q ? await db.searchAuthors(q) : await db.getAllAuthors();
+    sendList(req, res, authors);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch authors' });
+  }
+});
+
+/**
+ * GET /api/authors/:id
+ * Get author details with their books
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const author = await db.getAuthorById(req.params.id);
+    
+    if (!author) {
+      return res.status(404).json({ error: 'Author not found' });
+    }
+    
+    const books = await db.getBooksByAuthor(author.id);
+    
+    res.json({
+      ...author,
+      books: books.map(summarizeBook)
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch author' });
+  }
+});
+
+/**
+ * GET /api/authors/:id/books
+ * Get the books of an author (full book records)
+ */
+router.get('/:id/books', async (req, res) => {
+  try {
+    const author = await db.getAuthorById(req.params.id);
+    
+    if (!author) {
+      return res.status(404).json({ error: 'Author not found' });
+    }
+    
+    res.json(await db.getBooksByAuthor(author.id));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch author books' });
+  }
+});
+
+/**
+ * POST /api/authors
+ * Create a new author (Librarian only)
+ * Body: { name, bio?, birthYear?, nationality? }
+ */
+router.post('/', authenticateToken, requireLibrarian, async (req, res) => {
+  try {
+    const { name, bio, birthYear, nationality } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({ error: 'Author name is required' });
+    }
+    
+    const author = await db.createAuthor({ name, bio, birthYear, nationality });
+    
+    res.status(201).json({
+      message: 'Author created successfully',
+      author
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
+    res.status(500).json({ error: 'Failed to create author' });
+  }
+});
+
+/**
+ * PUT /api/authors/:id
+ * Update author details (Librarian only)
+ */
+router.put('/:id', authenticateToken, requireLibrarian, async (req, res) => {
+  try {
+    const { name, bio, birthYear, nationality } = req.body;
+    
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (bio !== undefined) updates.bio = bio;
+    if (birthYear !== undefined) updates.birthYear = birthYear;
+    if (nationality !== undefined) updates.nationality = nationality;
+    
+    const author = await db.updateAuthor(req.params.id, updates);
+    
+    res.json({
+      message: 'Author updated successfully',
+      author
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
+    if (error.message === 'Author not found') {
+      return res.status(404).json({ error: 'Author not found' });
+    }
+    res.status(500).json({ error: 'Failed to update author' });
+  }
+});
+
+/**
+ * DELETE /api/authors/:id
+ * Delete author (Librarian only, only if no book lists them)
+ */
+router.delete('/:id', authenticateToken, requireLibrarian, async (req, res) => {
+  try {
+    const author = await db.deleteAuthor(req.params.id);
+    
+    res.json({
+      message: 'Author deleted successfully',
+      author
+    });
+  } catch (error) {
+    if (error.message.includes('with books')) {
+      return res.status(400).json({ error: 'Cannot delete author with books' });
+    }
+    if (error.message === 'Author not found') {
+      return res.status(404).json({ error: 'Author not found' });
+    }
+    res.status(500).json({ error: 'Failed to delete author' });
+  }
+});
+
+module.exports = router;
@@ -4,18 +4,46 @@
  */
 
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const db = require('../database');
 const { authenticateToken, requireLibrarian, optionalAuth } = require('../middleware/auth.middleware');
+const { listQuery, pageList, sendList } = require('../middleware/list-query.middleware');
+const { ValidationError } = require('../errors');
+const { normalizeIsbn, isbn13To10, describeIsbnProblem } = require('../isbn');
+const {
+  COVER_SIZES,
+  COVER_CONTENT_TYPES,
+  MAX_COVER_BYTES,
+  saveCover,
+  findCover,
+  removeCover,
+  placeholderCover
+} = require('../covers');
+
+// Fields of book lists that can be sorted and filtered (?sort=-publishedYear&filter[category]=Fiction)
+const BOOK_FIELDS = {
+  id: 'number',
+  title: 'string',
+  category: 'string',
+  isbn: 'string',
+  publishedYear: 'number',
+  totalCopies: 'number',
+  availableCopies: 'number',
+  issuedCopies: 'number',
+  addedBy: 'string',
+  addedDate: 'date'
+};
 
 /**
  * GET /api/books/detailed
  * Get all books with full details (including stock info)
+ * Supports page, pageSize, sort and filter (see list-query.middleware.js)
  */
-router.get('/detailed', optionalAuth, async (req, res) => {
+router.get('/detailed', optionalAuth, listQuery({ fields: BOOK_FIELDS }), async (req, res) => {
   try {
     const books = await db.getAllBooks();
-    res.json(books);
+    sendList(req, res, books);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch books' });
   }
@@ -30,7 +58,8 @@ router.get('/detailed/:id', optionalAuth, async(req, res) =>{
     if(!book){
       return res.status(404).json({error: "Unable to find book with id: " + req.params.id });
     }
-    res.json(book);
+    const { authors } = await db.describeBookAuthors(book);
+    res.json({ ...book, authors });
   }
   catch(error){
     res.status(500).json({error: error.message || "Unable to find book with id: " + req.params.id });
@@ -43,36 +72,159 @@ router.get('/detailed/:id', optionalAuth, async(req, res) =>{
    const books = await getAllBooks();
    return books.find(book => book.id === parseInt(id));
  }
- * GET /api/books/search
- * Search books by query
+ * GET /api/books/search?q=
+ * Ranked search, best match first. Each book has a `score` and `highlights`
+ * Field filters: title:, author:, category:, isbn:, body: - e.g.
+ *   ?q=title:gatsby  ?q=author:"harper lee"  ?q=category:fiction jazz
+ * Small typos and word prefixes still match
+ * Supports page, pageSize, sort and filter - without sort, best match first
  */
-router.get('/search', async (req, res) => {
+router.get('/search', listQuery({ fields: { ...BOOK_FIELDS, score: 'number' } }), async (req, res) => {
   try {
     const { q } = req.query;
     
-    if (!q) {
+    if (!q || !q.trim()) {
       return res.status(400).json({ error: 'Search query is required' });
     }
     
     const books = await db.searchBooks(q);
-    res.json(books);
+    sendList(req, res, books);
   } catch (error) {
+    if (error.message.includes('Unknown search field')) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to search books' });
   }
 });
 
+/**
+ * Read a multi-value browse parameter: ?category=Fiction,Fantasy or ?category=Fiction&category=Fantasy
+ */
+function readList(value) {
+  if (value === undefined) return [];
+  return [].concat(value)
+    .flatMap(part => String(part).split(','))
+    .map(part => part.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Turn the browse query parameters into a selection for db.browseBooks
+ * Throws with a message for the client on bad values
+ */
+function readBrowseSelection(query) {
+  const decade = readList(query.decade).map(value => {
+    const year = parseInt(value);
+    if (!/^\d{3,4}s?$/.test(value) || year % 10 !== 0) {
+      throw new Error(`decade must look like 1950 or 1950s, got ${value}`);
+    }
+    return year;
+  });
+
+  const availability = readList(query.availability).map(value => {
+    if (!['available', 'unavailable'].includes(value)) {
+      throw new Error('availability must be one of: available, unavailable');
+    }
+    return value;
+  });
+
+  const added = readList(query.added).map(value => {
+    const days = parseInt(value);
+    if (!/^\d+d?$/.test(value) || ![7, 30, 365].includes(days)) {
+      throw new Error('added must be one of: 7, 30, 365 (days)');
+    }
+    return days;
+  });
+
+  return {
+    q: query.q && query.q.trim() ? query.q : null,
+    category: readList(query.category),
+    decade,
+    availability,
+    added
+  };
+}
+
+/**
+ * GET /api/books/browse
+ * Faceted catalogue browsing - matching books plus facet counts in one call
+ *   ?category=Fiction,Fantasy   one or more categories
+ *   ?decade=1940s               publication decade(s)
+ *   ?availability=available     available | unavailable
+ *   ?added=30                   added in the last 7, 30 or 365 days
+ *   ?q=war                      optional search text (see /search)
+ * Values of one facet are alternatives, different facets narrow each other.
+ * Returns { books, total, facets: { category, decade, availability, added }, addedDateRange }
+ * Each facet lists [{ value, label, count, selected }]; a count is the number of
+ * books that value would give, keeping the other facets' selections.
+ * page, pageSize and sort apply to books (filter[...] isn't reflected in the counts)
+ */
+router.get('/browse', listQuery({ fields: { ...BOOK_FIELDS, score: 'number' } }), async (req, res) => {
+  let selection;
+  try {
+    selection = readBrowseSelection(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const result = await db.browseBooks(selection);
+    const books = pageList(req, res, result.books);
+
+    res.json({
+      books,
+      total: result.books.length,
+      facets: result.facets,
+      addedDateRange: result.addedDateRange
+    });
+  } catch (error) {
+    if (error.message.includes('Unknown search field')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Browse error:', error);
+    res.status(500).json({ error: 'Failed to browse books' });
+  }
+});
+
+/**
+ * GET /api/books/isbn/:isbn
+ * Look up a book by ISBN-10 or ISBN-13 (hyphens optional)
+ * The response includes both forms: isbn13 and isbn10 (null for 979 ISBNs)
+ */
+router.get('/isbn/:isbn', async (req, res) => {
+  try {
+    const isbn = normalizeIsbn(req.params.isbn);
+    
+    if (!isbn) {
+      return res.status(400).json({
+        error: `${req.params.isbn} is not a valid ISBN-10 or ISBN-13 (${describeIsbnProblem(req.params.isbn)})`
+      });
+    }
+    
+    const book = await db.getBookByIsbn(isbn);
+    
+    if (!book) {
+      return res.status(404).json({ error: `No book with ISBN ${isbn}` });
+    }
+    
+    res.json({ ...book, isbn13: isbn, isbn10: isbn13To10(isbn) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to look up ISBN' });
+  }
+});
+
 /**
  * GET /api/books/category/:category
  * Get books by category
  */
-router.get('/category/:category', async (req, res) => {
+router.get('/category/:category', listQuery({ fields: BOOK_FIELDS }), async (req, res) => {
   try {
     const books = await db.getAllBooks();
     const filtered = books.filter(book => 
       book.category.toLowerCase() === req.params.category.toLowerCase()
     );
     
-    res.json(filtered);
+    sendList(req, res, filtered);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch books by category' });
   }
@@ -82,12 +234,12 @@ router.get('/category/:category', async (req, res) => {
  * GET /api/books/available
  * Get only available books (availableCopies > 0)
  */
-router.get('/available', async (req, res) => {
+router.get('/available', listQuery({ fields: BOOK_FIELDS }), async (req, res) => {
   try {
     const books = await db.getAllBooks();
     const available = books.filter(book => book.availableCopies > 0);
     
-    res.json(available);
+    sendList(req, res, available);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch available books' });
   }
@@ -106,7 +258,7 @@ router.get('/:id/availability', async (req, res) => {
     }
     
     const activeIssues = await db.getIssuesByBook(req.params.id);
-    const currentIssues = activeIssues.filter(issue => issue.status !== 'returned');
+    const currentIssues = activeIssues.filter(issue => db.ACTIVE_ISSUE_STATUSES.includes(issue.status));
     
     res.json({
       bookId: book.id,
@@ -122,6 +274,169 @@ router.get('/:id/availability', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/books/:id/copies
+ * Get the physical copies of a book with their barcode, shelf and status (Librarian only)
+ * Patrons see the counts through GET /api/books/:id/availability
+ */
+router.get('/:id/copies', authenticateToken, requireLibrarian, async (req, res) => {
+  try {
+    const book = await db.getBookById(req.params.id);
+    
+    if (!book) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+    
+    res.json(await db.getCopiesByBook(book.id));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch copies' });
+  }
+});
+
+// Cover uploads are kept in memory until checked (see covers.js)
+const coverUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_COVER_BYTES, files: 1 },
+  fileFilter: (req, file, done) => {
+    if (!COVER_CONTENT_TYPES.includes(file.mimetype)) {
+      return done(new Error('Cover must be a JPEG, PNG or WebP image'));
+    }
+    done(null, true);
+  }
+});
+
+/**
+ * Middleware: read the multipart "cover" file into req.file
+ */
+function receiveCover(req, res, next) {
+  coverUpload.single('cover')(req, res, error => {
+    if (!error) {
+      return next();
+    }
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Cover image must be at most ${MAX_COVER_BYTES / 1024 / 1024} MB` });
+    }
+    if (error.message.startsWith('Cover must be')) {
+      return res.status(415).json({ error: error.message });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: `Invalid upload: ${error.message}` });
+    }
+    next(error);
+  });
+}
+
+/**
+ * GET /api/books/:id/cover?size=small|medium|large|original
+ * The book's cover image (default size: medium)
+ * Without an uploaded cover: a cover URL entered by hand is redirected to,
+ * otherwise a placeholder SVG is drawn from the title
+ */
+router.get('/:id/cover', async (req, res) => {
+  try {
+    const size = req.query.size || 'medium';
+
+    if (size !== 'original' && !COVER_SIZES[size]) {
+      return res.status(400).json({
+        error: `Invalid cover size: ${size} (use one of: ${[...Object.keys(COVER_SIZES), 'original'].join(', ')})`
+      });
+    }
+
+    const book = await db.getBookById(req.params.id);
+
+    if (!book) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+
+    // Revalidate with the ETag, so a new upload shows up straight away
+    res.set('Cache-Control', 'no-cache');
+
+    const cover = await findCover(db.getCurrentTenant(), book.id, size);
+    if (cover) {
+      return res.type(cover.contentType).sendFile(cover.file);
+    }
+
+    if (/^https?:\/\//.test(book.coverImage || '')) {
+      return res.redirect(book.coverImage);
+    }
+
+    const { author } = await db.describeBookAuthors(book);
+    res.type('image/svg+xml').send(placeholderCover(book, author || ''));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch cover' });
+  }
+});
+
+/**
+ * POST /api/books/:id/cover
+ * Upload a cover (Librarian only)
+ * multipart/form-data with the image in the "cover" field - JPEG, PNG or WebP,
+ * at most 5 MB. Thumbnails are made for every size of GET /:id/cover.
+ */
+router.post('/:id/cover', authenticateToken, requireLibrarian, receiveCover, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Send the image as multipart/form-data in the "cover" field' });
+    }
+
+    const book = await db.getBookById(req.params.id);
+
+    if (!book) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+
+    const cover = await saveCover(db.getCurrentTenant(), book.id, req.file.buffer);
+
+    // The version changes with every upload so cached copies are replaced
+    const updatedBook = await db.updateBook(book.id, {
+      coverImage: `/api/books/${book.id}/cover?v=${cover.version}`
+    });
+
+    res.status(201).json({
+      message: 'Cover uploaded successfully',
+      book: updatedBook,
+      cover: {
+        ...cover,
+        urls: Object.fromEntries(
+          [...Object.keys(COVER_SIZES), 'original'].map(size => [size, `/api/books/${book.id}/cover?size=${size}`])
+        )
+      }
+    });
+  } catch (error) {
+    if (error.message.startsWith('Cover must be')) {
+      return res.status(415).json({ error: error.message });
+    }
+    if (error.message.startsWith('Cover image is too small')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to upload cover' });
+  }
+});
+
+/**
+ * DELETE /api/books/:id/cover
+ * Remove the uploaded cover - the placeholder is shown again (Librarian only)
+ */
+router.delete('/:id/cover', authenticateToken, requireLibrarian, async (req, res) => {
+  try {
+    const book = await db.getBookById(req.params.id);
+
+    if (!book) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+
+    await removeCover(db.getCurrentTenant(), book.id);
+    const updatedBook = await db.updateBook(book.id, { coverImage: '' });
+
+    res.json({
+      message: 'Cover removed successfully',
+      book: updatedBook
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to remove cover' });
+  }
+});
+
 /**
  * GET /api/books/categories/list
  * Get list of all unique categories
@@ -140,10 +455,11 @@ router.get('/categories/list', async (req, res) => {
 /**
  * POST /api/books/create
  * Create a new book (Librarian only)
+ * isbn is optional: ISBN-10 or ISBN-13, stored as hyphen-free ISBN-13
  */
 router.post('/create', authenticateToken, requireLibrarian, async (req, res) => {
   try {
-    const { title, body, isbn, category, publishedYear, totalCopies, coverImage } = req.body;
+    const { title, body, isbn, category, publishedYear, totalCopies, coverImage, authorIds } = req.body;
     
     if (!title || !body) {
       return res.status(400).json({ error: 'Title and description are required' });
@@ -157,6 +473,7 @@ router.post('/create', authenticateToken, requireLibrarian, async (req, res) =>
       publishedYear,
       totalCopies: totalCopies || 1,
       coverImage,
+      authorIds,
       addedBy: req.user.username
     };
     
@@ -167,6 +484,15 @@ router.post('/create', authenticateToken, requireLibrarian, async (req, res) =>
       book: newBook
     });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
+    if (error.message.startsWith('Author not found')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to create book' });
   }
 });
@@ -177,40 +503,43 @@ router.post('/create', authenticateToken, requireLibrarian, async (req, res) =>
  */
 router.put('/:id/update', authenticateToken, requireLibrarian, async (req, res) => {
   try {
-    const { title, body, category, publishedYear, totalCopies, coverImage } = req.body;
+    const { title, body, isbn, category, publishedYear, totalCopies, coverImage, authorIds } = req.body;
     
     const updates = {};
     if (title !== undefined) updates.title = title;
     if (body !== undefined) updates.body = body;
+    if (isbn !== undefined) updates.isbn = isbn;
     if (category !== undefined) updates.category = category;
     if (publishedYear !== undefined) updates.publishedYear = publishedYear;
     if (coverImage !== undefined) updates.coverImage = coverImage;
+    if (authorIds !== undefined) updates.authorIds = authorIds;
     
-    // Handle totalCopies update carefully
+    // Counters are derived from copies: adding copies or withdrawing spare ones
+    let newTotal;
     if (totalCopies !== undefined) {
-      const book = await db.getBookById(req.params.id);
-      if (!book) {
-        return res.status(404).json({ error: 'Book not found' });
+      newTotal = parseInt(totalCopies);
+      if (isNaN(newTotal) || newTotal < 0) {
+        return res.status(400).json({ error: 'totalCopies must be a non-negative number' });
       }
-      
-      const newTotal = parseInt(totalCopies);
-      if (newTotal < book.issuedCopies) {
-        return res.status(400).json({ 
-          error: `Cannot reduce total copies below issued copies (${book.issuedCopies})` 
-        });
-      }
-      
-      updates.totalCopies = newTotal;
-      updates.availableCopies = newTotal - book.issuedCopies;
     }
     
-    const updatedBook = await db.updateBook(req.params.id, updates);
+    const updatedBook = await db.updateBook(req.params.id, updates, { totalCopies: newTotal });
     
     res.json({
       message: 'Book updated successfully',
       book: updatedBook
     });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
+    if (error.message.startsWith('Author not found') ||
+        error.message.startsWith('Cannot reduce total copies')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({ error: error.message });
+    }
     if (error.message === 'Book not found') {
       return res.status(404).json({ error: 'Book not found' });
     }
@@ -225,6 +554,7 @@ router.put('/:id/update', authenticateToken, requireLibrarian, async (req, res)
 router.delete('/:id/delete', authenticateToken, requireLibrarian, async (req, res) => {
   try {
     const deletedBook = await db.deleteBook(req.params.id);
+    await removeCover(db.getCurrentTenant(), deletedBook.id);
     
     res.json({
       message: 'Book deleted successfully',
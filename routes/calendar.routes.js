@@ -0,0 +1,166 @@
+/**
+ * Calendar Routes
+ * When the library is open: weekly opening hours and closures (holidays,
+ * stocktaking, ...). Due dates falling on a closed day move to the next open
+ * day, and overdue fines only count days the library was open (see calendar.js).
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const { authenticateToken, requireLibrarian } = require('../middleware/auth.middleware');
+const { listQuery, sendList } = require('../middleware/list-query.middleware');
+const { ValidationError } = require('../errors');
+const { parseDateKey } = require('../calendar');
+const { addDays, differenceInCalendarDays } = require('date-fns');
+
+// Fields of closure lists that can be sorted and filtered
+const CLOSURE_FIELDS = {
+  id: 'number',
+  startDate: 'string',
+  endDate: 'string',
+  reason: 'string',
+  addedBy: 'string',
+  addedDate: 'date'
+};
+
+// Longest range GET /days answers in one go
+const MAX_DAYS = 366;
+const DEFAULT_DAYS = 14;
+
+/**
+ * Short summary of loans whose due date was moved
+ */
+function summarizeRescheduled(issues) {
+  return issues.map(issue => ({
+    id: issue.id,
+    bookId: issue.bookId,
+    userId: issue.userId,
+    dueDate: issue.dueDate
+  }));
+}
+
+/**
+ * GET /api/calendar
+ * Opening hours, closures and whether the library is open today
+ */
+router.get('/', async (req, res) => {
+  try {
+    const calendar = await db.getCalendar();
+    const [today] = await db.getCalendarDays(new Date(), new Date());
+
+    res.json({
+      openingHours: calendar.openingHours,
+      closures: calendar.closures,
+      today
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch calendar' });
+  }
+});
+
+/**
+ * GET /api/calendar/days?from=2026-12-20&to=2026-12-31
+ * Day by day opening hours (from defaults to today, to to two weeks later)
+ */
+router.get('/days', async (req, res) => {
+  try {
+    const from = req.query.from ? parseDateKey(req.query.from) : new Date();
+    const to = req.query.to ? parseDateKey(req.query.to) : from && addDays(from, DEFAULT_DAYS - 1);
+
+    if (!from || !to) {
+      return res.status(400).json({ error: 'from and to must be dates as yyyy-MM-dd' });
+    }
+
+    const span = differenceInCalendarDays(to, from) + 1;
+    if (span < 1) {
+      return res.status(400).json({ error: 'to must not be before from' });
+    }
+    if (span > MAX_DAYS) {
+      return res.status(400).json({ error: `At most ${MAX_DAYS} days can be listed at once` });
+    }
+
+    res.json(await db.getCalendarDays(from, to));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch calendar days' });
+  }
+});
+
+/**
+ * GET /api/calendar/closures
+ * All closures, earliest first
+ * Supports page, pageSize, sort and filter (see list-query.middleware.js)
+ */
+router.get('/closures', listQuery({ fields: CLOSURE_FIELDS }), async (req, res) => {
+  try {
+    const calendar = await db.getCalendar();
+    sendList(req, res, calendar.closures);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch closures' });
+  }
+});
+
+/**
+ * PUT /api/calendar/hours
+ * Change the weekly opening hours (Librarian only)
+ * Body: { monday: { opens: '09:00', closes: '18:00' }, sunday: null, ... }
+ * Weekdays left out keep their hours; null closes the library that weekday
+ */
+router.put('/hours', authenticateToken, requireLibrarian, async (req, res) => {
+  try {
+    const { calendar, rescheduled } = await db.updateOpeningHours(req.body);
+
+    res.json({
+      message: 'Opening hours updated',
+      openingHours: calendar.openingHours,
+      rescheduled: summarizeRescheduled(rescheduled)
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
+    res.status(500).json({ error: 'Failed to update opening hours' });
+  }
+});
+
+/**
+ * POST /api/calendar/closures
+ * Close the library for a day or a range of days (Librarian only)
+ * Body: { startDate: '2026-12-24', endDate?: '2026-12-26', reason: 'Christmas' }
+ * Loans due while closed move to the next open day
+ */
+router.post('/closures', authenticateToken, requireLibrarian, async (req, res) => {
+  try {
+    const { closure, rescheduled } = await db.addClosure(req.body, req.user.username);
+
+    res.status(201).json({
+      message: 'Closure added',
+      closure,
+      rescheduled: summarizeRescheduled(rescheduled)
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
+    res.status(500).json({ error: 'Failed to add closure' });
+  }
+});
+
+/**
+ * DELETE /api/calendar/closures/:id
+ * Remove a closure (Librarian only)
+ * Due dates it already moved are kept
+ */
+router.delete('/closures/:id', authenticateToken, requireLibrarian, async (req, res) => {
+  try {
+    const closure = await db.deleteClosure(req.params.id);
+    res.json({ message: 'Closure removed', closure });
+  } catch (error) {
+    if (error.message === 'Closure not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to remove closure' });
+  }
+});
+
+module.exports = router;
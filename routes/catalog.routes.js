@@ -0,0 +1,194 @@
+/**
+ * Catalog Routes
+ * Bulk import and export of the book catalogue as CSV or MARC - Librarian only
+ * (file formats in catalog/csv.js and catalog/marc.js)
+ */
+
+const express = require('express');
+const bodyParser = require('body-parser');
+const router = express.Router();
+const db = require('../database');
+const { authenticateToken, requireLibrarian } = require('../middleware/auth.middleware');
+const { ValidationError } = require('../errors');
+const { readCatalogCsv, writeCatalogCsv } = require('../catalog/csv');
+const { readMarc, writeMarcXml } = require('../catalog/marc');
+
+const MAX_CSV_SIZE = '5mb';
+const MAX_MARC_SIZE = '20mb';
+
+// Content types accepted by the MARC import
+const MARC_TYPES = [
+  'application/marc',
+  'application/marcxml+xml',
+  'application/xml',
+  'text/xml',
+  'application/octet-stream'
+];
+
+// All catalog routes require librarian role
+router.use(authenticateToken);
+router.use(requireLibrarian);
+
+/**
+ * POST /api/catalog/import
+ * Add and update books from a CSV file
+ * Body: the CSV text (Content-Type: text/csv) or JSON { csv }
+ * Query:
+ *   dryRun=true          - validate and preview without saving anything
+ *   map[field]=Header    - read a field from a differently named column,
+ *                          e.g. map[title]=Book%20Name&map[isbn]=EAN
+ *
+ * Rows with a known ISBN update that book, other rows add new books.
+ * Rows with errors are skipped and reported with their row number.
+ */
+router.post('/import', bodyParser.text({ type: 'text/csv', limit: MAX_CSV_SIZE }), async (req, res) => {
+  try {
+    const csv = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+
+    if (!csv || typeof csv !== 'string') {
+      return res.status(400).json({ error: 'Send the CSV as a text/csv body or as JSON { csv }' });
+    }
+
+    const mapping = req.query.map && typeof req.query.map === 'object' ? req.query.map : {};
+    const { records, ignoredColumns } = readCatalogCsv(csv, mapping);
+    const dryRun = req.query.dryRun === 'true';
+
+    const result = await db.importBooks(records, {
+      dryRun,
+      importedBy: req.user.username
+    });
+
+    const { created, updated, failed } = result.summary;
+    res.json({
+      message: dryRun
+        ? `Dry run: ${created} to create, ${updated} to update, ${failed} with errors`
+        : `Imported: ${created} created, ${updated} updated, ${failed} skipped`,
+      ...result,
+      ignoredColumns
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
+    if (error.message.startsWith('Invalid CSV') ||
+        error.message.includes('CSV file is empty') ||
+        error.message.includes('title column') ||
+        error.message.startsWith('Column not found') ||
+        error.message.startsWith('Unknown import field')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to import catalog' });
+  }
+});
+
+/**
+ * POST /api/catalog/import/marc
+ * Add and update books from MARC21 records
+ * Body: binary MARC21 (Content-Type: application/marc) or MARCXML
+ *       (application/marcxml+xml or text/xml) - the format is detected
+ * Query: dryRun=true - validate and preview without saving anything
+ *
+ * Same rules as the CSV import; "row" in the result is the record number.
+ */
+router.post('/import/marc', bodyParser.raw({ type: MARC_TYPES, limit: MAX_MARC_SIZE }), async (req, res) => {
+  try {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        error: 'Send MARC21 (application/marc) or MARCXML (application/marcxml+xml) as the request body'
+      });
+    }
+
+    const records = readMarc(req.body);
+    const dryRun = req.query.dryRun === 'true';
+
+    const result = await db.importBooks(records, {
+      dryRun,
+      importedBy: req.user.username
+    });
+
+    const { created, updated, failed } = result.summary;
+    res.json({
+      message: dryRun
+        ? `Dry run: ${created} to create, ${updated} to update, ${failed} with errors`
+        : `Imported: ${created} created, ${updated} updated, ${failed} skipped`,
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
+    if (error.message.startsWith('Invalid MARC') || error.message.includes('MARC file is empty')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to import MARC records' });
+  }
+});
+
+/**
+ * Author names of each book: bookId -> ['Author', ...]
+ */
+async function getAuthorNames(books) {
+  const authorsById = new Map((await db.getAllAuthors()).map(author => [author.id, author.name]));
+  return new Map(books.map(book => [
+    book.id,
+    (book.authorIds || []).map(id => authorsById.get(id)).filter(Boolean)
+  ]));
+}
+
+/**
+ * GET /api/catalog/export
+ * Download the whole catalogue as CSV (re-importable with POST /import)
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const books = [...(await db.getAllBooks())].sort((a, b) => a.id - b.id);
+    const authorNames = await getAuthorNames(books);
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="catalog-${date}.csv"`);
+    res.send(writeCatalogCsv(books, authorNames));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to export catalog' });
+  }
+});
+
+/**
+ * GET /api/catalog/export/marcxml
+ * Download the whole catalogue as a MARCXML collection
+ */
+router.get('/export/marcxml', async (req, res) => {
+  try {
+    const books = [...(await db.getAllBooks())].sort((a, b) => a.id - b.id);
+    const authorNames = await getAuthorNames(books);
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.set('Content-Type', 'application/marcxml+xml; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="catalog-${date}.xml"`);
+    res.send(writeMarcXml(books, authorNames));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to export catalog' });
+  }
+});
+
+/**
+ * GET /api/catalog/export/marcxml/:bookId
+ * One book as MARCXML
+ */
+router.get('/export/marcxml/:bookId', async (req, res) => {
+  try {
+    const book = await db.getBookById(req.params.bookId);
+
+    if (!book) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+
+    res.set('Content-Type', 'application/marcxml+xml; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="book-${book.id}.xml"`);
+    res.send(writeMarcXml([book], await getAuthorNames([book])));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to export book' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+/**
+ * Change Feed Routes
+ * Incremental sync - clients remember the last sequence number they have seen
+ * and ask only for what changed since then
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const { authenticateToken } = require('../middleware/auth.middleware');
+
+// Events every signed-in user may see
+const PUBLIC_ENTITIES = ['book', 'author', 'copy', 'calendar', 'closure', 'config', 'data'];
+
+/**
+ * Can this user see the change?
+ * Librarians see everything, other users see the catalogue plus their own
+ * account, issues, holds and fine payments
+ */
+function canSeeChange(user, change) {
+  if (user.role === 'librarian') return true;
+
+  const entity = change.type.split('.')[0];
+  if (PUBLIC_ENTITIES.includes(entity)) return true;
+
+  if (entity === 'user' || entity === 'fine') {
+    return change.entityId === user.id;
+  }
+
+  if (entity === 'issue' || entity === 'hold') {
+    const record = change.after || change.before;
+    return record.userId === user.id;
+  }
+
+  return false;
+}
+
+/**
+ * GET /api/changes?since=0&limit=100
+ * Changes after the given sequence number, oldest first
+ * Returns { changes, lastSequence, hasMore } - call again with
+ * since=<sequence of the last change> while hasMore is true
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { since, limit } = req.query;
+
+    if (since !== undefined && (isNaN(parseInt(since)) || parseInt(since) < 0)) {
+      return res.status(400).json({ error: 'since must be a non-negative sequence number' });
+    }
+
+    const result = await db.getChanges({
+      since,
+      limit,
+      filter: change => canSeeChange(req.user, change)
+    });
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch changes' });
+  }
+});
+
+module.exports = router;
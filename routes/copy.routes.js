@@ -0,0 +1,201 @@
+/**
+ * Copy Routes
+ * Physical copies of the books - each has its own barcode, shelf location,
+ * condition and status. Book counters (totalCopies, availableCopies,
+ * issuedCopies) are derived from these records.
+ * Librarian only
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const { authenticateToken, requireLibrarian } = require('../middleware/auth.middleware');
+const { listQuery, sendList } = require('../middleware/list-query.middleware');
+const { ValidationError } = require('../errors');
+
+// Fields of copy lists that can be sorted and filtered
+const COPY_FIELDS = {
+  id: 'number',
+  bookId: 'number',
+  barcode: 'string',
+  shelfLocation: 'string',
+  condition: 'string',
+  status: 'string',
+  acquiredDate: 'date'
+};
+
+// All copy routes require librarian role
+router.use(authenticateToken);
+router.use(requireLibrarian);
+
+/**
+ * GET /api/copies
+ * Get all copies, optionally filtered: ?bookId=1&status=damaged
+ * Also supports page, pageSize, sort and filter (see list-query.middleware.js)
+ */
+router.get('/', listQuery({ fields: COPY_FIELDS }), async (req, res) => {
+  try {
+    const { bookId, status } = req.query;
+    
+    let copies = bookId ? await db.getCopiesByBook(bookId) : await db.getAllCopies();
+    if (status) {
+      copies = copies.filter(copy => copy.status === status);
+    }
+    
+    sendList(req, res, copies);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch copies' });
+  }
+});
+
+/**
+ * GET /api/copies/barcode/:barcode
+ * Look up a scanned copy, with its book and current loan
+ */
+router.get('/barcode/:barcode', async (req, res) => {
+  try {
+    const copy = await db.getCopyByBarcode(req.params.barcode);
+    
+    if (!copy) {
+      return res.status(404).json({ error: 'Copy not found' });
+    }
+    
+    res.json(await describeCopy(copy));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch copy' });
+  }
+});
+
+/**
+ * GET /api/copies/:id
+ * Get copy details with its book and current loan
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const copy = await db.getCopyById(req.params.id);
+    
+    if (!copy) {
+      return res.status(404).json({ error: 'Copy not found' });
+    }
+    
+    res.json(await describeCopy(copy));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch copy' });
+  }
+});
+
+/**
+ * POST /api/copies
+ * Add a copy of a book
+ * Body: { bookId, barcode?, shelfLocation?, condition?, notes? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { bookId, barcode, shelfLocation, condition, notes } = req.body;
+    
+    if (!bookId) {
+      return res.status(400).json({ error: 'Book ID is required' });
+    }
+    
+    const copy = await db.createCopy({ bookId, barcode, shelfLocation, condition, notes });
+    
+    res.status(201).json({
+      message: 'Copy added successfully',
+      copy
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
+    if (error.message === 'Book not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to add copy' });
+  }
+});
+
+/**
+ * PUT /api/copies/:id
+ * Update barcode, shelf location, condition, status or notes
+ * Status can be set to available, damaged, lost or withdrawn
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { barcode, shelfLocation, condition, status, notes } = req.body;
+    
+    const updates = {};
+    if (barcode !== undefined) updates.barcode = barcode;
+    if (shelfLocation !== undefined) updates.shelfLocation = shelfLocation;
+    if (condition !== undefined) updates.condition = condition;
+    if (status !== undefined) updates.status = status;
+    if (notes !== undefined) updates.notes = notes;
+    
+    const copy = await db.updateCopy(req.params.id, updates);
+    
+    res.json({
+      message: 'Copy updated successfully',
+      copy
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
+    if (error.message === 'Copy not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error.message.includes('on loan') || error.message.includes('set aside') || error.message.includes('must be one of')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to update copy' });
+  }
+});
+
+/**
+ * DELETE /api/copies/:id
+ * Delete a copy that was never lent out (withdraw others with PUT status=withdrawn)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const copy = await db.deleteCopy(req.params.id);
+    
+    res.json({
+      message: 'Copy deleted successfully',
+      copy
+    });
+  } catch (error) {
+    if (error.message.includes('issue history')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message === 'Copy not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to delete copy' });
+  }
+});
+
+/**
+ * Copy with its book and the loan it is currently out on (if any)
+ */
+async function describeCopy(copy) {
+  const book = await db.getBookById(copy.bookId);
+  const issues = await db.getIssuesByBook(copy.bookId);
+  const currentIssue = issues.find(issue =>
+    issue.copyId === copy.id && db.ACTIVE_ISSUE_STATUSES.includes(issue.status)
+  );
+  
+  return {
+    ...copy,
+    book: book ? { id: book.id, title: book.title, isbn: book.isbn } : null,
+    currentIssue: currentIssue
+      ? { id: currentIssue.id, userId: currentIssue.userId, dueDate: currentIssue.dueDate }
+      : null
+  };
+}
+
+module.exports = router;
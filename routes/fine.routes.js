@@ -7,12 +7,32 @@ const express = require('express');
 const router = express.Router();
 const db = require('../database');
 const { authenticateToken, requireLibrarian } = require('../middleware/auth.middleware');
+const { listQuery, pageList } = require('../middleware/list-query.middleware');
+
+// Fields of a user's unpaid fines (issuesWithFines)
+const FINE_FIELDS = {
+  issueId: 'number',
+  bookTitle: 'string',
+  fineAmount: 'number',
+  finePaid: 'boolean'
+};
+
+// Fields of the fines report (users)
+const FINE_REPORT_FIELDS = {
+  userId: 'number',
+  username: 'string',
+  fullName: 'string',
+  unpaidFines: 'number',
+  paidFines: 'number',
+  unpaidIssuesCount: 'number'
+};
 
 /**
  * GET /api/fines/user/:userId
  * Get user's fine summary
+ * page, pageSize, sort and filter apply to issuesWithFines
  */
-router.get('/user/:userId', authenticateToken, async (req, res) => {
+router.get('/user/:userId', authenticateToken, listQuery({ fields: FINE_FIELDS }), async (req, res) => {
   try {
     const userId = parseInt(req.params.userId);
     
@@ -26,27 +46,31 @@ router.get('/user/:userId', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    // Get all issues with fines
+    // Get all issues with fines (open loans aren't charged yet)
     const allIssues = await db.getIssueHistory(userId);
-    const issuesWithFines = allIssues.filter(issue => issue.fineAmount > 0);
+    const issuesWithFines = allIssues.filter(issue =>
+      issue.fineAmount > 0 && !db.OPEN_ISSUE_STATUSES.includes(issue.status)
+    );
     const unpaidIssues = issuesWithFines.filter(issue => !issue.finePaid);
     
+    const issuesWithFineDetails = await Promise.all(
+      unpaidIssues.map(async (issue) => {
+        const book = await db.getBookById(issue.bookId);
+        return {
+          issueId: issue.id,
+          bookTitle: book ? book.title : 'Unknown',
+          fineAmount: issue.fineAmount,
+          finePaid: issue.finePaid
+        };
+      })
+    );
+    
     res.json({
       totalFines: user.totalFines + user.paidFines, // lifetime amount ever accrued
       paidFines: user.paidFines,
       unpaidFines: user.totalFines,                 // current outstanding balance
       unpaidIssuesCount: unpaidIssues.length,
-      issuesWithFines: await Promise.all(
-        unpaidIssues.map(async (issue) => {
-          const book = await db.getBookById(issue.bookId);
-          return {
-            issueId: issue.id,
-            bookTitle: book ? book.title : 'Unknown',
-            fineAmount: issue.fineAmount,
-            finePaid: issue.finePaid
-          };
-        })
-      )
+      issuesWithFines: pageList(req, res, issuesWithFineDetails)
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch fines' });
@@ -71,27 +95,21 @@ router.post('/:issueId/pay', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
     
-    if (issue.fineAmount === 0) {
-      return res.status(400).json({ error: 'No fine to pay for this issue' });
-    }
-    
-    if (issue.finePaid) {
-      return res.status(400).json({ error: 'Fine already paid' });
-    }
-    
-    // Mark fine as paid
-    await db.updateIssue(issueId, { finePaid: true });
-    
-    // Deduct from user's total fines
-    const paymentResult = await db.payUserFine(issue.userId, issue.fineAmount);
+    // Mark fine as paid and deduct from user's total fines (one commit)
+    const paymentResult = await db.payIssueFine(issueId);
     
     res.json({
       message: 'Fine paid successfully',
-      amountPaid: issue.fineAmount,
+      amountPaid: paymentResult.amountPaid,
       remainingFines: paymentResult.remaining
     });
     
   } catch (error) {
+    if (error.message === 'No fine to pay for this issue' ||
+        error.message === 'Fine already paid' ||
+        error.message.startsWith('Fine is charged')) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to process payment' });
   }
 });
@@ -114,33 +132,20 @@ router.post('/user/:userId/pay-all', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    if (user.totalFines === 0) {
-      return res.status(400).json({ error: 'No outstanding fines' });
-    }
-    
-    // Get all unpaid issues
-    const allIssues = await db.getIssueHistory(userId);
-    const unpaidIssues = allIssues.filter(issue => 
-      issue.fineAmount > 0 && !issue.finePaid
-    );
-    
-    // Mark all as paid
-    for (const issue of unpaidIssues) {
-      await db.updateIssue(issue.id, { finePaid: true });
-    }
-    
-    // Pay all fines
-    const totalAmount = user.totalFines;
-    const paymentResult = await db.payUserFine(userId, totalAmount);
+    // Mark all unpaid issues as paid and clear the balance (one commit)
+    const paymentResult = await db.payAllUserFines(userId);
     
     res.json({
       message: 'All fines paid successfully',
-      amountPaid: totalAmount,
-      issuesPaid: unpaidIssues.length,
+      amountPaid: paymentResult.amountPaid,
+      issuesPaid: paymentResult.issuesPaid,
       remainingFines: paymentResult.remaining
     });
     
   } catch (error) {
+    if (error.message === 'No outstanding fines') {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to process payment' });
   }
 });
@@ -165,27 +170,19 @@ router.get('/calculate/:issueId', authenticateToken, async (req, res) => {
     
     const fine = await db.calculateFine(issueId);
     const config = await db.getConfig();
+    const policy = await db.getLoanPolicy(issue.userId, issue.bookId);
     
-    // Calculate overdue days
-    const now = new Date();
-    const dueDate = new Date(issue.dueDate);
-    const gracePeriod = config.fines.gracePeriodDays;
-    const effectiveDueDate = new Date(dueDate);
-    effectiveDueDate.setDate(effectiveDueDate.getDate() + gracePeriod);
-    
-    let overdueDays = 0;
-    if (now > effectiveDueDate) {
-      overdueDays = Math.ceil((now - effectiveDueDate) / (1000 * 60 * 60 * 24));
-    }
+    // Days the library was open since the due date, less the grace period
+    const overdueDays = await db.countOverdueDays(issue);
     
     res.json({
       issueId: issue.id,
       dueDate: issue.dueDate,
-      gracePeriodDays: gracePeriod,
-      overdueDays: Math.max(0, overdueDays),
-      finePerDay: config.fines.perDayRate,
+      gracePeriodDays: config.fines.gracePeriodDays,
+      overdueDays,
+      finePerDay: policy.finePerDay,
       calculatedFine: fine,
-      maxFinePerBook: config.fines.maxFinePerBook,
+      maxFinePerBook: policy.maxFine,
       isOverdue: fine > 0,
       status: issue.status
     });
@@ -198,8 +195,9 @@ router.get('/calculate/:issueId', authenticateToken, async (req, res) => {
 /**
  * GET /api/fines/report
  * Get fines report (Librarian only)
+ * page, pageSize, sort and filter apply to users - the summary covers everyone
  */
-router.get('/report', authenticateToken, requireLibrarian, async (req, res) => {
+router.get('/report', authenticateToken, requireLibrarian, listQuery({ fields: FINE_REPORT_FIELDS }), async (req, res) => {
   try {
     const users = await db.getAllUsers();
     const allIssues = await db.getAllIssues();
@@ -211,7 +209,9 @@ router.get('/report', authenticateToken, requireLibrarian, async (req, res) => {
     for (const user of users) {
       if (user.totalFines > 0 || user.paidFines > 0) {
         const userIssues = allIssues.filter(i => i.userId === user.id);
-        const unpaidIssues = userIssues.filter(i => i.fineAmount > 0 && !i.finePaid);
+        const unpaidIssues = userIssues.filter(i =>
+          i.fineAmount > 0 && !i.finePaid && !db.OPEN_ISSUE_STATUSES.includes(i.status)
+        );
         
         usersWithFines.push({
           userId: user.id,
@@ -234,7 +234,7 @@ router.get('/report', authenticateToken, requireLibrarian, async (req, res) => {
         usersWithUnpaidFines: usersWithFines.filter(u => u.unpaidFines > 0).length,
         totalUsersWithFines: usersWithFines.length
       },
-      users: usersWithFines
+      users: pageList(req, res, usersWithFines)
     });
     
   } catch (error) {
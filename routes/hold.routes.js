@@ -0,0 +1,208 @@
+/**
+ * Hold Routes
+ * Reserve books that are all out on loan. Holds are served first come,
+ * first served: a returned copy is set aside for the patron at the front
+ * of the queue, who then has a few days to pick it up.
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const { authenticateToken, requireLibrarian } = require('../middleware/auth.middleware');
+const { listQuery, sendList } = require('../middleware/list-query.middleware');
+
+// Fields of hold lists that can be sorted and filtered
+const HOLD_FIELDS = {
+  id: 'number',
+  bookId: 'number',
+  userId: 'number',
+  status: 'string',
+  placedDate: 'date',
+  readyDate: 'date',
+  expiresAt: 'date',
+  queuePosition: 'number',
+  'book.title': 'string',
+  'user.username': 'string'
+};
+
+router.use(authenticateToken);
+
+/**
+ * Add book, user and queue position to a hold
+ */
+async function describeHold(hold) {
+  const book = await db.getBookById(hold.bookId);
+  const user = await db.getUserById(hold.userId);
+  const copy = hold.copyId ? await db.getCopyById(hold.copyId) : null;
+
+  return {
+    ...hold,
+    queuePosition: await db.getQueuePosition(hold),
+    book: book ? {
+      id: book.id,
+      title: book.title,
+      ...(await db.describeBookAuthors(book))
+    } : null,
+    user: user ? {
+      id: user.id,
+      username: user.username,
+      fullName: user.fullName
+    } : null,
+    copy: copy ? {
+      id: copy.id,
+      barcode: copy.barcode
+    } : null
+  };
+}
+
+/**
+ * POST /api/holds
+ * Place a hold on a book with no copy on the shelf
+ * Body: { bookId, userId? } - librarians may place holds for others
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { bookId, userId } = req.body;
+
+    if (!bookId) {
+      return res.status(400).json({ error: 'Book ID is required' });
+    }
+
+    const targetUserId = req.user.role === 'librarian' && userId ? userId : req.user.id;
+    const hold = await db.placeHold(targetUserId, bookId, req.user.username);
+
+    res.status(201).json({
+      message: 'Hold placed successfully',
+      hold: await describeHold(hold)
+    });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes('already') ||
+        error.message.includes('Maximum') ||
+        error.message.includes('not active') ||
+        error.message.includes('is available')) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Hold error:', error);
+    res.status(500).json({ error: 'Failed to place hold' });
+  }
+});
+
+/**
+ * GET /api/holds?status=waiting
+ * Librarian sees all holds, users see their own
+ * Also supports page, pageSize, sort and filter (see list-query.middleware.js)
+ */
+router.get('/', listQuery({ fields: HOLD_FIELDS }), async (req, res) => {
+  try {
+    let holds = req.user.role === 'librarian'
+      ? await db.getAllHolds()
+      : await db.getHoldsByUser(req.user.id);
+
+    if (req.query.status) {
+      holds = holds.filter(hold => hold.status === req.query.status);
+    }
+
+    sendList(req, res, await Promise.all(holds.map(describeHold)));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch holds' });
+  }
+});
+
+/**
+ * GET /api/holds/book/:bookId
+ * Hold queue of a book, next in line first
+ * Users only see how long the queue is, librarians see who is in it
+ */
+router.get('/book/:bookId', async (req, res) => {
+  try {
+    const book = await db.getBookById(req.params.bookId);
+
+    if (!book) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+
+    const queue = await db.getHoldQueue(book.id);
+
+    res.json({
+      bookId: book.id,
+      title: book.title,
+      availableCopies: book.availableCopies,
+      waiting: queue.length,
+      queue: req.user.role === 'librarian'
+        ? await Promise.all(queue.map(describeHold))
+        : undefined
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch hold queue' });
+  }
+});
+
+/**
+ * POST /api/holds/expire
+ * Expire holds not picked up in time and pass their copies on (Librarian only)
+ */
+router.post('/expire', requireLibrarian, async (req, res) => {
+  try {
+    const expired = await db.expireHolds();
+
+    res.json({ message: `${expired} hold(s) expired`, expired });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to expire holds' });
+  }
+});
+
+/**
+ * GET /api/holds/:id
+ * Get hold details (own holds, or any hold for librarians)
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const hold = await db.getHoldById(req.params.id);
+
+    if (!hold) {
+      return res.status(404).json({ error: 'Hold not found' });
+    }
+
+    if (req.user.role !== 'librarian' && hold.userId !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json(await describeHold(hold));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch hold' });
+  }
+});
+
+/**
+ * DELETE /api/holds/:id
+ * Cancel a hold (own holds, or any hold for librarians)
+ * A copy set aside for it goes to the next patron in the queue
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const hold = await db.getHoldById(req.params.id);
+
+    if (!hold) {
+      return res.status(404).json({ error: 'Hold not found' });
+    }
+
+    if (req.user.role !== 'librarian' && hold.userId !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const cancelled = await db.cancelHold(hold.id);
+
+    res.json({ message: 'Hold cancelled successfully', hold: cancelled });
+  } catch (error) {
+    if (error.message.includes('already')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to cancel hold' });
+  }
+});
+
+module.exports = router;
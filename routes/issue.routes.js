@@ -1,20 +1,84 @@
 /**
  * Issue Management Routes
- * Handles book borrowing, returning, and renewal
+ * Handles book borrowing, returning, and renewal, and books that are
+ * lost or come back damaged
  */
 
 const express = require('express');
 const router = express.Router();
 const db = require('../database');
 const { authenticateToken, requireLibrarian, optionalAuth } = require('../middleware/auth.middleware');
+const { listQuery, sendList } = require('../middleware/list-query.middleware');
+const { ValidationError, EligibilityError, InvalidTransitionError, NotFoundError, UnavailableError } = require('../errors');
+const { getAllowedTransitions } = require('../issue-states');
+
+// Fields of issue lists that can be sorted and filtered (?sort=-dueDate&filter[status]=overdue)
+// Each list adds the fields of what it attaches to its issues
+const ISSUE_FIELDS = {
+  id: 'number',
+  bookId: 'number',
+  userId: 'number',
+  copyId: 'number',
+  status: 'string',
+  issueDate: 'date',
+  dueDate: 'date',
+  returnDate: 'date',
+  lostDate: 'date',
+  issuedBy: 'string',
+  returnedTo: 'string',
+  fineAmount: 'number',
+  finePaid: 'boolean',
+  itemCharge: 'number',
+  renewalCount: 'number'
+};
+
+// GET /api/issues - issues with their book and borrower
+const ISSUE_LIST_FIELDS = { ...ISSUE_FIELDS, 'book.title': 'string', 'user.username': 'string' };
+
+// GET /api/issues/user/:userId - a patron's loans with their book
+const USER_ISSUE_FIELDS = { ...ISSUE_FIELDS, 'book.title': 'string', 'book.category': 'string' };
+
+// GET /api/issues/book/:bookId - a book's loans with their borrower
+const BOOK_ISSUE_FIELDS = { ...ISSUE_FIELDS, 'user.username': 'string' };
+
+// GET /api/issues/overdue/all - overdue loans with their fine so far
+const OVERDUE_ISSUE_FIELDS = { ...ISSUE_LIST_FIELDS, currentFine: 'number' };
+
+/**
+ * Response body for a status change the issue's current status doesn't allow
+ */
+function describeTransitionError(error) {
+  return {
+    error: error.message,
+    code: error.code,
+    from: error.from,
+    to: error.to,
+    allowed: error.allowed
+  };
+}
 
 /**
  * POST /api/issues
  * Issue a book (borrow)
+ * Body: { bookId, userId? } or { barcode, userId? } to lend a specific copy
+ * Refusals carry a `code`: a borrowing rule (see GET /eligibility),
+ * user-not-found, book-not-found, copy-not-found, book-unavailable or copy-unavailable
  */
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { bookId, userId } = req.body;
+    const { userId, barcode } = req.body;
+    let { bookId } = req.body;
+    let copyId = null;
+    
+    // A scanned barcode picks the copy (and with it the book)
+    if (barcode) {
+      const copy = await db.getCopyByBarcode(barcode);
+      if (!copy) {
+        return res.status(404).json({ error: 'Copy not found', code: 'copy-not-found' });
+      }
+      bookId = copy.bookId;
+      copyId = copy.id;
+    }
     
     if (!bookId) {
       return res.status(400).json({ error: 'Book ID is required' });
@@ -34,11 +98,13 @@ router.post('/', authenticateToken, async (req, res) => {
     const issue = await db.processBookIssue(
       targetUserId, 
       bookId, 
-      req.user.username
+      req.user.username,
+      { copyId }
     );
     
-    // Get book details
+    // Get book and copy details
     const book = await db.getBookById(bookId);
+    const copy = await db.getCopyById(issue.copyId);
     
     res.status(201).json({
       message: 'Book issued successfully',
@@ -46,18 +112,30 @@ router.post('/', authenticateToken, async (req, res) => {
       book: {
         id: book.id,
         title: book.title,
-        author: `Author ${book.userId}`
+        ...(await db.describeBookAuthors(book))
+      },
+      copy: {
+        id: copy.id,
+        barcode: copy.barcode,
+        shelfLocation: copy.shelfLocation
       }
     });
     
   } catch (error) {
-    // Handle validation errors
-    if (error.message.includes('cannot') || 
-        error.message.includes('Maximum') ||
-        error.message.includes('fines') ||
-        error.message.includes('already') ||
-        error.message.includes('not available')) {
-      return res.status(400).json({ error: error.message });
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
+    // Refused by a borrowing rule - reasons carry the rule codes (see GET /eligibility)
+    if (error instanceof EligibilityError) {
+      return res.status(400).json({ error: error.message, code: error.code, reasons: error.checks });
+    }
+    // Unknown user, book or copy: user-not-found, book-not-found, copy-not-found
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: error.message, code: error.code });
+    }
+    // No copy left to lend: book-unavailable, copy-unavailable
+    if (error instanceof UnavailableError) {
+      return res.status(400).json({ error: error.message, code: error.code });
     }
     
     console.error('Issue creation error:', error);
@@ -65,11 +143,47 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/issues/eligibility?bookId=1&userId=101
+ * Can a user borrow a book? Every borrowing rule with its result:
+ *   { eligible, checks: [{ rule, passed, message, value, limit }], policy }
+ * Rule codes match the `code` and `reasons` of a refused POST /api/issues
+ * userId defaults to the caller; patrons can only check themselves
+ */
+router.get('/eligibility', authenticateToken, async (req, res) => {
+  try {
+    const bookId = parseInt(req.query.bookId);
+    const userId = req.query.userId ? parseInt(req.query.userId) : req.user.id;
+    
+    if (!bookId) {
+      return res.status(400).json({ error: 'bookId is required' });
+    }
+    
+    if (req.user.role !== 'librarian' && userId !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    
+    const eligibility = await db.checkBorrowEligibility(userId, bookId);
+    
+    res.json({
+      userId,
+      bookId,
+      ...eligibility
+    });
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(404).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: 'Failed to check eligibility' });
+  }
+});
+
 /**
  * GET /api/issues
  * Get all issues (librarian sees all, user sees own)
+ * Supports page, pageSize, sort and filter (see list-query.middleware.js)
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, listQuery({ fields: ISSUE_LIST_FIELDS }), async (req, res) => {
   try {
     let issues;
     
@@ -90,7 +204,7 @@ router.get('/', authenticateToken, async (req, res) => {
           book: book ? {
             id: book.id,
             title: book.title,
-            author: `Author ${book.userId}`,
+            ...(await db.describeBookAuthors(book)),
             isbn: book.isbn
           } : null,
           user: user ? {
@@ -102,7 +216,7 @@ router.get('/', authenticateToken, async (req, res) => {
       })
     );
     
-    res.json(enrichedIssues);
+    sendList(req, res, enrichedIssues);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch issues' });
   }
@@ -110,7 +224,7 @@ router.get('/', authenticateToken, async (req, res) => {
 
 /**
  * GET /api/issues/:id
- * Get issue details
+ * Get issue details with its status history and the statuses it can move to
  */
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
@@ -131,10 +245,12 @@ router.get('/:id', authenticateToken, async (req, res) => {
     
     res.json({
       ...issue,
+      history: issue.history || [],
+      allowedTransitions: getAllowedTransitions(issue.status),
       book: book ? {
         id: book.id,
         title: book.title,
-        author: `Author ${book.userId}`,
+        ...(await db.describeBookAuthors(book)),
         isbn: book.isbn
       } : null,
       user: user ? {
@@ -165,14 +281,20 @@ router.put('/:id/return', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
     
-    // Process return
+    // Process return (a book declared lost that turned up is returned the same way)
     const result = await db.processBookReturn(req.params.id, req.user.username);
+    const found = issue.status === 'lost';
     
     res.json({
-      message: 'Book returned successfully',
+      message: found
+        ? 'Lost book found and returned - replacement fee reversed'
+        : 'Book returned successfully',
       issue: result.issue,
       fine: result.fine,
-      hasFine: result.fine > 0
+      hasFine: result.fine > 0,
+      // Set aside for the next patron in the hold queue
+      hold: result.hold,
+      ...(found ? { refund: result.refund } : {})
     });
     
   } catch (error) {
@@ -182,12 +304,194 @@ router.put('/:id/return', authenticateToken, async (req, res) => {
     if (error.message.includes('already returned')) {
       return res.status(400).json({ error: error.message });
     }
+    if (error instanceof InvalidTransitionError) {
+      return res.status(400).json(describeTransitionError(error));
+    }
     
     console.error('Return error:', error);
     res.status(500).json({ error: 'Failed to return book' });
   }
 });
 
+/**
+ * Read the optional fee override of the lost/damaged routes
+ * Returns undefined (use the configured fee), the amount, or null if invalid
+ */
+function readFee(body) {
+  if (!body || body.fee === undefined || body.fee === null || body.fee === '') {
+    return undefined;
+  }
+  const fee = Number(body.fee);
+  return Number.isFinite(fee) && fee >= 0 ? parseFloat(fee.toFixed(2)) : null;
+}
+
+/**
+ * PUT /api/issues/:id/lost
+ * Declare a borrowed book lost (Librarian only)
+ * Body: { fee?, notes? } - fee overrides the configured replacement fee
+ * The copy is retired from stock and the patron is charged the replacement
+ * fee plus the overdue fine so far. Returning the book later reverses it.
+ */
+router.put('/:id/lost', authenticateToken, requireLibrarian, async (req, res) => {
+  try {
+    const fee = readFee(req.body);
+    if (fee === null) {
+      return res.status(400).json({ error: 'fee must be an amount of 0 or more' });
+    }
+    
+    const result = await db.declareIssueLost(req.params.id, {
+      declaredBy: req.user.username,
+      fee,
+      notes: req.body && req.body.notes
+    });
+    
+    res.json({
+      message: 'Book declared lost',
+      issue: result.issue,
+      fine: result.fine,
+      replacementFee: result.charge
+    });
+  } catch (error) {
+    if (error.message === 'Issue not found') {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+    if (error instanceof InvalidTransitionError) {
+      return res.status(400).json(describeTransitionError(error));
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
+    res.status(500).json({ error: 'Failed to declare book lost' });
+  }
+});
+
+/**
+ * PUT /api/issues/:id/damaged
+ * Check in a borrowed book that came back damaged (Librarian only)
+ * Body: { fee?, notes? } - fee overrides the configured repair fee
+ * The copy is flagged damaged and the patron is charged the repair fee
+ * plus any overdue fine.
+ */
+router.put('/:id/damaged', authenticateToken, requireLibrarian, async (req, res) => {
+  try {
+    const fee = readFee(req.body);
+    if (fee === null) {
+      return res.status(400).json({ error: 'fee must be an amount of 0 or more' });
+    }
+    
+    const result = await db.declareIssueDamaged(req.params.id, {
+      returnedTo: req.user.username,
+      fee,
+      notes: req.body && req.body.notes
+    });
+    
+    res.json({
+      message: 'Book checked in as damaged',
+      issue: result.issue,
+      fine: result.fine,
+      repairFee: result.charge
+    });
+  } catch (error) {
+    if (error.message === 'Issue not found') {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+    if (error instanceof InvalidTransitionError) {
+      return res.status(400).json(describeTransitionError(error));
+    }
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
+    res.status(500).json({ error: 'Failed to check in damaged book' });
+  }
+});
+
+/**
+ * PUT /api/issues/:id/claim-returned
+ * Record that the patron says they returned the book (Librarian only)
+ * Body: { notes? }
+ * The fine stops growing until the claim is settled: the book is found
+ * (PUT /return), declared lost, written off or the claim is rejected.
+ */
+router.put('/:id/claim-returned', authenticateToken, requireLibrarian, async (req, res) => {
+  try {
+    const issue = await db.claimIssueReturned(req.params.id, {
+      claimedBy: req.user.username,
+      notes: req.body && req.body.notes
+    });
+    
+    res.json({
+      message: 'Return claim recorded',
+      issue
+    });
+  } catch (error) {
+    if (error.message === 'Issue not found') {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+    if (error instanceof InvalidTransitionError) {
+      return res.status(400).json(describeTransitionError(error));
+    }
+    res.status(500).json({ error: 'Failed to record return claim' });
+  }
+});
+
+/**
+ * PUT /api/issues/:id/reject-claim
+ * The book wasn't returned after all - back on loan (Librarian only)
+ * Body: { notes? }
+ * Overdue loans accrue fines from the due date again.
+ */
+router.put('/:id/reject-claim', authenticateToken, requireLibrarian, async (req, res) => {
+  try {
+    const issue = await db.rejectReturnClaim(req.params.id, {
+      rejectedBy: req.user.username,
+      notes: req.body && req.body.notes
+    });
+    
+    res.json({
+      message: 'Return claim rejected',
+      issue
+    });
+  } catch (error) {
+    if (error.message === 'Issue not found') {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+    if (error.message === 'Issue has no return claim') {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to reject return claim' });
+  }
+});
+
+/**
+ * PUT /api/issues/:id/write-off
+ * Close a lost or claimed-returned loan for good (Librarian only)
+ * Body: { notes? }
+ * Accepting a return claim retires the copy without charging the patron;
+ * writing off a lost book cancels its unpaid charges.
+ */
+router.put('/:id/write-off', authenticateToken, requireLibrarian, async (req, res) => {
+  try {
+    const result = await db.writeOffIssue(req.params.id, {
+      writtenOffBy: req.user.username,
+      notes: req.body && req.body.notes
+    });
+    
+    res.json({
+      message: 'Loan written off',
+      issue: result.issue,
+      cancelledCharges: result.cancelled
+    });
+  } catch (error) {
+    if (error.message === 'Issue not found') {
+      return res.status(404).json({ error: 'Issue not found' });
+    }
+    if (error instanceof InvalidTransitionError) {
+      return res.status(400).json(describeTransitionError(error));
+    }
+    res.status(500).json({ error: 'Failed to write off loan' });
+  }
+});
+
 /**
  * PUT /api/issues/:id/renew
  * Renew a book
@@ -206,7 +510,7 @@ router.put('/:id/renew', authenticateToken, async (req, res) => {
     }
     
     // Renew book
-    const renewedIssue = await db.renewBook(req.params.id);
+    const renewedIssue = await db.renewBook(req.params.id, req.user.username);
     
     res.json({
       message: 'Book renewed successfully',
@@ -216,10 +520,9 @@ router.put('/:id/renew', authenticateToken, async (req, res) => {
     });
     
   } catch (error) {
-    if (error.message.includes('Maximum renewals') || 
-        error.message.includes('Cannot renew') ||
-        error.message.includes('fines')) {
-      return res.status(400).json({ error: error.message });
+    // Refused by a renewal rule - reasons carry the rule codes
+    if (error instanceof EligibilityError) {
+      return res.status(400).json({ error: error.message, code: error.code, reasons: error.checks });
     }
     
     res.status(500).json({ error: 'Failed to renew book' });
@@ -230,7 +533,7 @@ router.put('/:id/renew', authenticateToken, async (req, res) => {
  * GET /api/issues/user/:userId
  * Get user's current issues
  */
-router.get('/user/:userId', authenticateToken, async (req, res) => {
+router.get('/user/:userId', authenticateToken, listQuery({ fields: USER_ISSUE_FIELDS }), async (req, res) => {
   try {
     const userId = parseInt(req.params.userId);
     
@@ -250,7 +553,7 @@ router.get('/user/:userId', authenticateToken, async (req, res) => {
           book: book ? {
             id: book.id,
             title: book.title,
-            author: `Author ${book.userId}`,
+            ...(await db.describeBookAuthors(book)),
             isbn: book.isbn,
             category: book.category
           } : null
@@ -258,7 +561,7 @@ router.get('/user/:userId', authenticateToken, async (req, res) => {
       })
     );
     
-    res.json(enrichedIssues);
+    sendList(req, res, enrichedIssues);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch user issues' });
   }
@@ -268,7 +571,7 @@ router.get('/user/:userId', authenticateToken, async (req, res) => {
  * GET /api/issues/book/:bookId
  * Get book's issue history (Librarian only)
  */
-router.get('/book/:bookId', authenticateToken, requireLibrarian, async (req, res) => {
+router.get('/book/:bookId', authenticateToken, requireLibrarian, listQuery({ fields: BOOK_ISSUE_FIELDS }), async (req, res) => {
   try {
     const issues = await db.getIssuesByBook(req.params.bookId);
     
@@ -287,7 +590,7 @@ router.get('/book/:bookId', authenticateToken, requireLibrarian, async (req, res
       })
     );
     
-    res.json(enrichedIssues);
+    sendList(req, res, enrichedIssues);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch book issues' });
   }
@@ -297,7 +600,7 @@ router.get('/book/:bookId', authenticateToken, requireLibrarian, async (req, res
  * GET /api/issues/overdue/all
  * Get all overdue issues (Librarian only)
  */
-router.get('/overdue/all', authenticateToken, requireLibrarian, async (req, res) => {
+router.get('/overdue/all', authenticateToken, requireLibrarian, listQuery({ fields: OVERDUE_ISSUE_FIELDS }), async (req, res) => {
   try {
     // Update overdue status first
     await db.updateOverdueStatus();
@@ -317,7 +620,7 @@ router.get('/overdue/all', authenticateToken, requireLibrarian, async (req, res)
           book: book ? {
             id: book.id,
             title: book.title,
-            author: `Author ${book.userId}`
+            ...(await db.describeBookAuthors(book))
           } : null,
           user: user ? {
             id: user.id,
@@ -329,7 +632,7 @@ router.get('/overdue/all', authenticateToken, requireLibrarian, async (req, res)
       })
     );
     
-    res.json(enrichedIssues);
+    sendList(req, res, enrichedIssues);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch overdue issues' });
   }
@@ -0,0 +1,61 @@
+/**
+ * Job Routes
+ * Background jobs run by the scheduler (see jobs.js): when they run next,
+ * how their last runs went, and running one now. Runs and their results
+ * are those of the librarian's own library. Librarian only.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireLibrarian } = require('../middleware/auth.middleware');
+const { listJobs, getJob, runJob } = require('../scheduler');
+
+router.use(authenticateToken, requireLibrarian);
+
+/**
+ * GET /api/jobs
+ * Every job with its schedule, next run and last run in this library
+ */
+router.get('/', (req, res) => {
+  res.json({ jobs: listJobs() });
+});
+
+/**
+ * GET /api/jobs/:name
+ * One job with its recent runs in this library (newest first)
+ */
+router.get('/:name', (req, res) => {
+  const job = getJob(req.params.name);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json(job);
+});
+
+/**
+ * POST /api/jobs/:name/run
+ * Run a job now for this library and wait for the result
+ * A job that fails still answers 200, with status 'failed' and the error
+ */
+router.post('/:name/run', async (req, res) => {
+  try {
+    const run = await runJob(req.params.name, {
+      trigger: 'manual',
+      triggeredBy: req.user.username
+    });
+
+    res.json({ message: `Job ${req.params.name} ${run.status}`, run });
+  } catch (error) {
+    if (error.message === 'Job not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'Job is already running') {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to run job' });
+  }
+});
+
+module.exports = router;
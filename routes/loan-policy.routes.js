@@ -0,0 +1,79 @@
+/**
+ * Loan Policy Routes
+ * Loan period, renewals, borrowing cap and fine rate by patron type and book
+ * category. The global settings are the defaults; loan rules override them
+ * (see loan-policy.js for how rules combine).
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const { authenticateToken, requireLibrarian } = require('../middleware/auth.middleware');
+const { ValidationError } = require('../errors');
+const { PATRON_TYPES, getDefaultPolicy, resolveLoanPolicy } = require('../loan-policy');
+
+router.use(authenticateToken);
+
+/**
+ * GET /api/loan-policies
+ * The defaults, the rules overriding them and the known patron types
+ */
+router.get('/', async (req, res) => {
+  try {
+    const config = await db.getConfig();
+
+    res.json({
+      patronTypes: PATRON_TYPES,
+      defaults: getDefaultPolicy(config),
+      rules: config.loanRules
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch loan policies' });
+  }
+});
+
+/**
+ * GET /api/loan-policies/resolve?patronType=staff&category=Fiction
+ * The policy that applies to a patron type borrowing from a category,
+ * with the rules it came from. Leave out category for the overall limits.
+ */
+router.get('/resolve', async (req, res) => {
+  try {
+    const { patronType, category } = req.query;
+
+    if (!PATRON_TYPES.includes(patronType)) {
+      return res.status(400).json({ error: `patronType must be one of: ${PATRON_TYPES.join(', ')}` });
+    }
+
+    const config = await db.getConfig();
+    res.json(resolveLoanPolicy(config, patronType, category || null));
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to resolve loan policy' });
+  }
+});
+
+/**
+ * PUT /api/loan-policies
+ * Replace all loan rules (Librarian only)
+ * Body: { rules: [{ patronType: 'staff' | '*', category: 'DVD' | '*', loanDays?, renewalDays?,
+ *                   maxRenewals?, maxBooks?, finePerDay?, maxFine? }] }
+ * Users get the borrowing cap of the new rules; loans already out keep their
+ * due date and renewal limit
+ */
+router.put('/', requireLibrarian, async (req, res) => {
+  try {
+    const rules = await db.updateLoanRules(req.body.rules);
+
+    res.json({
+      message: 'Loan rules updated',
+      rules
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
+    res.status(500).json({ error: 'Failed to update loan rules' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+/**
+ * Snapshot Routes
+ * Save, list, restore and delete named copies of the whole library data
+ * (books, users, issues and config) - Librarian only
+ */
+
+const express = require('express');
+const router = express.Router();
+const db = require('../database');
+const { authenticateToken, requireLibrarian } = require('../middleware/auth.middleware');
+
+// All snapshot routes require librarian role
+router.use(authenticateToken);
+router.use(requireLibrarian);
+
+/**
+ * GET /api/snapshots
+ * List snapshots (including automatic backups), newest first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const snapshots = await db.listSnapshots();
+    res.json(snapshots);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to fetch snapshots' });
+  }
+});
+
+/**
+ * POST /api/snapshots
+ * Save the current data under a name
+ * Body: { name, reason?, overwrite? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, reason, overwrite } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Snapshot name is required' });
+    }
+
+    const snapshot = await db.createSnapshot(name, {
+      reason,
+      overwrite: overwrite === true,
+      createdBy: req.user.username
+    });
+
+    res.status(201).json({
+      message: 'Snapshot created successfully',
+      snapshot
+    });
+  } catch (error) {
+    if (error.message.includes('Invalid snapshot name')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message.includes('already exists')) {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to create snapshot' });
+  }
+});
+
+/**
+ * GET /api/snapshots/:name
+ * Get snapshot details (record counts, creator, reason)
+ */
+router.get('/:name', async (req, res) => {
+  try {
+    const snapshot = await db.getSnapshot(req.params.name);
+
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    res.json(snapshot);
+  } catch (error) {
+    if (error.message.includes('Invalid snapshot name')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to fetch snapshot' });
+  }
+});
+
+/**
+ * POST /api/snapshots/:name/restore
+ * Replace the current data with a snapshot (a backup is taken first)
+ */
+router.post('/:name/restore', async (req, res) => {
+  try {
+    const result = await db.restoreSnapshot(req.params.name, {
+      createdBy: req.user.username
+    });
+
+    res.json({
+      message: 'Snapshot restored successfully',
+      snapshot: result.snapshot,
+      backup: result.backup.name
+    });
+  } catch (error) {
+    if (error.message.includes('Invalid snapshot name')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message === 'Snapshot not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error('Restore error:', error);
+    res.status(500).json({ error: 'Failed to restore snapshot' });
+  }
+});
+
+/**
+ * DELETE /api/snapshots/:name
+ * Delete a snapshot
+ */
+router.delete('/:name', async (req, res) => {
+  try {
+    await db.deleteSnapshot(req.params.name);
+
+    res.json({ message: 'Snapshot deleted successfully', name: req.params.name });
+  } catch (error) {
+    if (error.message.includes('Invalid snapshot name')) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.message === 'Snapshot not found') {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to delete snapshot' });
+  }
+});
+
+module.exports = router;
@@ -7,6 +7,32 @@ const express = require('express');
 const router = express.Router();
 const db = require('../database');
 const { authenticateToken, requireLibrarian } = require('../middleware/auth.middleware');
+const { listQuery, pageList } = require('../middleware/list-query.middleware');
+const { ISSUE_STATUSES } = require('../issue-states');
+
+// Fields of the overdue report that can be sorted and filtered
+const OVERDUE_FIELDS = {
+  issueId: 'number',
+  'book.title': 'string',
+  'user.username': 'string',
+  issueDate: 'date',
+  dueDate: 'date',
+  daysOverdue: 'number',
+  currentFine: 'number',
+  finePaid: 'boolean'
+};
+
+// Fields of the popularity report
+const POPULARITY_FIELDS = {
+  id: 'number',
+  title: 'string',
+  author: 'string',
+  category: 'string',
+  timesIssued: 'number',
+  currentlyIssued: 'number',
+  availableCopies: 'number',
+  totalCopies: 'number'
+};
 
 // All stats routes require librarian role
 router.use(authenticateToken);
@@ -32,7 +58,7 @@ router.get('/dashboard', async (req, res) => {
     const inactiveUsers = users.filter(u => !u.isActive).length;
     
     // Issue statistics
-    const activeIssues = issues.filter(i => i.status !== 'returned').length;
+    const activeIssues = issues.filter(i => db.ACTIVE_ISSUE_STATUSES.includes(i.status)).length;
     const overdueIssues = issues.filter(i => i.status === 'overdue').length;
     const totalIssued = issues.length;
     const returnedIssues = issues.filter(i => i.status === 'returned').length;
@@ -87,7 +113,7 @@ router.get('/books', async (req, res) => {
     const bookStats = await Promise.all(
       books.map(async (book) => {
         const bookIssues = issues.filter(i => i.bookId === book.id);
-        const activeIssues = bookIssues.filter(i => i.status !== 'returned');
+        const activeIssues = bookIssues.filter(i => db.ACTIVE_ISSUE_STATUSES.includes(i.status));
         
         return {
           id: book.id,
@@ -148,7 +174,7 @@ router.get('/users', async (req, res) => {
     // Calculate statistics for each user
     const userStats = users.map(user => {
       const userIssues = issues.filter(i => i.userId === user.id);
-      const activeIssues = userIssues.filter(i => i.status !== 'returned');
+      const activeIssues = userIssues.filter(i => db.ACTIVE_ISSUE_STATUSES.includes(i.status));
       const overdueIssues = userIssues.filter(i => i.status === 'overdue');
       
       return {
@@ -192,11 +218,9 @@ router.get('/issues', async (req, res) => {
     const issues = await db.getAllIssues();
     
     // Status breakdown
-    const statusCounts = {
-      issued: issues.filter(i => i.status === 'issued').length,
-      overdue: issues.filter(i => i.status === 'overdue').length,
-      returned: issues.filter(i => i.status === 'returned').length
-    };
+    const statusCounts = Object.fromEntries(
+      ISSUE_STATUSES.map(status => [status, issues.filter(i => i.status === status).length])
+    );
     
     // Issues over time (by month)
     const issuesByMonth = {};
@@ -238,8 +262,10 @@ router.get('/issues', async (req, res) => {
 /**
  * GET /api/reports/overdue
  * Get detailed overdue books report
+ * page, pageSize, sort and filter apply to overdueIssues (most overdue first
+ * by default) - the summary covers all of them
  */
-router.get('/reports/overdue', async (req, res) => {
+router.get('/reports/overdue', listQuery({ fields: OVERDUE_FIELDS, defaultSort: '-daysOverdue' }), async (req, res) => {
   try {
     await db.updateOverdueStatus();
     const overdueIssues = await db.getOverdueIssues();
@@ -277,15 +303,13 @@ router.get('/reports/overdue', async (req, res) => {
       })
     );
     
-    report.sort((a, b) => b.daysOverdue - a.daysOverdue);
-    
     res.json({
       summary: {
         totalOverdue: report.length,
         totalFinesAccrued: report.reduce((sum, r) => sum + r.currentFine, 0).toFixed(2),
         unpaidFinesCount: report.filter(r => !r.finePaid).length
       },
-      overdueIssues: report
+      overdueIssues: pageList(req, res, report)
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to generate overdue report' });
@@ -295,8 +319,10 @@ router.get('/reports/overdue', async (req, res) => {
 /**
  * GET /api/reports/popular
  * Get most popular books report
+ * page, pageSize, sort and filter apply to mostPopular (20 per page, most
+ * issued first by default)
  */
-router.get('/reports/popular', async (req, res) => {
+router.get('/reports/popular', listQuery({ fields: POPULARITY_FIELDS, defaultSort: '-timesIssued', defaultPageSize: 20 }), async (req, res) => {
   try {
     const books = await db.getAllBooks();
     const issues = await db.getAllIssues();
@@ -308,7 +334,7 @@ router.get('/reports/popular', async (req, res) => {
         return {
           id: book.id,
           title: book.title,
-          author: `Author ${book.userId}`,
+          ...(await db.describeBookAuthors(book)),
           category: book.category,
           timesIssued: bookIssues.length,
           currentlyIssued: book.issuedCopies,
@@ -318,10 +344,8 @@ router.get('/reports/popular', async (req, res) => {
       })
     );
     
-    popularity.sort((a, b) => b.timesIssued - a.timesIssued);
-    
     res.json({
-      mostPopular: popularity.slice(0, 20),
+      mostPopular: pageList(req, res, popularity),
       leastPopular: popularity.filter(b => b.timesIssued === 0)
     });
   } catch (error) {
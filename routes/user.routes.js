@@ -7,6 +7,40 @@ const express = require('express');
 const router = express.Router();
 const db = require('../database');
 const { authenticateToken, requireLibrarian } = require('../middleware/auth.middleware');
+const { listQuery, sendList } = require('../middleware/list-query.middleware');
+const { ValidationError } = require('../errors');
+
+// Fields of user lists that can be sorted and filtered (?sort=fullName&filter[isActive]=true)
+const USER_FIELDS = {
+  id: 'number',
+  username: 'string',
+  email: 'string',
+  fullName: 'string',
+  role: 'string',
+  patronType: 'string',
+  isActive: 'boolean',
+  joinDate: 'date',
+  membershipExpiry: 'date',
+  membershipExpiring: 'boolean',
+  currentBooksCount: 'number',
+  maxBooksAllowed: 'number',
+  totalFines: 'number',
+  paidFines: 'number'
+};
+
+// Fields of a user's borrowing history
+const ISSUE_FIELDS = {
+  id: 'number',
+  bookId: 'number',
+  status: 'string',
+  issueDate: 'date',
+  dueDate: 'date',
+  returnDate: 'date',
+  fineAmount: 'number',
+  finePaid: 'boolean',
+  renewalCount: 'number',
+  'book.title': 'string'
+};
 
 // All user management routes require librarian role
 router.use(authenticateToken);
@@ -15,8 +49,9 @@ router.use(requireLibrarian);
 /**
  * GET /api/users
  * Get all users (Librarian only)
+ * Supports page, pageSize, sort and filter (see list-query.middleware.js)
  */
-router.get('/', async (req, res) => {
+router.get('/', listQuery({ fields: USER_FIELDS }), async (req, res) => {
   try {
     const users = await db.getAllUsers();
     
@@ -26,7 +61,7 @@ router.get('/', async (req, res) => {
       return userWithoutPassword;
     });
     
-    res.json(usersWithoutPasswords);
+    sendList(req, res, usersWithoutPasswords);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch users' });
   }
@@ -57,7 +92,7 @@ router.get('/:id', async (req, res) => {
  */
 router.put('/:id', async (req, res) => {
   try {
-    const { fullName, email, phone, address, role, isActive, maxBooksAllowed } = req.body;
+    const { fullName, email, phone, address, role, patronType, isActive, maxBooksAllowed } = req.body;
     
     const updates = {};
     if (fullName !== undefined) updates.fullName = fullName;
@@ -65,6 +100,7 @@ router.put('/:id', async (req, res) => {
     if (phone !== undefined) updates.phone = phone;
     if (address !== undefined) updates.address = address;
     if (role !== undefined) updates.role = role;
+    if (patronType !== undefined) updates.patronType = patronType;
     if (isActive !== undefined) updates.isActive = isActive;
     if (maxBooksAllowed !== undefined) updates.maxBooksAllowed = maxBooksAllowed;
     
@@ -75,6 +111,9 @@ router.put('/:id', async (req, res) => {
       user: updatedUser
     });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
     if (error.message === 'User not found') {
       return res.status(404).json({ error: 'User not found' });
     }
@@ -106,8 +145,9 @@ router.delete('/:id', async (req, res) => {
 /**
  * GET /api/users/:id/issues
  * Get user's borrowing history (Librarian only)
+ * Supports page, pageSize, sort and filter
  */
-router.get('/:id/issues', async (req, res) => {
+router.get('/:id/issues', listQuery({ fields: ISSUE_FIELDS }), async (req, res) => {
   try {
     const issues = await db.getIssueHistory(req.params.id);
     
@@ -120,14 +160,14 @@ router.get('/:id/issues', async (req, res) => {
           book: book ? {
             id: book.id,
             title: book.title,
-            author: `Author ${book.userId}`,
+            ...(await db.describeBookAuthors(book)),
             isbn: book.isbn
           } : null
         };
       })
     );
     
-    res.json(enrichedIssues);
+    sendList(req, res, enrichedIssues);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch user issues' });
   }
@@ -145,7 +185,7 @@ router.get('/:id/stats', async (req, res) => {
     }
     
     const allIssues = await db.getIssueHistory(req.params.id);
-    const activeIssues = allIssues.filter(i => i.status !== 'returned');
+    const activeIssues = allIssues.filter(i => db.ACTIVE_ISSUE_STATUSES.includes(i.status));
     const returnedIssues = allIssues.filter(i => i.status === 'returned');
     const overdueIssues = allIssues.filter(i => i.status === 'overdue');
     
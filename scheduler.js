@@ -0,0 +1,313 @@
+/**
+ * Job Scheduler
+ * Runs registered jobs in this process on cron-style schedules. One timer
+ * wakes up at the start of every minute and runs the jobs that are due, one
+ * after the other. Jobs can also be run by hand (see routes/job.routes.js).
+ *
+ * Every library (the shared one and each tenant) has its own run state and
+ * history: a scheduled run goes through the libraries in turn, a job run by
+ * hand runs for the current library only, and each library only sees its own runs.
+ *
+ * Schedules have the five cron fields: minute hour day-of-month month day-of-week
+ *   '*' (every), '5' (a value), '1-5' (a range), '1,15' (a list) and
+ *   a step after a range, '*' or start value for every n-th value ('8-18/2').
+ *   Sunday is 0 or 7.
+ * Examples: '0 1 * * *' (01:00 every day), '0,30 9-17 * * 1-5' (half-hourly in office hours)
+ *
+ * Times are in the server's time zone.
+ */
+
+const db = require('./database');
+
+// Runs kept per job and library for GET /api/jobs/:name
+const MAX_RUN_HISTORY = 10;
+
+// Field ranges of a schedule, in order
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// How far ahead to look for the next run (Feb 29 schedules run every four years)
+const MAX_LOOKAHEAD_DAYS = 4 * 366;
+
+// name -> job (see registerJob)
+const jobs = new Map();
+
+let timer = null;
+let ticking = false;
+
+/**
+ * Parse one field of a schedule into the set of values it allows
+ */
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid schedule: "${part}" is not a valid ${name}`);
+    }
+
+    const step = match[4] ? parseInt(match[4]) : 1;
+    let start = min;
+    let end = max;
+    if (match[1] !== '*') {
+      start = parseInt(match[2]);
+      if (match[3] !== undefined) {
+        end = parseInt(match[3]);
+      } else if (!match[4]) {
+        end = start; // a single value ('5/15' runs from 5 to the end)
+      }
+    }
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid schedule: "${part}" is out of range for ${name} (${min}-${max})`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a five field cron expression
+ * Returns { expression, minutes, hours, days, months, weekdays } (sets of allowed values)
+ * Throws 'Invalid schedule: ...'
+ */
+function parseSchedule(expression) {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error('Invalid schedule: use five fields - minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+  if (weekdays.has(7)) {
+    weekdays.add(0); // both mean Sunday
+  }
+
+  return {
+    expression: fields.join(' '),
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // As in cron: with both day fields restricted, either one matching is enough
+    anyDay: fields[2] === '*' || fields[4] === '*'
+  };
+}
+
+function matchesDay(schedule, date) {
+  const dayMatches = schedule.days.has(date.getDate());
+  const weekdayMatches = schedule.weekdays.has(date.getDay());
+  return schedule.anyDay ? dayMatches && weekdayMatches : dayMatches || weekdayMatches;
+}
+
+/**
+ * The first minute after `after` that the schedule matches, or null if none
+ */
+function getNextRun(schedule, after = new Date()) {
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = after.getTime() + MAX_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+/**
+ * Add a job
+ * run(context) does the work and returns a result to keep with the run;
+ * context is { trigger: 'schedule' | 'manual', triggeredBy }
+ */
+function registerJob({ name, description, schedule, run }) {
+  if (jobs.has(name)) {
+    throw new Error(`Job already registered: ${name}`);
+  }
+
+  const parsed = parseSchedule(schedule);
+  jobs.set(name, {
+    name,
+    description,
+    schedule: parsed,
+    run,
+    nextRun: getNextRun(parsed),
+    libraries: new Map() // tenant id (null = shared library) -> { running, runs }
+  });
+}
+
+/**
+ * Run state and history of a job in the current library
+ */
+function getLibraryState(job) {
+  const tenantId = db.getCurrentTenant();
+  let state = job.libraries.get(tenantId);
+  if (!state) {
+    state = { running: false, runs: [] };
+    job.libraries.set(tenantId, state);
+  }
+  return state;
+}
+
+/**
+ * Public view of a job in the current library: { name, description, schedule, nextRun, running, lastRun }
+ * With { history: true } the recent runs are included (newest first)
+ */
+function describeJob(job, { history = false } = {}) {
+  const { running, runs } = getLibraryState(job);
+  return {
+    name: job.name,
+    description: job.description,
+    schedule: job.schedule.expression,
+    nextRun: job.nextRun ? job.nextRun.toISOString() : null,
+    running,
+    lastRun: runs[0] || null,
+    ...(history ? { runs } : {})
+  };
+}
+
+function listJobs() {
+  return [...jobs.values()].map(job => describeJob(job));
+}
+
+/**
+ * Get one job with its recent runs, or null
+ */
+function getJob(name) {
+  const job = jobs.get(name);
+  return job ? describeJob(job, { history: true }) : null;
+}
+
+/**
+ * Run a job now for the current library and record the run
+ * Throws 'Job not found' or 'Job is already running' (in this library)
+ * Returns the run: { trigger, triggeredBy, startedAt, finishedAt, durationMs, status, result, error }
+ * A job that fails is recorded as failed - the error isn't thrown
+ */
+async function runJob(name, { trigger = 'manual', triggeredBy = 'system' } = {}) {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error('Job not found');
+  }
+  const state = getLibraryState(job);
+  if (state.running) {
+    throw new Error('Job is already running');
+  }
+
+  state.running = true;
+  const started = new Date();
+  const run = {
+    trigger,
+    triggeredBy,
+    startedAt: started.toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    status: 'running',
+    result: null,
+    error: null
+  };
+
+  try {
+    run.result = await job.run({ trigger, triggeredBy });
+    run.status = 'succeeded';
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+    console.error(`Job ${name} failed:`, error);
+  } finally {
+    state.running = false;
+    run.finishedAt = new Date().toISOString();
+    run.durationMs = Date.now() - started.getTime();
+    state.runs = [run, ...state.runs].slice(0, MAX_RUN_HISTORY);
+  }
+
+  return run;
+}
+
+/**
+ * Run every job that is due, one at a time, for the shared library and
+ * every tenant library opened since the server started
+ */
+async function tick() {
+  if (ticking) return; // the previous minute's jobs are still going
+  ticking = true;
+
+  try {
+    const now = new Date();
+    for (const job of jobs.values()) {
+      if (!job.nextRun || job.nextRun > now) continue;
+
+      job.nextRun = getNextRun(job.schedule, now);
+      for (const tenantId of [null, ...db.listTenants()]) {
+        try {
+          await db.runWithTenant(tenantId, () => runJob(job.name, { trigger: 'schedule' }));
+        } catch (error) {
+          // Still running by hand in this library - this run is skipped
+          console.error(`Job ${job.name} skipped for ${tenantId || 'the shared library'}:`, error.message);
+        }
+      }
+    }
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Wake up at the start of every minute until stopScheduler()
+ */
+function startScheduler() {
+  if (timer) return;
+
+  const schedule = () => {
+    const now = new Date();
+    const delay = 60 * 1000 - (now.getSeconds() * 1000 + now.getMilliseconds());
+    timer = setTimeout(() => {
+      tick().catch(error => console.error('Scheduler error:', error));
+      schedule();
+    }, delay);
+    timer.unref(); // don't keep the process alive just for the scheduler
+  };
+
+  for (const job of jobs.values()) {
+    job.nextRun = getNextRun(job.schedule);
+  }
+  schedule();
+}
+
+function stopScheduler() {
+  clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = {
+  parseSchedule,
+  getNextRun,
+  registerJob,
+  listJobs,
+  getJob,
+  runJob,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,78 @@
+/**
+ * Record Schemas
+ * JSON Schemas (draft-07) for every record type stored by database.js.
+ * database.js validates each record before it is written.
+ */
+
+const Ajv = require('ajv');
+const { ValidationError } = require('../errors');
+
+const ajv = new Ajv({ allErrors: true });
+
+const SCHEMAS = {
+  book: require('./book.schema.json'),
+  author: require('./author.schema.json'),
+  copy: require('./copy.schema.json'),
+  user: require('./user.schema.json'),
+  issue: require('./issue.schema.json'),
+  hold: require('./hold.schema.json'),
+  calendar: require('./calendar.schema.json'),
+  config: require('./config.schema.json')
+};
+
+const validators = Object.fromEntries(
+  Object.entries(SCHEMAS).map(([type, schema]) => [type, ajv.compile(schema)])
+);
+
+/**
+ * Turn Ajv errors into a list of { field, message }
+ */
+function formatErrors(errors) {
+  return errors.map(error => {
+    // instancePath looks like "/fines/perDayRate"
+    const path = error.instancePath.slice(1).replace(/\//g, '.');
+
+    if (error.keyword === 'additionalProperties') {
+      const field = [path, error.params.additionalProperty].filter(Boolean).join('.');
+      return { field, message: 'is not an allowed field' };
+    }
+
+    if (error.keyword === 'required') {
+      const field = [path, error.params.missingProperty].filter(Boolean).join('.');
+      return { field, message: 'is required' };
+    }
+
+    if (error.keyword === 'enum') {
+      return { field: path, message: `must be one of: ${error.params.allowedValues.join(', ')}` };
+    }
+
+    return { field: path, message: error.message };
+  });
+}
+
+/**
+ * Validate a record against its schema
+ * Throws a ValidationError listing every offending field
+ */
+function validateRecord(type, record) {
+  const validate = validators[type];
+
+  if (!validate) {
+    throw new Error(`No schema for record type ${type}`);
+  }
+
+  if (!validate(record)) {
+    const fields = formatErrors(validate.errors);
+    throw new ValidationError(
+      `Invalid ${type}: ${fields.map(f => `${f.field} ${f.message}`).join('; ')}`,
+      fields
+    );
+  }
+
+  return record;
+}
+
+module.exports = {
+  SCHEMAS,
+  validateRecord
+};
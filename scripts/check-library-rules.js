@@ -0,0 +1,431 @@
+/**
+ * Library Rules Check
+ * Runs the loan rules end to end at the database layer and checks the
+ * outcomes: the loan policy matrix, borrowing and renewal eligibility codes,
+ * the issue lifecycle (allowed and refused status changes, history), book
+ * updates that change the number of copies, the background jobs,
+ * including that each library keeps its own job runs, and resetting to the
+ * seed data with its rolling backups.
+ *
+ * Usage:
+ *   node scripts/check-library-rules.js [--adapter=json|sqlite|memory]
+ *
+ * Runs against a temporary data directory - the real ./data files are never touched.
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// Tenant libraries are created under DATA_DIR, so point it at the temporary folder first
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'library-rules-'));
+process.env.DATA_DIR = tempDir;
+
+const db = require('../database');
+const { createAdapter } = require('../storage');
+const { EligibilityError, InvalidTransitionError, ValidationError, NotFoundError, UnavailableError } = require('../errors');
+const { resolveLoanPolicy, validateLoanRules } = require('../loan-policy');
+const { getAllowedTransitions } = require('../issue-states');
+const { registerJob, getJob, runJob } = require('../scheduler');
+const { registerLibraryJobs } = require('../jobs');
+const { initialBooks, initialAuthors, seedCollections } = require('./seed-database');
+
+const args = Object.fromEntries(
+  process.argv.slice(2)
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => arg.slice(2).split('='))
+);
+
+const ADAPTER = args.adapter || 'json';
+const DAY = 24 * 60 * 60 * 1000;
+
+// Books of the test library: [seed book, copies, category]
+const BOOKS = [
+  [initialBooks[0], 3, 'Fiction'],
+  [initialBooks[1], 1, 'Fiction'],
+  [initialBooks[2], 2, 'Science Fiction'],
+  [initialBooks[3], 2, 'Reference']
+];
+
+// Users of the test library: [id, username, role, patronType]
+const USERS = [
+  [100, 'librarian', 'librarian', 'staff'],
+  [101, 'student1', 'user', 'student'],
+  [102, 'student2', 'user', 'student'],
+  [103, 'guest1', 'user', 'guest'],
+  [104, 'student3', 'user', 'student']
+];
+
+let passed = true;
+
+function check(description, actual, expected) {
+  const ok = JSON.stringify(actual) === JSON.stringify(expected);
+  console.log(`${ok ? '✓' : '✗'} ${description}: ${JSON.stringify(actual)}${ok ? '' : ` (expected ${JSON.stringify(expected)})`}`);
+  passed = ok && passed;
+}
+
+/**
+ * The error `work` throws, or null
+ */
+async function errorOf(work) {
+  try {
+    await work();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Run `work` without its console output (seeding a tenant library is chatty)
+ */
+async function quietly(work) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await work();
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Build a fresh library: a few books with their copies and one user per patron type
+ */
+async function setupLibrary() {
+  db.useStorage(createAdapter(ADAPTER, {
+    dataDir: tempDir,
+    filename: path.join(tempDir, 'library.sqlite')
+  }));
+  await quietly(() => db.initializeDatabase());
+
+  const config = await db.getConfig();
+  const books = [];
+  const copies = [];
+  for (const [seed, count, category] of BOOKS) {
+    books.push({ ...seed, category, totalCopies: count, availableCopies: count, issuedCopies: 0 });
+    for (let i = 1; i <= count; i++) {
+      copies.push({
+        id: copies.length + 1,
+        bookId: seed.id,
+        barcode: `RULES-${seed.id}-${i}`,
+        condition: 'good',
+        status: 'available'
+      });
+    }
+  }
+  await db.writeData('authors', { authors: initialAuthors, nextId: initialAuthors.length + 1 });
+  await db.writeData('books', { books, nextId: 11 });
+  await db.writeData('copies', { copies, nextId: copies.length + 1 });
+
+  const users = USERS.map(([id, username, role, patronType]) => ({
+    id,
+    username,
+    email: `${username}@example.com`,
+    password: 'not-a-real-hash',
+    fullName: username,
+    role,
+    patronType,
+    isActive: true,
+    maxBooksAllowed: resolveLoanPolicy(config, patronType).maxBooks,
+    currentBooksCount: 0,
+    totalFines: 0,
+    paidFines: 0,
+    membershipExpiry: new Date(Date.now() + 365 * DAY).toISOString()
+  }));
+  await db.writeData('users', { users, nextId: 105 });
+}
+
+/**
+ * Move an issue's dates back so that it is `days` days past its due date
+ */
+async function makeOverdue(issueId, days) {
+  const data = await db.readData('issues');
+  const issue = data.issues.find(i => i.id === issueId);
+  issue.issueDate = new Date(Date.now() - (days + 14) * DAY).toISOString();
+  issue.dueDate = new Date(Date.now() - days * DAY).toISOString();
+  await db.writeData('issues', data);
+}
+
+async function checkLoanPolicies() {
+  console.log('Loan policies:');
+  const config = await db.getConfig();
+
+  const student = resolveLoanPolicy(config, 'student', 'Fiction');
+  check('student/Fiction uses the defaults', [student.loanDays, student.maxBooks, student.rules], [14, 3, []]);
+
+  const staff = resolveLoanPolicy(config, 'staff');
+  check('staff overall', [staff.loanDays, staff.maxBooks, staff.rules], [28, 10, ['staff/*']]);
+
+  // The category rule is more specific than the patron type rule
+  const guestDvd = resolveLoanPolicy(config, 'guest', 'DVD');
+  check('guest/DVD', [guestDvd.loanDays, guestDvd.maxRenewals, guestDvd.maxBooks, guestDvd.finePerDay, guestDvd.rules],
+    [7, 1, 2, 1, ['guest/*', '*/DVD']]);
+
+  check('staff/Reference can\'t be borrowed', resolveLoanPolicy(config, 'staff', 'Reference').maxBooks, 0);
+
+  const invalid = await errorOf(() => validateLoanRules([
+    { patronType: 'pirate', loanDays: 0 },
+    { category: 'DVD', colour: 'red' }
+  ]));
+  check('invalid rules are refused', invalid instanceof ValidationError, true);
+  check('every problem is listed', invalid && invalid.fields.map(f => f.field),
+    ['rules[0].patronType', 'rules[0].loanDays', 'rules[1].colour']);
+
+  // A rule change resets every user's borrowing cap
+  await db.updateLoanRules([...config.loanRules, { patronType: 'student', category: '*', maxBooks: 4 }]);
+  check('student cap follows new rules', (await db.getUserById(101)).maxBooksAllowed, 4);
+  check('staff cap unchanged', (await db.getUserById(100)).maxBooksAllowed, 10);
+  await db.updateLoanRules(config.loanRules);
+  check('student cap restored', (await db.getUserById(101)).maxBooksAllowed, 3);
+
+  // ...and so does a change of the global limits
+  await db.updateConfig({ library: { ...config.library, maxBooksPerUser: 5 } });
+  check('student cap follows maxBooksPerUser', (await db.getUserById(101)).maxBooksAllowed, 5);
+  const refused = await errorOf(() => db.updateConfig({ loanRules: [{ patronType: 'pirate' }] }));
+  check('config update checks loan rules', refused instanceof ValidationError, true);
+  await db.updateConfig({ library: config.library });
+  check('student cap back to default', (await db.getUserById(101)).maxBooksAllowed, 3);
+}
+
+async function checkBookUpdates() {
+  console.log('\nBook updates:');
+
+  // A refused update must not add copies either
+  const taken = (await db.getBookById(2)).isbn;
+  const error = await errorOf(() => db.updateBook(1, { isbn: taken }, { totalCopies: 5 }));
+  check('duplicate ISBN is refused', Boolean(error && error.message.includes('already exists')), true);
+  check('copies untouched', [(await db.getBookById(1)).totalCopies, (await db.getCopiesByBook(1)).length], [3, 3]);
+
+  const updated = await db.updateBook(4, { title: 'Atlas' }, { totalCopies: 3 });
+  check('fields and copies updated together', [updated.title, updated.totalCopies, updated.availableCopies], ['Atlas', 3, 3]);
+}
+
+async function checkEligibility() {
+  console.log('\nBorrowing and renewal eligibility:');
+
+  const first = await db.checkBorrowEligibility(101, 1);
+  check('student may borrow', first.eligible, true);
+  check('rules checked', first.checks.map(c => c.rule), [
+    'account-active', 'book-available', 'loan-limit', 'category-allowed',
+    'category-limit', 'fines-limit', 'not-already-borrowed'
+  ]);
+
+  const issue = await db.processBookIssue(101, 1, 'rules');
+  check('loan is issued', issue.status, 'issued');
+
+  let error = await errorOf(() => db.processBookIssue(101, 1, 'rules'));
+  check('same book twice', [error instanceof EligibilityError, error && error.code], [true, 'not-already-borrowed']);
+
+  error = await errorOf(() => db.processBookIssue(102, 4, 'rules'));
+  check('Reference book', error && error.code, 'category-allowed');
+
+  await db.processBookIssue(103, 3, 'rules');
+  error = await errorOf(() => db.processBookIssue(103, 1, 'rules'));
+  check('guest over their cap', error && error.code, 'loan-limit');
+
+  await db.updateUser(104, { isActive: false });
+  error = await errorOf(() => db.processBookIssue(104, 1, 'rules'));
+  check('inactive account', error && error.code, 'account-active');
+  await db.updateUser(104, { isActive: true });
+
+  await db.addFineToUser(104, 20);
+  error = await errorOf(() => db.processBookIssue(104, 1, 'rules'));
+  check('unpaid fines', error && error.code, 'fines-limit');
+  await db.payUserFine(104, 20);
+
+  error = await errorOf(() => db.processBookIssue(999, 1, 'rules'));
+  check('unknown user', [error instanceof NotFoundError, error && error.code], [true, 'user-not-found']);
+  error = await errorOf(() => db.checkBorrowEligibility(101, 999));
+  check('unknown book', error && error.code, 'book-not-found');
+
+  error = await errorOf(() => db.processBookIssue(102, 1, 'rules', { copyId: issue.copyId }));
+  check('copy already out', [error instanceof UnavailableError, error && error.code], [true, 'copy-unavailable']);
+  error = await errorOf(() => db.processBookIssue(102, 1, 'rules', { copyId: 999 }));
+  check('copy of another book', error && error.code, 'copy-not-found');
+
+  // Renewals
+  const renewed = await db.renewBook(issue.id, 'rules');
+  check('renewal', [renewed.status, renewed.renewalCount], ['renewed', 1]);
+
+  const guestIssue = (await db.getActiveIssuesByUser(103))[0];
+  error = await errorOf(() => db.renewBook(guestIssue.id, 'rules'));
+  check('guest can\'t renew', error && error.code, 'renewal-limit');
+
+  // The only copy of book 2 is out and someone is waiting for it
+  const wanted = await db.processBookIssue(102, 2, 'rules');
+  await db.placeHold(101, 2, 'rules');
+  error = await errorOf(() => db.renewBook(wanted.id, 'rules'));
+  check('renewal with a waiting hold', error && error.code, 'no-waiting-holds');
+
+  const returned = await db.processBookReturn(wanted.id, 'rules');
+  check('return answers the updated issue', [returned.issue.status, Boolean(returned.issue.returnDate)], ['returned', true]);
+  check('returned copy is set aside for the hold', returned.hold && returned.hold.status, 'ready');
+
+  error = await errorOf(() => db.renewBook(wanted.id, 'rules'));
+  check('returned loan can\'t be renewed', error && error.code, 'issue-active');
+}
+
+async function checkLifecycle() {
+  console.log('\nIssue lifecycle:');
+
+  // Claimed returned, claim rejected, claimed again and written off
+  const issue = await db.processBookIssue(102, 3, 'rules');
+  await db.claimIssueReturned(issue.id, { claimedBy: 'rules' });
+  let error = await errorOf(() => db.renewBook(issue.id, 'rules'));
+  check('claimed loan can\'t be renewed', error && error.code, 'issue-active');
+  check('rejected claim reopens the loan', (await db.rejectReturnClaim(issue.id, { rejectedBy: 'rules' })).status, 'issued');
+  await db.claimIssueReturned(issue.id, { claimedBy: 'rules' });
+  const { issue: writtenOff } = await db.writeOffIssue(issue.id, { writtenOffBy: 'rules' });
+  check('history', writtenOff.history.map(entry => `${entry.from}>${entry.to}`), [
+    'null>issued', 'issued>claimed-returned', 'claimed-returned>issued',
+    'issued>claimed-returned', 'claimed-returned>written-off'
+  ]);
+  check('written-off is final', getAllowedTransitions('written-off'), []);
+
+  error = await errorOf(() => db.updateIssue(issue.id, { status: 'issued' }));
+  check('written-off loan can\'t reopen', [error instanceof InvalidTransitionError, error && error.code],
+    [true, 'invalid-transition']);
+
+  // Lost, then found
+  const lostIssue = (await db.getActiveIssuesByUser(101))[0];
+  const { charge } = await db.declareIssueLost(lostIssue.id, { declaredBy: 'rules' });
+  check('lost book is charged', charge > 0, true);
+  check('patron owes the fee', (await db.getUserById(101)).totalFines, charge);
+  const found = await db.processBookReturn(lostIssue.id, 'rules');
+  check('found book is returned', found.issue.status, 'returned');
+  check('unpaid fee is taken back', (await db.getUserById(101)).totalFines, 0);
+
+  error = await errorOf(() => db.declareIssueLost(lostIssue.id, { declaredBy: 'rules' }));
+  check('returned book can\'t be lost', error instanceof InvalidTransitionError, true);
+
+  // A claim freezes the fine so far; it's charged, and payable, once the loan is settled
+  const claimed = await db.processBookIssue(104, 1, 'rules');
+  await makeOverdue(claimed.id, 10);
+  const { fineAmount: frozen } = await db.claimIssueReturned(claimed.id, { claimedBy: 'rules' });
+  check('claim freezes the fine', frozen > 0, true);
+  error = await errorOf(() => db.payIssueFine(claimed.id));
+  check('open loan\'s fine can\'t be paid', error && error.message, 'Fine is charged when the loan is settled');
+
+  await db.addFineToUser(104, 5);
+  const paidAll = await db.payAllUserFines(104);
+  check('paying everything skips the open loan', [paidAll.amountPaid, paidAll.issuesPaid], [5, 0]);
+
+  const settled = await db.processBookReturn(claimed.id, 'rules');
+  check('fine charged on return', [settled.fine, (await db.getUserById(104)).totalFines], [frozen, frozen]);
+  const paid = await db.payIssueFine(claimed.id);
+  check('settled loan\'s fine is paid', [paid.amountPaid, paid.remaining], [frozen, 0]);
+}
+
+async function checkJobs() {
+  console.log('\nBackground jobs:');
+  registerLibraryJobs();
+
+  // A loan three weeks past its due date
+  const issue = await db.processBookIssue(101, 1, 'rules');
+  await makeOverdue(issue.id, 21);
+
+  let run = await runJob('mark-overdue', { triggeredBy: 'rules' });
+  check('mark-overdue', [run.status, run.result], ['succeeded', { marked: 1 }]);
+  check('loan is overdue', (await db.getIssueById(issue.id)).status, 'overdue');
+
+  run = await runJob('accrue-fines', { triggeredBy: 'rules' });
+  const fine = await db.calculateFine(issue.id);
+  check('accrue-fines', [run.status, run.result.updated, fine > 0], ['succeeded', 1, true]);
+  check('fines so far are reported uncharged', run.result.uncharged, fine);
+  check('fine kept on the loan', (await db.getIssueById(issue.id)).fineAmount, fine);
+  check('fine not charged yet', (await db.getUserById(101)).totalFines, 0);
+
+  // The hold on book 2 is ready - let its pickup window run out
+  const holds = await db.readData('holds');
+  const ready = holds.holds.find(hold => hold.status === 'ready');
+  ready.expiresAt = new Date(Date.now() - DAY).toISOString();
+  await db.writeData('holds', holds);
+  run = await runJob('expire-holds', { triggeredBy: 'rules' });
+  check('expire-holds', run.result, { expired: 1 });
+  check('copy back on the shelf', (await db.getBookById(2)).availableCopies, 1);
+
+  await db.updateUser(102, { membershipExpiry: new Date(Date.now() + 10 * DAY).toISOString() });
+  run = await runJob('flag-expiring-memberships', { triggeredBy: 'rules' });
+  check('membership flagged', [run.result, (await db.getUserById(102)).membershipExpiring], [{ flagged: 1, cleared: 0 }, true]);
+  await db.updateUser(102, { membershipExpiry: new Date(Date.now() + 365 * DAY).toISOString() });
+  run = await runJob('flag-expiring-memberships', { triggeredBy: 'rules' });
+  check('renewed membership cleared', [run.result, (await db.getUserById(102)).membershipExpiring], [{ flagged: 0, cleared: 1 }, false]);
+
+  const error = await errorOf(() => runJob('no-such-job'));
+  check('unknown job', error && error.message, 'Job not found');
+
+  // Each library has its own runs: a slow run in a tenant doesn't block the shared library
+  registerJob({
+    name: 'slow',
+    description: 'Takes a moment',
+    schedule: '0 3 * * *',
+    run: () => new Promise(resolve => setTimeout(() => resolve({ tenant: db.getCurrentTenant() }), 200))
+  });
+  await quietly(() => db.runWithTenant('rules-a', () => db.getConfig()));
+  const tenantRun = db.runWithTenant('rules-a', () => runJob('slow', { triggeredBy: 'tenant' }));
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  const busy = await errorOf(() => db.runWithTenant('rules-a', () => runJob('slow')));
+  check('same library is busy', busy && busy.message, 'Job is already running');
+  run = await runJob('slow', { triggeredBy: 'shared' });
+  check('shared library runs meanwhile', [run.status, run.result], ['succeeded', { tenant: null }]);
+  await tenantRun;
+
+  check('shared library sees its own runs', getJob('slow').runs.map(r => r.triggeredBy), ['shared']);
+  check('tenant sees its own runs',
+    await db.runWithTenant('rules-a', () => getJob('slow').runs.map(r => r.result)), [{ tenant: 'rules-a' }]);
+  check('tenant has no mark-overdue runs', await db.runWithTenant('rules-a', () => getJob('mark-overdue').lastRun), null);
+}
+
+async function checkReset() {
+  console.log('\nReset:');
+
+  await db.updateConfig({ library: { ...(await db.getConfig()).library, maxBooksPerUser: 7 } });
+  await db.addClosure({ startDate: '2030-01-02', endDate: '2030-01-02', reason: 'Inventory' });
+
+  // A reset that fails halfway leaves everything as it was
+  const error = await errorOf(() => quietly(() => db.transaction(db.COLLECTIONS, async () => {
+    await seedCollections();
+    throw new Error('Disk full');
+  })));
+  check('failed reset changes nothing',
+    [error && error.message, (await db.getConfig()).library.maxBooksPerUser, (await db.getBookById(4)).category],
+    ['Disk full', 7, 'Reference']);
+
+  await quietly(() => db.transaction(db.COLLECTIONS, seedCollections));
+  check('reset restores the seed data', (await db.getBookById(4)).title, initialBooks[3].title);
+  check('reset restores the config', (await db.getConfig()).library.maxBooksPerUser, 3);
+  check('reset restores the calendar', (await db.getCalendar()).closures, []);
+
+  // Only the newest rolling backups are kept
+  let newest;
+  for (let i = 0; i < 12; i++) {
+    newest = await db.createAutoBackup('rules');
+  }
+  const backups = (await db.listSnapshots()).filter(snapshot => snapshot.auto);
+  check('rolling backups are pruned', [backups.length, backups.some(backup => backup.name === newest.name)], [10, true]);
+}
+
+async function run() {
+  try {
+    console.log(`🔎 Checking library rules on ${ADAPTER} storage\n`);
+    await setupLibrary();
+    await checkLoanPolicies();
+    await checkBookUpdates();
+    await checkEligibility();
+    await checkLifecycle();
+    await checkJobs();
+    await checkReset();
+  } finally {
+    await fs.remove(tempDir);
+  }
+
+  console.log(passed ? '\n✅ All rules hold' : '\n❌ Some rules are broken');
+  process.exit(passed ? 0 : 1);
+}
+
+run().catch(error => {
+  console.error('❌ Rules check failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,66 @@
+/**
+ * Database Migration Script
+ * Upgrades a data directory to the current schema version in place
+ *
+ * Usage:
+ *   npm run migrate                                  - upgrade ./data
+ *   npm run migrate -- --dry-run                     - show what would change, write nothing
+ *   npm run migrate -- --data-dir=path/to/old/data   - upgrade another data directory
+ *   npm run migrate -- --adapter=sqlite              - upgrade the SQLite database instead
+ */
+
+const db = require('../database');
+const { createAdapter } = require('../storage');
+
+const args = Object.fromEntries(
+  process.argv.slice(2)
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => {
+      const [key, value] = arg.slice(2).split('=');
+      return [key, value === undefined ? true : value];
+    })
+);
+
+async function migrate() {
+  try {
+    const dryRun = Boolean(args['dry-run']);
+
+    const adapter = createAdapter(args.adapter, args['data-dir'] ? { dataDir: args['data-dir'] } : {});
+    db.useStorage(adapter);
+    await adapter.init();
+
+    console.log(`🔧 ${dryRun ? 'Checking' : 'Migrating'} ${adapter.describe()}\n`);
+
+    const result = await db.migrateDatabase({ dryRun });
+
+    console.log('Current schema versions:');
+    for (const [name, version] of Object.entries(result.fromVersions)) {
+      console.log(`   - ${name}: ${version}`);
+    }
+    console.log('');
+
+    if (result.migrations.length === 0) {
+      console.log(`✅ Already at schema version ${result.toVersion}, nothing to do\n`);
+      return;
+    }
+
+    for (const migration of result.migrations) {
+      console.log(`${dryRun ? '•' : '✓'} ${migration.version}: ${migration.description}`);
+      for (const [name, count] of Object.entries(migration.changes)) {
+        console.log(`     ${name}: ${count} record(s) ${dryRun ? 'would change' : 'updated'}`);
+      }
+    }
+    console.log('');
+
+    if (dryRun) {
+      console.log(`ℹ️  Dry run - nothing was written. Run without --dry-run to upgrade to version ${result.toVersion}\n`);
+    } else {
+      console.log(`✅ Upgraded to schema version ${result.toVersion}\n`);
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+migrate();
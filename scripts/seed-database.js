@@ -5,6 +5,19 @@
 
 const db = require('../database');
 const bcrypt = require('bcryptjs');
+const { CURRENT_SCHEMA_VERSION } = require('../migrations');
+
+// Initial authors (linked from books through authorIds)
+const initialAuthors = [
+  { id: 1, name: "F. Scott Fitzgerald", bio: "American novelist of the Jazz Age.", birthYear: 1896, nationality: "American" },
+  { id: 2, name: "Harper Lee", bio: "American novelist best known for To Kill a Mockingbird.", birthYear: 1926, nationality: "American" },
+  { id: 3, name: "George Orwell", bio: "English novelist and essayist, critic of totalitarianism.", birthYear: 1903, nationality: "British" },
+  { id: 4, name: "Jane Austen", bio: "English novelist known for her novels of manners.", birthYear: 1775, nationality: "British" },
+  { id: 5, name: "J. D. Salinger", bio: "American writer best known for The Catcher in the Rye.", birthYear: 1919, nationality: "American" },
+  { id: 6, name: "J. R. R. Tolkien", bio: "English writer and philologist, author of Middle-earth.", birthYear: 1892, nationality: "British" },
+  { id: 7, name: "J. K. Rowling", bio: "British author of the Harry Potter series.", birthYear: 1965, nationality: "British" },
+  { id: 8, name: "Aldous Huxley", bio: "English writer and philosopher.", birthYear: 1894, nationality: "British" }
+].map(author => ({ ...author, addedDate: new Date().toISOString() }));
 
 // Initial books data (keeping existing structure + new fields)
 const initialBooks = [
@@ -12,8 +25,9 @@ const initialBooks = [
     userId: 1,
     id: 1,
     title: "The Great Gatsby",
+    authorIds: [1],
     body: "A classic American novel set in the Jazz Age, exploring themes of wealth, love, and the American Dream.",
-    isbn: "978-0-7432-7356-5",
+    isbn: "9780743273565",
     category: "Fiction",
     publishedYear: 1925,
     totalCopies: 5,
@@ -27,8 +41,9 @@ const initialBooks = [
     userId: 2,
     id: 2,
     title: "To Kill a Mockingbird",
+    authorIds: [2],
     body: "A gripping tale of racial injustice and childhood innocence in the American South during the 1930s.",
-    isbn: "978-0-06-112008-4",
+    isbn: "9780061120084",
     category: "Fiction",
     publishedYear: 1960,
     totalCopies: 4,
@@ -42,8 +57,9 @@ const initialBooks = [
     userId: 1,
     id: 3,
     title: "1984",
+    authorIds: [3],
     body: "A dystopian social science fiction novel exploring surveillance, propaganda, and totalitarianism.",
-    isbn: "978-0-452-28423-4",
+    isbn: "9780452284234",
     category: "Science Fiction",
     publishedYear: 1949,
     totalCopies: 6,
@@ -57,8 +73,9 @@ const initialBooks = [
     userId: 3,
     id: 4,
     title: "Pride and Prejudice",
+    authorIds: [4],
     body: "A romantic novel of manners exploring issues of morality, education, and marriage in British society.",
-    isbn: "978-0-14-143951-8",
+    isbn: "9780141439518",
     category: "Romance",
     publishedYear: 1813,
     totalCopies: 3,
@@ -72,8 +89,9 @@ const initialBooks = [
     userId: 2,
     id: 5,
     title: "The Catcher in the Rye",
+    authorIds: [5],
     body: "A story about teenage rebellion and alienation, narrated by the iconic character Holden Caulfield.",
-    isbn: "978-0-316-76948-0",
+    isbn: "9780316769488",
     category: "Fiction",
     publishedYear: 1951,
     totalCopies: 4,
@@ -87,8 +105,9 @@ const initialBooks = [
     userId: 4,
     id: 6,
     title: "The Hobbit",
+    authorIds: [6],
     body: "A fantasy novel following the quest of Bilbo Baggins, a hobbit who embarks on an epic adventure.",
-    isbn: "978-0-547-92822-7",
+    isbn: "9780547928227",
     category: "Fantasy",
     publishedYear: 1937,
     totalCopies: 5,
@@ -102,8 +121,9 @@ const initialBooks = [
     userId: 3,
     id: 7,
     title: "Harry Potter and the Philosopher's Stone",
+    authorIds: [7],
     body: "The beginning of a magical journey following a young wizard discovering his true identity and destiny.",
-    isbn: "978-0-439-70818-8",
+    isbn: "9780439708180",
     category: "Fantasy",
     publishedYear: 1997,
     totalCopies: 7,
@@ -117,8 +137,9 @@ const initialBooks = [
     userId: 1,
     id: 8,
     title: "The Lord of the Rings",
+    authorIds: [6],
     body: "An epic high-fantasy novel following the quest to destroy the One Ring and defeat the Dark Lord Sauron.",
-    isbn: "978-0-618-64561-5",
+    isbn: "9780618645619",
     category: "Fantasy",
     publishedYear: 1954,
     totalCopies: 4,
@@ -132,8 +153,9 @@ const initialBooks = [
     userId: 5,
     id: 9,
     title: "Animal Farm",
+    authorIds: [3],
     body: "An allegorical novella reflecting events leading up to the Russian Revolution and the Stalinist era.",
-    isbn: "978-0-452-28424-1",
+    isbn: "9780452284241",
     category: "Political Fiction",
     publishedYear: 1945,
     totalCopies: 5,
@@ -147,8 +169,9 @@ const initialBooks = [
     userId: 2,
     id: 10,
     title: "Brave New World",
+    authorIds: [8],
     body: "A dystopian novel exploring a futuristic society driven by technological advancement and social conditioning.",
-    isbn: "978-0-06-085052-4",
+    isbn: "9780060850524",
     category: "Science Fiction",
     publishedYear: 1932,
     totalCopies: 4,
@@ -173,6 +196,7 @@ async function getInitialUsers() {
       password: adminPassword,
       fullName: "Library Administrator",
       role: "librarian",
+      patronType: "staff",
       phone: "+1-555-0100",
       address: "123 Library Street, Book City",
       joinDate: new Date().toISOString(),
@@ -190,6 +214,7 @@ async function getInitialUsers() {
       password: userPassword,
       fullName: "John Smith",
       role: "user",
+      patronType: "student",
       phone: "+1-555-0101",
       address: "456 Reader Lane, Book City",
       joinDate: new Date().toISOString(),
@@ -207,6 +232,7 @@ async function getInitialUsers() {
       password: userPassword,
       fullName: "Jane Doe",
       role: "user",
+      patronType: "student",
       phone: "+1-555-0102",
       address: "789 Novel Avenue, Book City",
       joinDate: new Date().toISOString(),
@@ -224,6 +250,7 @@ async function getInitialUsers() {
       password: userPassword,
       fullName: "Bob Johnson",
       role: "user",
+      patronType: "student",
       phone: "+1-555-0103",
       address: "321 Story Boulevard, Book City",
       joinDate: new Date().toISOString(),
@@ -237,9 +264,112 @@ async function getInitialUsers() {
   ];
 }
 
+/**
+ * One copy record per copy of each initial book, e.g. barcode C000001 on shelf FIC-01
+ */
+function getInitialCopies() {
+  const copies = [];
+  for (const book of initialBooks) {
+    for (let i = 0; i < book.totalCopies; i++) {
+      const id = copies.length + 1;
+      copies.push({
+        id,
+        bookId: book.id,
+        barcode: `C${String(id).padStart(6, '0')}`,
+        shelfLocation: `${book.category.slice(0, 3).toUpperCase()}-${String(book.id).padStart(2, '0')}`,
+        condition: 'good',
+        status: 'available',
+        acquiredDate: book.addedDate,
+        notes: ''
+      });
+    }
+  }
+  return copies;
+}
+
 // Initial empty issues (can be populated manually for testing)
 const initialIssues = [];
 
+/**
+ * Replace every collection with the seed data, calendar and config included
+ * Runs inside a transaction over every collection (db.COLLECTIONS), so a
+ * failed write leaves the library as it was
+ */
+async function seedCollections() {
+  // Seed books
+  console.log('📚 Seeding books...');
+  const booksData = {
+    books: initialBooks,
+    nextId: 11,
+    schemaVersion: CURRENT_SCHEMA_VERSION
+  };
+  await db.writeData('books', booksData);
+  console.log(`✓ Added ${initialBooks.length} books\n`);
+  
+  // Seed authors
+  console.log('✍️  Seeding authors...');
+  const authorsData = {
+    authors: initialAuthors,
+    nextId: 9,
+    schemaVersion: CURRENT_SCHEMA_VERSION
+  };
+  await db.writeData('authors', authorsData);
+  console.log(`✓ Added ${initialAuthors.length} authors\n`);
+  
+  // Seed copies
+  console.log('🏷️  Seeding copies...');
+  const copies = getInitialCopies();
+  const copiesData = {
+    copies,
+    nextId: copies.length + 1,
+    schemaVersion: CURRENT_SCHEMA_VERSION
+  };
+  await db.writeData('copies', copiesData);
+  console.log(`✓ Added ${copies.length} copies with barcodes\n`);
+  
+  // Seed users
+  console.log('👥 Seeding users...');
+  const users = await getInitialUsers();
+  const usersData = {
+    users: users,
+    nextId: 104,
+    schemaVersion: CURRENT_SCHEMA_VERSION
+  };
+  await db.writeData('users', usersData);
+  console.log(`✓ Added ${users.length} users`);
+  console.log('   - admin / admin123 (Librarian)');
+  console.log('   - user1 / user123 (User)');
+  console.log('   - user2 / user123 (User)');
+  console.log('   - user3 / user123 (User)\n');
+  
+  // Seed issues
+  console.log('📋 Seeding issues...');
+  const issuesData = {
+    issues: initialIssues,
+    nextId: 1000,
+    schemaVersion: CURRENT_SCHEMA_VERSION
+  };
+  await db.writeData('issues', issuesData);
+  console.log(`✓ Added ${initialIssues.length} issues (empty for now)\n`);
+
+  // Start with an empty hold queue
+  await db.writeData('holds', {
+    holds: [],
+    nextId: 1,
+    schemaVersion: CURRENT_SCHEMA_VERSION
+  });
+  console.log('✓ Cleared hold queues\n');
+
+  // Default opening hours and settings
+  for (const collection of ['calendar', 'config']) {
+    await db.writeData(collection, {
+      ...db.getInitialData(collection),
+      schemaVersion: CURRENT_SCHEMA_VERSION
+    });
+  }
+  console.log('✓ Restored the default calendar and configuration\n');
+}
+
 /**
  * Seed the database
  */
@@ -250,39 +380,8 @@ async function seedDatabase() {
     // Initialize database structure
     await db.initializeDatabase();
     
-    // Seed books
-    console.log('📚 Seeding books...');
-    const booksData = {
-      books: initialBooks,
-      nextId: 11
-    };
-    await db.writeData('books', booksData);
-    console.log(`✓ Added ${initialBooks.length} books\n`);
-    
-    // Seed users
-    console.log('👥 Seeding users...');
-    const users = await getInitialUsers();
-    const usersData = {
-      users: users,
-      nextId: 104
-    };
-    await db.writeData('users', usersData);
-    console.log(`✓ Added ${users.length} users`);
-    console.log('   - admin / admin123 (Librarian)');
-    console.log('   - user1 / user123 (User)');
-    console.log('   - user2 / user123 (User)');
-    console.log('   - user3 / user123 (User)\n');
-    
-    // Seed issues
-    console.log('📋 Seeding issues...');
-    const issuesData = {
-      issues: initialIssues,
-      nextId: 1000
-    };
-    await db.writeData('issues', issuesData);
-    console.log(`✓ Added ${initialIssues.length} issues (empty for now)\n`);
-    
-    // Config is auto-created by initializeDatabase
+    await db.transaction(db.COLLECTIONS, seedCollections);
+
     const config = await db.getConfig();
     console.log('⚙️  Configuration:');
     console.log(`   - Max books per user: ${config.library.maxBooksPerUser}`);
@@ -296,7 +395,10 @@ async function seedDatabase() {
     
   } catch (error) {
     console.error('❌ Error seeding database:', error.message);
-    process.exit(1);
+    if (require.main === module) {
+      process.exit(1);
+    }
+    throw error; // Let the server's reset endpoint report it
   }
 }
 
@@ -305,4 +407,4 @@ if (require.main === module) {
   seedDatabase();
 }
 
-module.exports = { seedDatabase, initialBooks, getInitialUsers };
+module.exports = { seedDatabase, seedCollections, initialBooks, initialAuthors, getInitialCopies, getInitialUsers };
@@ -0,0 +1,78 @@
+/**
+ * Snapshot Script
+ * Save and restore named copies of the library data from the command line
+ *
+ * Usage:
+ *   npm run snapshot -- list
+ *   npm run snapshot -- create <name> [reason]
+ *   npm run snapshot -- restore <name>
+ *   npm run snapshot -- delete <name>
+ *
+ * Uses the storage selected by DB_ADAPTER (JSON files in ./data by default)
+ */
+
+const db = require('../database');
+
+const [command, name, ...reasonWords] = process.argv.slice(2);
+
+function printSnapshot(snapshot) {
+  const counts = Object.entries(snapshot.counts)
+    .map(([collection, count]) => `${count} ${collection}`)
+    .join(', ');
+  const reason = snapshot.reason ? ` - ${snapshot.reason}` : '';
+  console.log(`   ${snapshot.name.padEnd(28)} ${snapshot.createdAt}  ${counts}${reason}`);
+}
+
+async function run() {
+  try {
+    await db.initializeDatabase();
+    console.log('');
+
+    switch (command) {
+      case 'list': {
+        const snapshots = await db.listSnapshots();
+        if (snapshots.length === 0) {
+          console.log('No snapshots yet. Create one with: npm run snapshot -- create <name>');
+          break;
+        }
+        console.log(`📸 ${snapshots.length} snapshot(s):`);
+        snapshots.forEach(printSnapshot);
+        break;
+      }
+
+      case 'create': {
+        const snapshot = await db.createSnapshot(name, {
+          reason: reasonWords.join(' '),
+          createdBy: 'cli'
+        });
+        console.log('✅ Snapshot created:');
+        printSnapshot(snapshot);
+        break;
+      }
+
+      case 'restore': {
+        const result = await db.restoreSnapshot(name, { createdBy: 'cli' });
+        console.log(`✅ Restored ${result.snapshot.name}`);
+        console.log(`   Previous data saved as ${result.backup.name}`);
+        break;
+      }
+
+      case 'delete': {
+        await db.deleteSnapshot(name);
+        console.log(`✅ Deleted ${name}`);
+        break;
+      }
+
+      default:
+        console.log('Usage: npm run snapshot -- <list|create|restore|delete> [name] [reason]');
+        process.exit(1);
+    }
+
+    console.log('');
+  } catch (error) {
+    console.error('❌ Snapshot command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+run();
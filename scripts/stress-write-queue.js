@@ -0,0 +1,153 @@
+/**
+ * Write Queue Stress Test
+ * Fires many concurrent borrow, return and fine operations at the database
+ * layer and checks that no update was lost (stock, user counts and fines all
+ * add up afterwards).
+ *
+ * Usage:
+ *   node scripts/stress-write-queue.js [--adapter=json|sqlite|memory] [--requests=50]
+ *
+ * Runs against a temporary data directory - the real ./data files are never touched.
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const db = require('../database');
+const { createAdapter } = require('../storage');
+const { initialBooks } = require('./seed-database');
+
+const args = Object.fromEntries(
+  process.argv.slice(2)
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => arg.slice(2).split('='))
+);
+
+const ADAPTER = args.adapter || 'json';
+const REQUESTS = parseInt(args.requests) || 50;
+const COPIES = 5;
+
+/**
+ * Build a fresh library: one book with a few copies and one user per request
+ */
+async function setupLibrary(tempDir) {
+  db.useStorage(createAdapter(ADAPTER, {
+    dataDir: tempDir,
+    filename: path.join(tempDir, 'library.sqlite')
+  }));
+  await db.initializeDatabase();
+
+  const book = {
+    ...initialBooks[0],
+    totalCopies: COPIES,
+    availableCopies: COPIES,
+    issuedCopies: 0
+  };
+  await db.writeData('books', { books: [book], nextId: 2 });
+
+  const copies = [];
+  for (let i = 1; i <= COPIES; i++) {
+    copies.push({ id: i, bookId: book.id, barcode: `STRESS-${i}`, condition: 'good', status: 'available' });
+  }
+  await db.writeData('copies', { copies, nextId: COPIES + 1 });
+
+  const users = [];
+  for (let i = 0; i < REQUESTS; i++) {
+    users.push({
+      id: 100 + i,
+      username: `stress${i}`,
+      email: `stress${i}@example.com`,
+      password: 'not-a-real-hash',
+      fullName: `Stress User ${i}`,
+      role: 'user',
+      patronType: 'student',
+      isActive: true,
+      maxBooksAllowed: 3,
+      currentBooksCount: 0,
+      totalFines: 0,
+      paidFines: 0
+    });
+  }
+  await db.writeData('users', { users, nextId: 100 + REQUESTS });
+
+  return book;
+}
+
+function check(description, actual, expected) {
+  const ok = actual === expected;
+  console.log(`${ok ? '✓' : '✗'} ${description}: ${actual}${ok ? '' : ` (expected ${expected})`}`);
+  return ok;
+}
+
+async function run() {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'library-stress-'));
+  let passed = true;
+
+  try {
+    console.log(`🔨 Stress testing ${ADAPTER} storage with ${REQUESTS} concurrent requests\n`);
+    const book = await setupLibrary(tempDir);
+    const users = await db.getAllUsers();
+
+    // 1. Everybody tries to borrow the same book at once
+    const borrowResults = await Promise.allSettled(
+      users.map(user => db.processBookIssue(user.id, book.id, 'stress'))
+    );
+    const issued = borrowResults.filter(r => r.status === 'fulfilled').map(r => r.value);
+
+    let current = await db.getBookById(book.id);
+    let issues = await db.getAllIssues();
+    let allUsers = await db.getAllUsers();
+
+    console.log('After concurrent borrowing:');
+    passed = check('successful borrows', issued.length, COPIES) && passed;
+    passed = check('issues recorded', issues.length, COPIES) && passed;
+    passed = check('available copies', current.availableCopies, 0) && passed;
+    passed = check('issued copies', current.issuedCopies, COPIES) && passed;
+    passed = check('distinct copies lent', new Set(issues.map(i => i.copyId)).size, COPIES) && passed;
+    passed = check(
+      'books held by users',
+      allUsers.reduce((sum, u) => sum + u.currentBooksCount, 0),
+      COPIES
+    ) && passed;
+
+    // 2. Return everything while fines are being added to one user
+    const finedUser = users[0];
+    await Promise.all([
+      ...issued.map(issue => db.processBookReturn(issue.id, 'stress')),
+      ...users.map(() => db.addFineToUser(finedUser.id, 1))
+    ]);
+
+    current = await db.getBookById(book.id);
+    issues = await db.getAllIssues();
+    allUsers = await db.getAllUsers();
+
+    console.log('\nAfter concurrent returns and fines:');
+    passed = check('available copies', current.availableCopies, COPIES) && passed;
+    passed = check('issued copies', current.issuedCopies, 0) && passed;
+    passed = check('returned issues', issues.filter(i => i.status === 'returned').length, COPIES) && passed;
+    passed = check(
+      'books held by users',
+      allUsers.reduce((sum, u) => sum + u.currentBooksCount, 0),
+      0
+    ) && passed;
+    passed = check('fines added to one user', (await db.getUserById(finedUser.id)).totalFines, REQUESTS) && passed;
+
+    // 3. Pay those fines in concurrent chunks
+    await Promise.allSettled(users.map(() => db.payUserFine(finedUser.id, 1)));
+    const paidUser = await db.getUserById(finedUser.id);
+
+    console.log('\nAfter concurrent fine payments:');
+    passed = check('outstanding fines', paidUser.totalFines, 0) && passed;
+    passed = check('paid fines', paidUser.paidFines, REQUESTS) && passed;
+  } finally {
+    await fs.remove(tempDir);
+  }
+
+  console.log(passed ? '\n✅ No lost updates' : '\n❌ Lost updates detected');
+  process.exit(passed ? 0 : 1);
+}
+
+run().catch(error => {
+  console.error('❌ Stress test failed:', error.message);
+  process.exit(1);
+});
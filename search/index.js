@@ -0,0 +1,314 @@
+/**
+ * Book Search Index
+ * Ranked full-text search over the catalogue, used by GET /api/books/search.
+ *
+ * Query syntax:
+ *   dune messiah              every word must match somewhere in the book
+ *   title:dune                the word must match in that field
+ *   author:"le guin"          quotes group several words for one field
+ *   category:fiction gatsby   field filters and free words can be mixed
+ *
+ * Fields: title, author, category, isbn, body (alias: description)
+ *
+ * Words are matched by stem (see text.js), then by prefix ("gats" finds
+ * "gatsby") and finally with a typo or two ("gatsbey"). Exact matches score
+ * highest, matches in the title count more than matches in the description,
+ * and rare words count more than common ones.
+ *
+ * The index is built from the books and authors collections and is cheap to
+ * rebuild - database.js keeps one per library and rebuilds it whenever either
+ * collection changes.
+ */
+
+const { STOPWORDS, tokenize, stem, editDistance, allowedTypos } = require('./text');
+const { normalizeIsbn } = require('../isbn');
+
+// How much a match in each field is worth
+const FIELD_WEIGHTS = {
+  title: 5,
+  author: 4,
+  category: 3,
+  isbn: 3,
+  body: 1
+};
+
+const FIELD_ALIASES = {
+  description: 'body'
+};
+
+// Score multiplier by how a query word matched
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.7,
+  typo: 0.5
+};
+
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Digits (and a final X) of an ISBN, so 978-0-7432 and 97807432 compare equal
+ * A complete ISBN-10 is turned into its ISBN-13 so either form finds the book
+ */
+function isbnDigits(value) {
+  return normalizeIsbn(value) || String(value || '').toUpperCase().replace(/[^0-9X]/g, '');
+}
+
+/**
+ * Text of every searchable field of a book
+ */
+function getFieldTexts(book, authorsById) {
+  const authorNames = (book.authorIds || [])
+    .map(id => authorsById.get(id))
+    .filter(Boolean)
+    .map(author => author.name);
+
+  return {
+    title: book.title || '',
+    author: authorNames.join(', '),
+    category: book.category || '',
+    isbn: book.isbn || '',
+    body: book.body || ''
+  };
+}
+
+/**
+ * Build the index
+ *   documents - bookId -> { book, fields: { title: text, ... }, terms: { title: Map(stem -> count) } }
+ *   words     - every indexed word -> its stem (for prefix and typo matching)
+ *   frequency - stem -> number of books containing it (for ranking rare words higher)
+ */
+function buildSearchIndex(books, authors) {
+  const authorsById = new Map(authors.map(author => [author.id, author]));
+  const documents = new Map();
+  const words = new Map();
+  const frequency = new Map();
+
+  for (const book of books) {
+    const fields = getFieldTexts(book, authorsById);
+    const terms = {};
+    const bookStems = new Set();
+
+    for (const [field, text] of Object.entries(fields)) {
+      terms[field] = new Map();
+      if (field === 'isbn') continue; // matched on its digits, see matchIsbn
+
+      for (const { word } of tokenize(text)) {
+        const wordStem = stem(word);
+        words.set(word, wordStem);
+        terms[field].set(wordStem, (terms[field].get(wordStem) || 0) + 1);
+        bookStems.add(wordStem);
+      }
+    }
+
+    for (const wordStem of bookStems) {
+      frequency.set(wordStem, (frequency.get(wordStem) || 0) + 1);
+    }
+
+    documents.set(book.id, { book, fields, terms, isbn: isbnDigits(book.isbn) });
+  }
+
+  return { documents, words, frequency };
+}
+
+/**
+ * Split a query into clauses: [{ field: 'title' | null, words: ['dune'] }]
+ * Throws for unknown field names
+ */
+function parseQuery(query) {
+  const clauses = [];
+  const pattern = /(?:([A-Za-z]+):)?(?:"([^"]*)"|(\S+))/g;
+  let match;
+
+  while ((match = pattern.exec(String(query || ''))) !== null) {
+    const [, fieldName, quoted, bare] = match;
+    let field = null;
+
+    if (fieldName) {
+      field = FIELD_ALIASES[fieldName.toLowerCase()] || fieldName.toLowerCase();
+      if (!FIELD_WEIGHTS[field]) {
+        throw new Error(
+          `Unknown search field: ${fieldName} (use one of: ${Object.keys(FIELD_WEIGHTS).join(', ')})`
+        );
+      }
+    }
+
+    const text = quoted !== undefined ? quoted : bare;
+
+    // ISBNs keep their hyphens together: isbn:978-0-7432
+    if (field === 'isbn') {
+      const isbn = isbnDigits(text);
+      if (isbn) clauses.push({ field, words: [isbn], isbn: true });
+      continue;
+    }
+
+    for (const { word } of tokenize(text)) {
+      clauses.push({ field, words: [word] });
+    }
+  }
+
+  // Drop stopwords unless that would leave nothing to search for
+  const meaningful = clauses.filter(clause => clause.isbn || !STOPWORDS.has(clause.words[0]));
+  return meaningful.length > 0 ? meaningful : clauses;
+}
+
+/**
+ * Stems a query word can match, with how well: Map(stem -> quality)
+ */
+function expandWord(index, word) {
+  const matches = new Map([[stem(word), MATCH_QUALITY.exact]]);
+  const typos = allowedTypos(word);
+
+  for (const [indexed, indexedStem] of index.words) {
+    if (matches.get(indexedStem) === MATCH_QUALITY.exact) continue;
+
+    let quality = 0;
+    if (word.length >= 3 && indexed.startsWith(word)) {
+      quality = MATCH_QUALITY.prefix;
+    } else if (typos > 0) {
+      const distance = editDistance(word, indexed, typos);
+      if (distance <= typos) {
+        quality = MATCH_QUALITY.typo / distance;
+      }
+    }
+
+    if (quality > (matches.get(indexedStem) || 0)) {
+      matches.set(indexedStem, quality);
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Match an ISBN (or part of one) against a book
+ */
+function matchIsbn(document, digits) {
+  if (!document.isbn || digits.length < 3 || !/^\d/.test(digits)) return 0;
+  if (document.isbn === digits) return MATCH_QUALITY.exact;
+  return document.isbn.includes(digits) ? MATCH_QUALITY.prefix : 0;
+}
+
+/**
+ * Best match of one clause in one book
+ * Returns { score, fields: { title: Set(stems) } } or null if it doesn't match
+ */
+function scoreClause(index, document, clause, expansion) {
+  const fields = clause.field ? [clause.field] : Object.keys(FIELD_WEIGHTS);
+  const matched = {};
+  let best = 0;
+
+  for (const field of fields) {
+    if (field === 'isbn') {
+      const quality = matchIsbn(document, isbnDigits(clause.words[0]));
+      if (quality > 0) {
+        matched.isbn = new Set();
+        best = Math.max(best, FIELD_WEIGHTS.isbn * quality);
+      }
+      continue;
+    }
+
+    if (clause.isbn) continue;
+
+    for (const [wordStem, quality] of expansion) {
+      const count = document.terms[field].get(wordStem);
+      if (!count) continue;
+
+      // Rare words say more about a book than common ones
+      const rarity = Math.log(1 + index.documents.size / index.frequency.get(wordStem));
+      const score = FIELD_WEIGHTS[field] * quality * (1 + Math.log(count)) * rarity;
+
+      (matched[field] = matched[field] || new Set()).add(wordStem);
+      best = Math.max(best, score);
+    }
+  }
+
+  return best > 0 ? { score: best, fields: matched } : null;
+}
+
+/**
+ * Wrap the matched words of a text in <mark> tags
+ * Long texts are cut down to a snippet around the first match
+ */
+function highlight(text, stems, snippet = false) {
+  const tokens = tokenize(text).filter(token => stems.has(stem(token.word)));
+  if (tokens.length === 0) return text;
+
+  let start = 0;
+  let end = text.length;
+
+  if (snippet && text.length > SNIPPET_LENGTH) {
+    start = Math.max(0, tokens[0].start - SNIPPET_LENGTH / 4);
+    end = Math.min(text.length, start + SNIPPET_LENGTH);
+    // Don't cut words in half
+    while (start > 0 && /\S/.test(text[start - 1])) start--;
+    while (end < text.length && /\S/.test(text[end])) end++;
+  }
+
+  let result = '';
+  let position = start;
+
+  for (const token of tokens) {
+    if (token.start < start || token.end > end) continue;
+    result += text.slice(position, token.start) + '<mark>' + text.slice(token.start, token.end) + '</mark>';
+    position = token.end;
+  }
+  result += text.slice(position, end);
+
+  return (start > 0 ? '…' : '') + result.trim() + (end < text.length ? '…' : '');
+}
+
+/**
+ * Search the index
+ * Returns [{ book, score, highlights: { title: 'The <mark>Great</mark> Gatsby' } }]
+ * best match first
+ */
+function search(index, query) {
+  const clauses = parseQuery(query);
+  if (clauses.length === 0) return [];
+
+  const expansions = clauses.map(clause => (clause.isbn ? new Map() : expandWord(index, clause.words[0])));
+  const results = [];
+
+  for (const document of index.documents.values()) {
+    let score = 0;
+    const matched = {};
+    let matchesAll = true;
+
+    for (let i = 0; i < clauses.length; i++) {
+      const match = scoreClause(index, document, clauses[i], expansions[i]);
+      if (!match) {
+        matchesAll = false;
+        break;
+      }
+
+      score += match.score;
+      for (const [field, stems] of Object.entries(match.fields)) {
+        matched[field] = new Set([...(matched[field] || []), ...stems]);
+      }
+    }
+
+    if (!matchesAll) continue;
+
+    const highlights = {};
+    for (const [field, stems] of Object.entries(matched)) {
+      highlights[field] = field === 'isbn'
+        ? `<mark>${document.fields.isbn}</mark>`
+        : highlight(document.fields[field], stems, field === 'body');
+    }
+
+    results.push({
+      book: document.book,
+      score: Math.round(score * 1000) / 1000,
+      highlights
+    });
+  }
+
+  return results.sort((a, b) => b.score - a.score || a.book.title.localeCompare(b.book.title));
+}
+
+module.exports = {
+  FIELD_WEIGHTS,
+  buildSearchIndex,
+  parseQuery,
+  search
+};
@@ -0,0 +1,143 @@
+/**
+ * Text Analysis
+ * Turns text into the terms stored in the search index: words are split on
+ * anything that isn't a letter or digit, lower-cased and reduced to a stem
+ * so that "novels", "novel" and "novelist's" land close together.
+ */
+
+// Words too common to say anything about a book
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into',
+  'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with'
+]);
+
+// Derivational suffixes, longest first: [suffix, replacement]
+const SUFFIXES = [
+  ['ational', 'ate'],
+  ['fulness', 'ful'],
+  ['iveness', 'ive'],
+  ['ousness', 'ous'],
+  ['ization', 'ize'],
+  ['ation', 'ate'],
+  ['ness', ''],
+  ['ment', ''],
+  ['ist', ''],
+  ['ism', ''],
+  ['ly', '']
+];
+
+/**
+ * Split text into lower-case words with their position in the text
+ * Returns [{ word, start, end }] - start/end index the original string
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /[\p{L}\p{N}]+(?:'[\p{L}]+)?/gu;
+  let match;
+
+  while ((match = pattern.exec(String(text || ''))) !== null) {
+    tokens.push({
+      word: match[0].toLowerCase().replace(/'s$/, '').replace(/'/g, ''),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  return tokens;
+}
+
+function hasVowel(word) {
+  return /[aeiouy]/.test(word);
+}
+
+/**
+ * Reduce a word to its stem with a few suffix rules (a light Porter stemmer)
+ * The stems aren't always real words ("love" -> "lov") but every form of a
+ * word maps to the same one, which is all the index needs
+ */
+function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+
+  let result = word;
+
+  // Plurals
+  if (result.endsWith('sses')) {
+    result = result.slice(0, -2);
+  } else if (result.endsWith('ies')) {
+    result = result.slice(0, -3) + 'y';
+  } else if (result.endsWith('s') && !/(ss|us|is)$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+
+  // Verb endings: "running" -> "run", "explored" -> "explor"
+  for (const ending of ['ing', 'ed']) {
+    const base = result.slice(0, -ending.length);
+    if (result.endsWith(ending) && base.length >= 3 && hasVowel(base)) {
+      result = /([^aeiouylsz])\1$/.test(base) ? base.slice(0, -1) : base;
+      break;
+    }
+  }
+
+  for (const [suffix, replacement] of SUFFIXES) {
+    const base = result.slice(0, -suffix.length);
+    if (result.endsWith(suffix) && base.length >= 3 && hasVowel(base)) {
+      result = base + replacement;
+      break;
+    }
+  }
+
+  // "story" and "stories" both end up as "stori"
+  if (result.endsWith('y') && result.length > 3) {
+    result = result.slice(0, -1) + 'i';
+  }
+
+  if (result.endsWith('e') && result.length > 3) {
+    result = result.slice(0, -1);
+  }
+
+  return result;
+}
+
+/**
+ * Levenshtein distance between two words, giving up above maxDistance
+ * (returns maxDistance + 1 in that case)
+ */
+function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Typos tolerated for a query word: none for short words, one from
+ * 4 letters, two from 8
+ */
+function allowedTypos(word) {
+  if (word.length >= 8) return 2;
+  if (word.length >= 4) return 1;
+  return 0;
+}
+
+module.exports = {
+  STOPWORDS,
+  tokenize,
+  stem,
+  editDistance,
+  allowedTypos
+};
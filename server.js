@@ -16,7 +16,21 @@ const issueRoutes = require('./routes/issue.routes');
 const fineRoutes = require('./routes/fine.routes');
 const bookRoutes = require('./routes/book.routes');
 const statsRoutes = require('./routes/stats.routes');
+const snapshotRoutes = require('./routes/snapshot.routes');
+const changeRoutes = require('./routes/change.routes');
+const authorRoutes = require('./routes/author.routes');
+const copyRoutes = require('./routes/copy.routes');
+const holdRoutes = require('./routes/hold.routes');
+const catalogRoutes = require('./routes/catalog.routes');
+const calendarRoutes = require('./routes/calendar.routes');
+const loanPolicyRoutes = require('./routes/loan-policy.routes');
+const jobRoutes = require('./routes/job.routes');
 const { authenticateToken, requireLibrarian } = require('./middleware/auth.middleware');
+const { selectTenant } = require('./middleware/tenant.middleware');
+const { LIST_HEADERS } = require('./middleware/list-query.middleware');
+const { ValidationError } = require('./errors');
+const { startScheduler } = require('./scheduler');
+const { registerLibraryJobs } = require('./jobs');
 
 const app = express();
 const server = http.createServer(app);
@@ -29,22 +43,34 @@ const io = new Server(server, {
 
 const PORT = 3001;
 const SECRET_KEY = 'your-secret-key-for-jwt';
-
-// Initialize database
-db.initializeDatabase().catch(error => {
-  console.error('Failed to initialize database:', error);
-  process.exit(1);
-});
+const SCHEDULER_ENABLED = process.env.SCHEDULER !== 'off';
+
+// Initialize database, then start the background jobs (overdue loans,
+// fines, holds, memberships) on the migrated data
+db.initializeDatabase()
+  .then(() => {
+    registerLibraryJobs();
+    if (SCHEDULER_ENABLED) {
+      startScheduler();
+    }
+  })
+  .catch(error => {
+    console.error('Failed to initialize database:', error);
+    process.exit(1);
+  });
 
 // Initialize RxJS Socket Server
 const rxjsSocketServer = new RxJSSocketServer(io);
 setSocketServer(rxjsSocketServer);
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: [...LIST_HEADERS, 'X-Tenant-Id'] }));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
+// Pick the tenant library (X-Tenant-Id header or /t/<tenant> prefix)
+app.use(selectTenant);
+
 // Serve static files (HTML, CSS)
 app.use(express.static(__dirname));
 
@@ -56,7 +82,16 @@ app.use('/api/users', userRoutes);
 app.use('/api/issues', issueRoutes);
 app.use('/api/fines', fineRoutes);
 app.use('/api/books', bookRoutes);
+app.use('/api/authors', authorRoutes);
+app.use('/api/copies', copyRoutes);
+app.use('/api/holds', holdRoutes);
+app.use('/api/catalog', catalogRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/loan-policies', loanPolicyRoutes);
 app.use('/api/stats', statsRoutes);
+app.use('/api/snapshots', snapshotRoutes);
+app.use('/api/changes', changeRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // ==================== HELPER FUNCTIONS ====================
 
@@ -438,6 +473,9 @@ app.post('/books', authenticateToken, async (req, res) => {
       body: newBook.body
     });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
     res.status(500).json({ error: 'Failed to create book' });
   }
 });
@@ -463,6 +501,9 @@ app.put('/books/:id', authenticateToken, async (req, res) => {
       body: updatedBook.body
     });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
     if (error.message === 'Book not found') {
       return res.status(404).json({ error: 'Book not found' });
     }
@@ -491,6 +532,9 @@ app.patch('/books/:id', authenticateToken, async (req, res) => {
       body: updatedBook.body
     });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ error: error.message, fields: error.fields });
+    }
     if (error.message === 'Book not found') {
       return res.status(404).json({ error: 'Book not found' });
     }
@@ -529,15 +573,24 @@ app.get('/error/timeout', async (req, res) => {
 });
 
 // Reset data endpoint (for testing)
+// With a tenant selected only that tenant's library is reset
 app.post('/reset', authenticateToken, requireLibrarian, async (req, res) => {
   try {
-    // Re-run the seed script to reset database
-    const seedDatabase = require('./scripts/seed-database');
-    await seedDatabase();
+    // Keep a rolling backup so an accidental reset can be undone
+    const backup = await db.createAutoBackup('before reset', req.user.username);
+    
+    // Re-seed every collection in one transaction: all of it is reset or none
+    const { seedCollections } = require('./scripts/seed-database');
+    await db.transaction(db.COLLECTIONS, async () => {
+      await seedCollections();
+      await db.recordChange('data.reset', null, { backup: backup.name });
+    });
     
     res.json({ 
       message: 'Database reset successfully',
-      info: 'All data has been reset to seed values'
+      info: 'All data has been reset to seed values',
+      tenant: db.getCurrentTenant(),
+      backup: backup.name
     });
   } catch (error) {
     console.error('Reset error:', error);
@@ -594,20 +647,75 @@ server.listen(PORT, () => {
   console.log('');
   console.log('Book Management (/api/books):');
   console.log('  GET    /api/books               - Get all books with full details');
-  console.log('  GET    /api/books/search        - Search books');
+  console.log('  GET    /api/books/search?q=     - Ranked search (title:, author:, category:, isbn:)');
   console.log('  GET    /api/books/categories    - Get categories');
+  console.log('  GET    /api/books/browse        - Books with category/decade/availability facets');
   console.log('  GET    /api/books/available     - Get available books');
+  console.log('  GET    /api/books/isbn/:isbn    - Look up by ISBN-10 or ISBN-13');
+  console.log('  GET    /api/books/:id/cover?size= - Cover image (small, medium, large, original)');
+  console.log('  POST   /api/books/:id/cover     - Upload a cover, multipart "cover" field (librarian only)');
+  console.log('  DELETE /api/books/:id/cover     - Remove the uploaded cover (librarian only)');
   console.log('  POST   /api/books/create        - Create book (librarian only)');
   console.log('  PUT    /api/books/:id           - Update book (librarian only)');
   console.log('  DELETE /api/books/:id           - Delete book (librarian only)');
   console.log('');
+  console.log('Catalog (/api/catalog) - Librarian Only:');
+  console.log('  POST   /api/catalog/import      - Import books from CSV (?dryRun=true, map[field]=)');
+  console.log('  GET    /api/catalog/export      - Download the catalogue as CSV');
+  console.log('  POST   /api/catalog/import/marc - Import MARC21 or MARCXML records (?dryRun=true)');
+  console.log('  GET    /api/catalog/export/marcxml - Download the catalogue as MARCXML');
+  console.log('  GET    /api/catalog/export/marcxml/:bookId - One book as MARCXML');
+  console.log('');
+  console.log('Calendar (/api/calendar):');
+  console.log('  GET    /api/calendar            - Opening hours, closures and today');
+  console.log('  GET    /api/calendar/days?from=&to= - Day by day opening hours');
+  console.log('  GET    /api/calendar/closures   - List closures');
+  console.log('  PUT    /api/calendar/hours      - Change weekly opening hours (librarian only)');
+  console.log('  POST   /api/calendar/closures   - Close for a day or range, moves due dates (librarian only)');
+  console.log('  DELETE /api/calendar/closures/:id - Remove a closure (librarian only)');
+  console.log('');
+  console.log('Loan Policies (/api/loan-policies):');
+  console.log('  GET    /api/loan-policies       - Defaults and rules by patron type and category');
+  console.log('  GET    /api/loan-policies/resolve?patronType=&category= - Policy that applies');
+  console.log('  PUT    /api/loan-policies       - Replace the loan rules (librarian only)');
+  console.log('');
+  console.log('Authors (/api/authors):');
+  console.log('  GET    /api/authors?q=          - List or search authors');
+  console.log('  GET    /api/authors/:id         - Author with their books');
+  console.log('  GET    /api/authors/:id/books   - Books by author');
+  console.log('  POST   /api/authors             - Create author (librarian only)');
+  console.log('  PUT    /api/authors/:id         - Update author (librarian only)');
+  console.log('  DELETE /api/authors/:id         - Delete author (librarian only)');
+  console.log('');
+  console.log('Copies (/api/copies) - Librarian Only:');
+  console.log('  GET    /api/copies?bookId=&status= - List copies');
+  console.log('  GET    /api/copies/barcode/:code - Look up a scanned copy');
+  console.log('  GET    /api/copies/:id          - Copy with its book and current loan');
+  console.log('  POST   /api/copies              - Add a copy of a book');
+  console.log('  PUT    /api/copies/:id          - Update shelf, condition or status');
+  console.log('  DELETE /api/copies/:id          - Delete a copy never lent out');
+  console.log('  GET    /api/books/:id/copies    - Copies of a book');
+  console.log('');
   console.log('Issue Management (/api/issues):');
   console.log('  GET    /api/issues              - Get all issues (librarian)');
   console.log('  GET    /api/issues/my           - Get my issues (protected)');
-  console.log('  GET    /api/issues/:id          - Get issue details');
+  console.log('  GET    /api/issues/eligibility?bookId=&userId= - Borrowing rules checked one by one');
+  console.log('  GET    /api/issues/:id          - Get issue details with status history');
   console.log('  POST   /api/issues              - Borrow book (protected)');
   console.log('  PUT    /api/issues/:id/return   - Return book (protected)');
   console.log('  PUT    /api/issues/:id/renew    - Renew book (protected)');
+  console.log('  PUT    /api/issues/:id/lost     - Declare lost, charge replacement fee (librarian)');
+  console.log('  PUT    /api/issues/:id/damaged  - Check in damaged, charge repair fee (librarian)');
+  console.log('  PUT    /api/issues/:id/claim-returned - Patron says it was returned (librarian)');
+  console.log('  PUT    /api/issues/:id/reject-claim - Back on loan after a wrong claim (librarian)');
+  console.log('  PUT    /api/issues/:id/write-off - Close a lost or claimed loan for good (librarian)');
+  console.log('');
+  console.log('Holds (/api/holds):');
+  console.log('  POST   /api/holds               - Place a hold on a book out on loan');
+  console.log('  GET    /api/holds               - My holds (all holds for librarians)');
+  console.log('  GET    /api/holds/book/:bookId  - Hold queue of a book');
+  console.log('  DELETE /api/holds/:id           - Cancel a hold');
+  console.log('  POST   /api/holds/expire        - Expire uncollected holds (librarian)');
   console.log('');
   console.log('Fine Management (/api/fines):');
   console.log('  GET    /api/fines/user/:userId  - Get user fines');
@@ -627,6 +735,21 @@ server.listen(PORT, () => {
   console.log('  GET    /api/reports/popular     - Popular books report');
   console.log('  GET    /api/reports/user-activity - User activity report');
   console.log('');
+  console.log('Snapshots (/api/snapshots) - Librarian Only:');
+  console.log('  GET    /api/snapshots           - List snapshots and backups');
+  console.log('  POST   /api/snapshots           - Save current data as a snapshot');
+  console.log('  GET    /api/snapshots/:name     - Get snapshot details');
+  console.log('  POST   /api/snapshots/:name/restore - Restore a snapshot');
+  console.log('  DELETE /api/snapshots/:name     - Delete a snapshot');
+  console.log('');
+  console.log('Change Feed (/api/changes) - Authenticated:');
+  console.log('  GET    /api/changes?since=      - Changes after a sequence number');
+  console.log('');
+  console.log('Background Jobs (/api/jobs) - Librarian Only:');
+  console.log('  GET    /api/jobs                - Jobs with their schedule, next and last run');
+  console.log('  GET    /api/jobs/:name          - One job with its recent runs');
+  console.log('  POST   /api/jobs/:name/run      - Run a job now for this library');
+  console.log('');
   console.log('=== TESTING & UTILITIES ===');
   console.log('');
   console.log('  GET    /error/500               - Test 500 error');
@@ -650,12 +773,28 @@ server.listen(PORT, () => {
   console.log('   - Protected endpoints require Bearer token');
   console.log('   - Example: Authorization: Bearer <your-token>');
   console.log('');
+  console.log('📄 Lists (books, authors, copies, issues, holds, users, fines, reports):');
+  console.log('   - ?page=2&pageSize=20&sort=-publishedYear,title');
+  console.log('   - ?filter[category]=Fiction&filter[publishedYear][gte]=1950');
+  console.log('   - Total in X-Total-Count, page links in the Link header');
+  console.log('');
   console.log('🔐 Default Users:');
   console.log('   - Librarian: admin / admin123');
   console.log('   - Users: user1, user2, user3 / user123');
   console.log('');
   console.log('📊 Database:');
-  console.log('   - JSON files in ./data/ directory');
+  console.log(`   - Storage: ${db.getStorage().describe()}`);
+  console.log('   - Select with DB_ADAPTER=json|sqlite|memory, folder with DATA_DIR');
+  console.log('   - Own library per student: X-Tenant-Id: <name> header or /t/<name>/... URLs');
+  console.log('   - Upgrade old data folders: npm run migrate -- --dry-run');
   console.log('   - Auto-seeded with 10 books and 4 users');
+  console.log('');
+  console.log('⏰ Scheduler:');
+  if (SCHEDULER_ENABLED) {
+    console.log('   - Overdue loans every 15 min, holds hourly, fines and memberships nightly');
+    console.log('   - Turn off with SCHEDULER=off');
+  } else {
+    console.log('   - Off (SCHEDULER=off) - run jobs with POST /api/jobs/:name/run');
+  }
   console.log('='.repeat(70));
 });
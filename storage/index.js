@@ -0,0 +1,91 @@
+/**
+ * Storage Adapters
+ * Every adapter implements the same interface used by database.js:
+ *
+ *   init()                   - prepare the backend (create folders, tables...)
+ *   exists(collection)       - true if the collection has been created
+ *   read(collection)         - returns the whole collection, e.g. { books: [...], nextId: 11 }
+ *   write(collection, data)  - replaces the whole collection
+ *   writeMany(entries)       - replaces several collections at once, all or nothing
+ *                              (entries is an array of [collection, data] pairs)
+ *   list(prefix)             - names of collections starting with prefix ('snapshots/')
+ *   remove(collection)       - deletes a collection
+ *   append(log, entries)     - appends entries to an append-only log ('changes')
+ *   readLog(log)             - all entries of a log, oldest first
+ *   describe()               - human readable description for logs
+ *
+ * Optional:
+ *   watch(onChange)          - call onChange(collection) when storage is changed by
+ *                              someone else (e.g. a hand-edited JSON file)
+ *   unwatch()                - stop watching
+ *
+ * The adapter is selected at startup with the DB_ADAPTER environment variable:
+ *   DB_ADAPTER=json    (default) JSON files in the data directory
+ *   DB_ADAPTER=sqlite  SQLite file (path from DB_SQLITE_FILE, default <data directory>/library.sqlite)
+ *   DB_ADAPTER=memory  In-memory only, nothing is written to disk
+ *
+ * The data directory is ./data unless DATA_DIR is set. Tenant sandboxes live
+ * below it in tenants/<tenant id>/.
+ */
+
+const path = require('path');
+const JsonFileAdapter = require('./json.adapter');
+const MemoryAdapter = require('./memory.adapter');
+const SqliteAdapter = require('./sqlite.adapter');
+
+const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(__dirname, '..', 'data');
+
+const ADAPTERS = {
+  json: JsonFileAdapter,
+  sqlite: SqliteAdapter,
+  memory: MemoryAdapter
+};
+
+/**
+ * Create a storage adapter by name
+ */
+function createAdapter(type = process.env.DB_ADAPTER || 'json', options = {}) {
+  const Adapter = ADAPTERS[type.toLowerCase()];
+
+  if (!Adapter) {
+    throw new Error(
+      `Unknown storage adapter "${type}". Use one of: ${Object.keys(ADAPTERS).join(', ')}`
+    );
+  }
+
+  if (Adapter === SqliteAdapter && !options.filename) {
+    options = {
+      ...options,
+      filename: process.env.DB_SQLITE_FILE || path.join(options.dataDir || DATA_DIR, 'library.sqlite')
+    };
+  }
+
+  if (Adapter === JsonFileAdapter && !options.dataDir) {
+    options = { ...options, dataDir: DATA_DIR };
+  }
+
+  return new Adapter(options);
+}
+
+/**
+ * Create the storage of a tenant sandbox (same backend as the shared library)
+ * e.g. data/tenants/team-a/books.json or data/tenants/team-a/library.sqlite
+ */
+function createTenantAdapter(tenantId, type) {
+  const dataDir = path.join(DATA_DIR, 'tenants', tenantId);
+  return createAdapter(type, {
+    dataDir,
+    filename: path.join(dataDir, 'library.sqlite')
+  });
+}
+
+module.exports = {
+  DATA_DIR,
+  createAdapter,
+  createTenantAdapter,
+  JsonFileAdapter,
+  MemoryAdapter,
+  SqliteAdapter
+};
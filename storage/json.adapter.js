@@ -0,0 +1,218 @@
+/**
+ * JSON File Storage Adapter
+ * Stores each collection as a pretty-printed JSON file in the data directory
+ * (the original storage format of this server)
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+class JsonFileAdapter {
+  constructor(options = {}) {
+    this.name = 'json';
+    this.dataDir = options.dataDir || path.join(__dirname, '..', 'data');
+    this.watcher = null;
+    this.onChange = null;
+    this.pendingChanges = new Map();
+
+    // Modification time of the last write we made to each file, so the
+    // watcher can tell our own writes apart from hand edits
+    this.ownWrites = new Map();
+  }
+
+  /**
+   * Get file path for a collection
+   * Names with a folder prefix ('snapshots/monday') map to sub folders
+   */
+  filePath(collection) {
+    return path.join(this.dataDir, `${collection}.json`);
+  }
+
+  /**
+   * Prepare storage - create data folder if it doesn't exist
+   */
+  async init() {
+    await fs.ensureDir(this.dataDir);
+  }
+
+  /**
+   * Check if a collection has been created
+   */
+  async exists(collection) {
+    return await fs.pathExists(this.filePath(collection));
+  }
+
+  /**
+   * Read a whole collection
+   */
+  async read(collection) {
+    return await fs.readJson(this.filePath(collection));
+  }
+
+  /**
+   * Write a whole collection (atomic operation)
+   */
+  async write(collection, data) {
+    const filePath = this.filePath(collection);
+    const tempPath = filePath + '.tmp';
+    await fs.ensureDir(path.dirname(filePath));
+
+    // Write to temp file first
+    await fs.writeJson(tempPath, data, { spaces: 2 });
+
+    // Atomic rename
+    await fs.move(tempPath, filePath, { overwrite: true });
+    await this.rememberWrite(collection);
+  }
+
+  /**
+   * Write several collections as one unit (all files or none)
+   * entries: [[collection, data], ...]
+   */
+  async writeMany(entries) {
+    const originals = new Map();
+    const applied = [];
+
+    try {
+      // Stage every collection in a temp file first
+      for (const [collection, data] of entries) {
+        await fs.ensureDir(path.dirname(this.filePath(collection)));
+        await fs.writeJson(this.filePath(collection) + '.tmp', data, { spaces: 2 });
+      }
+
+      // Keep the current contents so a half-applied commit can be undone
+      for (const [collection] of entries) {
+        const filePath = this.filePath(collection);
+        const exists = await fs.pathExists(filePath);
+        originals.set(filePath, exists ? await fs.readFile(filePath) : null);
+      }
+
+      for (const [collection] of entries) {
+        const filePath = this.filePath(collection);
+        await fs.move(filePath + '.tmp', filePath, { overwrite: true });
+        applied.push(filePath);
+      }
+
+      for (const [collection] of entries) {
+        await this.rememberWrite(collection);
+      }
+    } catch (error) {
+      for (const filePath of applied) {
+        const contents = originals.get(filePath);
+        if (contents === null) {
+          await fs.remove(filePath);
+        } else {
+          await fs.writeFile(filePath, contents);
+        }
+      }
+      for (const [collection] of entries) {
+        await fs.remove(this.filePath(collection) + '.tmp');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List collection names starting with a folder prefix, e.g. 'snapshots/'
+   */
+  async list(prefix) {
+    const dir = path.join(this.dataDir, prefix);
+    if (!(await fs.pathExists(dir))) return [];
+
+    const files = await fs.readdir(dir);
+    return files
+      .filter(file => path.extname(file) === '.json')
+      .map(file => prefix + path.basename(file, '.json'));
+  }
+
+  /**
+   * Delete a collection
+   */
+  async remove(collection) {
+    await fs.remove(this.filePath(collection));
+    this.ownWrites.delete(collection);
+  }
+
+  /**
+   * Append entries to a log file (one JSON object per line), e.g. data/changes.log
+   */
+  async append(log, entries) {
+    const lines = entries.map(entry => JSON.stringify(entry) + '\n').join('');
+    await fs.appendFile(path.join(this.dataDir, `${log}.log`), lines);
+  }
+
+  /**
+   * Read every entry of a log file, oldest first
+   */
+  async readLog(log) {
+    const logPath = path.join(this.dataDir, `${log}.log`);
+    if (!(await fs.pathExists(logPath))) return [];
+
+    const contents = await fs.readFile(logPath, 'utf8');
+    return contents
+      .split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => JSON.parse(line));
+  }
+
+  async rememberWrite(collection) {
+    const stats = await fs.stat(this.filePath(collection));
+    this.ownWrites.set(collection, stats.mtimeMs);
+  }
+
+  /**
+   * Watch the data directory for files edited outside the server
+   * onChange(collection) is called once the file has settled
+   */
+  watch(onChange) {
+    this.onChange = onChange;
+    if (this.watcher) return;
+
+    this.watcher = fs.watch(this.dataDir, (eventType, fileName) => {
+      if (!fileName || path.extname(fileName) !== '.json') return;
+
+      // Editors often save in several steps - wait for the file to settle
+      const collection = path.basename(fileName, '.json');
+      clearTimeout(this.pendingChanges.get(collection));
+      this.pendingChanges.set(collection, setTimeout(() => {
+        this.pendingChanges.delete(collection);
+        this.checkExternalChange(collection);
+      }, 100));
+    });
+
+    // Watching must never keep scripts (seed, migrate...) from exiting
+    this.watcher.unref();
+  }
+
+  async checkExternalChange(collection) {
+    try {
+      const stats = await fs.stat(this.filePath(collection));
+      if (stats.mtimeMs === this.ownWrites.get(collection)) return;
+    } catch (error) {
+      // File removed - let the cache drop it too
+    }
+
+    console.log(`↻ ${collection}.json changed on disk, reloading`);
+    this.onChange(collection);
+  }
+
+  unwatch() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    for (const timer of this.pendingChanges.values()) {
+      clearTimeout(timer);
+    }
+    this.pendingChanges.clear();
+  }
+
+  /**
+   * Human readable description (used in startup logs)
+   */
+  describe() {
+    return `JSON files in ${path.relative(process.cwd(), this.dataDir) || '.'}/`;
+  }
+}
+
+module.exports = JsonFileAdapter;
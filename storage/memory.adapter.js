@@ -0,0 +1,74 @@
+/**
+ * In-Memory Storage Adapter
+ * Keeps collections in process memory only - nothing touches the disk.
+ * Useful for test suites that need a fresh, isolated library per run.
+ */
+
+class MemoryAdapter {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.collections = new Map();
+    this.logs = new Map();
+
+    // Optional initial data: { books: {...}, users: {...}, ... }
+    for (const [collection, data] of Object.entries(options.initialData || {})) {
+      this.collections.set(collection, JSON.stringify(data));
+    }
+  }
+
+  async init() {
+    // Nothing to prepare
+  }
+
+  async exists(collection) {
+    return this.collections.has(collection);
+  }
+
+  /**
+   * Read a whole collection
+   * Data is stored serialized so callers never share references with the store
+   */
+  async read(collection) {
+    if (!this.collections.has(collection)) {
+      throw new Error(`Collection ${collection} does not exist`);
+    }
+    return JSON.parse(this.collections.get(collection));
+  }
+
+  async write(collection, data) {
+    this.collections.set(collection, JSON.stringify(data));
+  }
+
+  async writeMany(entries) {
+    // Serialize everything before touching the store so a bad record changes nothing
+    const serialized = entries.map(([collection, data]) => [collection, JSON.stringify(data)]);
+    for (const [collection, json] of serialized) {
+      this.collections.set(collection, json);
+    }
+  }
+
+  async list(prefix) {
+    return [...this.collections.keys()].filter(name => name.startsWith(prefix));
+  }
+
+  async remove(collection) {
+    this.collections.delete(collection);
+  }
+
+  async append(log, entries) {
+    if (!this.logs.has(log)) {
+      this.logs.set(log, []);
+    }
+    this.logs.get(log).push(...entries.map(entry => JSON.stringify(entry)));
+  }
+
+  async readLog(log) {
+    return (this.logs.get(log) || []).map(entry => JSON.parse(entry));
+  }
+
+  describe() {
+    return 'in-memory (data is lost on restart)';
+  }
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,248 @@
+/**
+ * SQLite Storage Adapter
+ * Stores collections in a single SQLite database file (no database server needed).
+ * Uses sql.js (SQLite compiled to WebAssembly), so no native build step is required.
+ *
+ * Tables:
+ *   collections - one row per collection with its top-level fields (nextId, settings...)
+ *   records     - one row per record for list collections (books, users, issues)
+ *   log_entries - append-only logs (e.g. the change feed)
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+class SqliteAdapter {
+  constructor(options = {}) {
+    this.name = 'sqlite';
+    this.filename = options.filename || path.join(__dirname, '..', 'data', 'library.sqlite');
+    this.db = null;
+    this.ready = null;
+    this.persisting = Promise.resolve();
+  }
+
+  /**
+   * Open (or create) the database file and make sure the tables exist
+   */
+  init() {
+    // Concurrent callers share the same open operation
+    if (!this.ready) {
+      this.ready = this.open();
+    }
+    return this.ready;
+  }
+
+  async open() {
+    // Loaded lazily so the JSON adapter doesn't pay for the WebAssembly module
+    const initSqlJs = require('sql.js');
+    const SQL = await initSqlJs();
+
+    await fs.ensureDir(path.dirname(this.filename));
+    const exists = await fs.pathExists(this.filename);
+    this.db = exists
+      ? new SQL.Database(await fs.readFile(this.filename))
+      : new SQL.Database();
+
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS collections (
+        name TEXT PRIMARY KEY,
+        records_key TEXT,
+        meta TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS records (
+        collection TEXT NOT NULL,
+        id INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (collection, id)
+      );
+      CREATE TABLE IF NOT EXISTS log_entries (
+        position INTEGER PRIMARY KEY AUTOINCREMENT,
+        log TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+    `);
+  }
+
+  async exists(collection) {
+    await this.init();
+    const stmt = this.db.prepare('SELECT 1 FROM collections WHERE name = ?');
+    stmt.bind([collection]);
+    const found = stmt.step();
+    stmt.free();
+    return found;
+  }
+
+  /**
+   * Read a whole collection, rebuilding the JSON document shape
+   * e.g. { books: [...], nextId: 11 }
+   */
+  async read(collection) {
+    await this.init();
+
+    const stmt = this.db.prepare('SELECT records_key, meta FROM collections WHERE name = ?');
+    stmt.bind([collection]);
+    if (!stmt.step()) {
+      stmt.free();
+      throw new Error(`Collection ${collection} does not exist`);
+    }
+    const { records_key: recordsKey, meta } = stmt.getAsObject();
+    stmt.free();
+
+    const data = JSON.parse(meta);
+
+    if (recordsKey) {
+      const records = [];
+      const rows = this.db.prepare(
+        'SELECT data FROM records WHERE collection = ? ORDER BY position'
+      );
+      rows.bind([collection]);
+      while (rows.step()) {
+        records.push(JSON.parse(rows.getAsObject().data));
+      }
+      rows.free();
+      data[recordsKey] = records;
+    }
+
+    return data;
+  }
+
+  /**
+   * Write a whole collection inside a single SQL transaction
+   */
+  async write(collection, data) {
+    await this.writeMany([[collection, data]]);
+  }
+
+  /**
+   * Write several collections inside a single SQL transaction
+   * entries: [[collection, data], ...]
+   */
+  async writeMany(entries) {
+    await this.init();
+
+    this.db.run('BEGIN');
+    try {
+      for (const [collection, data] of entries) {
+        this.replaceCollection(collection, data);
+      }
+      this.db.run('COMMIT');
+    } catch (error) {
+      this.db.run('ROLLBACK');
+      throw error;
+    }
+
+    await this.persist();
+  }
+
+  /**
+   * Replace the rows of one collection (caller manages the transaction)
+   */
+  replaceCollection(collection, data) {
+    // List collections ({ books: [...] }) are split into one row per record
+    const recordsKey = Array.isArray(data[collection]) ? collection : null;
+    let meta = data;
+    let records = [];
+    if (recordsKey) {
+      ({ [recordsKey]: records, ...meta } = data);
+    }
+
+    this.db.run(
+      'INSERT OR REPLACE INTO collections (name, records_key, meta) VALUES (?, ?, ?)',
+      [collection, recordsKey, JSON.stringify(meta)]
+    );
+    this.db.run('DELETE FROM records WHERE collection = ?', [collection]);
+
+    if (records.length > 0) {
+      const insert = this.db.prepare(
+        'INSERT INTO records (collection, id, position, data) VALUES (?, ?, ?, ?)'
+      );
+      try {
+        records.forEach((record, position) => {
+          insert.run([collection, record.id, position, JSON.stringify(record)]);
+        });
+      } finally {
+        insert.free();
+      }
+    }
+  }
+
+  /**
+   * List collection names starting with a prefix, e.g. 'snapshots/'
+   */
+  async list(prefix) {
+    await this.init();
+    const names = [];
+    const stmt = this.db.prepare('SELECT name FROM collections WHERE substr(name, 1, ?) = ?');
+    stmt.bind([prefix.length, prefix]);
+    while (stmt.step()) {
+      names.push(stmt.getAsObject().name);
+    }
+    stmt.free();
+    return names;
+  }
+
+  /**
+   * Delete a collection and its records
+   */
+  async remove(collection) {
+    await this.init();
+    this.db.run('DELETE FROM records WHERE collection = ?', [collection]);
+    this.db.run('DELETE FROM collections WHERE name = ?', [collection]);
+    await this.persist();
+  }
+
+  /**
+   * Append entries to a log
+   */
+  async append(log, entries) {
+    await this.init();
+
+    const insert = this.db.prepare('INSERT INTO log_entries (log, data) VALUES (?, ?)');
+    try {
+      for (const entry of entries) {
+        insert.run([log, JSON.stringify(entry)]);
+      }
+    } finally {
+      insert.free();
+    }
+
+    await this.persist();
+  }
+
+  /**
+   * Read every entry of a log, oldest first
+   */
+  async readLog(log) {
+    await this.init();
+
+    const entries = [];
+    const stmt = this.db.prepare('SELECT data FROM log_entries WHERE log = ? ORDER BY position');
+    stmt.bind([log]);
+    while (stmt.step()) {
+      entries.push(JSON.parse(stmt.getAsObject().data));
+    }
+    stmt.free();
+    return entries;
+  }
+
+  /**
+   * Flush the in-memory database to disk
+   * Writes are chained so an older export never overwrites a newer one
+   */
+  persist() {
+    // A failed flush must not block the ones queued after it
+    this.persisting = this.persisting.catch(() => {}).then(async () => {
+      const tempPath = this.filename + '.tmp';
+      await fs.writeFile(tempPath, Buffer.from(this.db.export()));
+      await fs.move(tempPath, this.filename, { overwrite: true });
+    });
+    return this.persisting;
+  }
+
+  describe() {
+    return `SQLite database ${path.relative(process.cwd(), this.filename)}`;
+  }
+}
+
+module.exports = SqliteAdapter;